@@ -1,255 +1,3 @@
-// Explicit Vercel serverless function for /api/auth/signup
-// Handles user registration with CAPTCHA verification to prevent bot registrations
-
-import crypto from 'crypto';
-import bcrypt from 'bcryptjs';
-import jwt from 'jsonwebtoken';
-import { put, list } from '@vercel/blob';
-
-const USERS_BLOB_NAME = "users.json";
-const JWT_SECRET = process.env.JWT_SECRET || 'locallink-dev-secret-change-in-production';
-const JWT_EXPIRES_IN = '7d';
-
-// CAPTCHA configuration
-const RECAPTCHA_SECRET = process.env.RECAPTCHA_SECRET_KEY;
-const RECAPTCHA_ENABLED = !!RECAPTCHA_SECRET;
-
-// In-memory verification challenges (for fallback when reCAPTCHA is disabled)
-const verificationChallenges = new Map();
-
-// Verify reCAPTCHA token
-async function verifyRecaptcha(token) {
-  if (!RECAPTCHA_SECRET) {
-    return { success: false, error: 'reCAPTCHA not configured' };
-  }
-
-  try {
-    const response = await fetch('https://www.google.com/recaptcha/api/siteverify', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
-      body: `secret=${RECAPTCHA_SECRET}&response=${token}`
-    });
-    return await response.json();
-  } catch (error) {
-    console.error('[AUTH] reCAPTCHA verification error:', error);
-    return { success: false, error: error.message };
-  }
-}
-
-// Load users from Vercel Blob
-async function loadUsers() {
-  try {
-    console.log('[AUTH] Loading users from Vercel Blob...');
-    const { blobs } = await list({ prefix: USERS_BLOB_NAME });
-
-    let usersBlob = blobs.find(b => b.pathname === USERS_BLOB_NAME);
-    if (!usersBlob && blobs.length > 0) {
-      usersBlob = blobs.find(b => b.pathname.includes(USERS_BLOB_NAME));
-    }
-
-    if (usersBlob) {
-      console.log(`[AUTH] Found users blob at ${usersBlob.url}`);
-      // Add cache-busting to avoid stale data
-      const cacheBustUrl = `${usersBlob.url}${usersBlob.url.includes('?') ? '&' : '?'}_t=${Date.now()}`;
-      const response = await fetch(cacheBustUrl, {
-        cache: 'no-store',
-        headers: {
-          'Cache-Control': 'no-cache, no-store, must-revalidate',
-          'Pragma': 'no-cache'
-        }
-      });
-      if (response.ok) {
-        const text = await response.text();
-        if (text.trim()) {
-          const users = JSON.parse(text);
-          console.log(`[AUTH] Loaded ${users.length} users`);
-          return users;
-        }
-      }
-    }
-    console.log('[AUTH] No users found, starting fresh');
-    return [];
-  } catch (error) {
-    console.error('[AUTH] Error loading users:', error.message);
-    return [];
-  }
-}
-
-// Save users to Vercel Blob
-async function saveUsers(usersData) {
-  const jsonData = JSON.stringify(usersData);
-  console.log(`[AUTH] Saving ${usersData.length} users (${jsonData.length} chars)`);
-
-  try {
-    const blob = await put(USERS_BLOB_NAME, jsonData, {
-      access: 'public',
-      contentType: 'application/json',
-      addRandomSuffix: false
-    });
-    console.log(`[AUTH] Saved users to ${blob.url}`);
-    return true;
-  } catch (error) {
-    console.error('[AUTH] Error saving users:', error.message);
-    return false;
-  }
-}
-
-// Generate JWT token
-function generateToken(user) {
-  return jwt.sign(
-    { id: user.id, username: user.username },
-    JWT_SECRET,
-    { expiresIn: JWT_EXPIRES_IN }
-  );
-}
-
-export default async function handler(req, res) {
-  // Handle CORS
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
-
-  // Handle preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
-  }
-
-  // Only allow POST
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed.' });
-  }
-
-  console.log('[AUTH] Signup request received');
-  console.log('[AUTH] Request body:', JSON.stringify(req.body || {}));
-
-  try {
-    const { username, password, confirmPassword, recaptchaToken, verificationId, verificationAnswer } = req.body || {};
-
-    // Input validation
-    if (!username || typeof username !== 'string') {
-      console.log('[AUTH] Validation failed: Username is required');
-      return res.status(400).json({ error: 'Username is required.' });
-    }
-
-    const trimmedUsername = username.trim();
-
-    // Username validation
-    if (trimmedUsername.length < 3) {
-      return res.status(400).json({ error: 'Username must be at least 3 characters long.' });
-    }
-    if (trimmedUsername.length > 20) {
-      return res.status(400).json({ error: 'Username must be 20 characters or less.' });
-    }
-    if (!/^[a-zA-Z0-9_]+$/.test(trimmedUsername)) {
-      return res.status(400).json({ error: 'Username can only contain letters, numbers, and underscores.' });
-    }
-
-    // Password validation
-    if (!password || typeof password !== 'string') {
-      return res.status(400).json({ error: 'Password is required.' });
-    }
-    if (password.length < 8) {
-      return res.status(400).json({ error: 'Password must be at least 8 characters long.' });
-    }
-    if (password.length > 100) {
-      return res.status(400).json({ error: 'Password must be 100 characters or less.' });
-    }
-
-    // Confirm password validation
-    if (password !== confirmPassword) {
-      return res.status(400).json({ error: 'Passwords do not match.' });
-    }
-
-    // CAPTCHA verification - required for signup to prevent bot registrations
-    console.log(`[AUTH] reCAPTCHA enabled: ${RECAPTCHA_ENABLED}, token provided: ${!!recaptchaToken}`);
-
-    if (RECAPTCHA_ENABLED && recaptchaToken) {
-      console.log('[AUTH] Verifying reCAPTCHA token...');
-      const recaptchaResult = await verifyRecaptcha(recaptchaToken);
-      console.log('[AUTH] reCAPTCHA result:', JSON.stringify(recaptchaResult));
-      if (!recaptchaResult.success) {
-        console.log('[AUTH] reCAPTCHA verification failed:', recaptchaResult['error-codes'] || recaptchaResult.error);
-        return res.status(400).json({ error: 'CAPTCHA verification failed. Please try again.' });
-      }
-      console.log('[AUTH] reCAPTCHA verification successful');
-    } else if (verificationId && verificationAnswer) {
-      // Fallback to math challenge
-      console.log('[AUTH] Verifying math challenge...');
-      const challenge = verificationChallenges.get(verificationId);
-      if (!challenge) {
-        console.log('[AUTH] Challenge expired or invalid');
-        return res.status(400).json({ error: 'Verification expired. Please refresh and try again.' });
-      }
-
-      if (challenge.answer !== parseInt(verificationAnswer)) {
-        console.log('[AUTH] Challenge answer incorrect');
-        return res.status(400).json({ error: 'Verification failed. Please try again.' });
-      }
-
-      verificationChallenges.delete(verificationId);
-      console.log('[AUTH] Math challenge verification successful');
-    } else {
-      // No verification provided - check if CAPTCHA is required
-      if (RECAPTCHA_ENABLED) {
-        console.log('[AUTH] No CAPTCHA token provided but reCAPTCHA is enabled');
-        return res.status(400).json({ error: 'CAPTCHA verification is required.' });
-      }
-      // If reCAPTCHA is not enabled and no math challenge, we still require some verification
-      console.log('[AUTH] No verification provided');
-      return res.status(400).json({ error: 'Verification is required.' });
-    }
-
-    console.log('[AUTH] Validations passed, loading users...');
-
-    // Load existing users
-    const usersData = await loadUsers();
-
-    // Check if username already exists
-    const existingUser = usersData.find(u =>
-      u.username.toLowerCase() === trimmedUsername.toLowerCase()
-    );
-    if (existingUser) {
-      return res.status(409).json({ error: 'Username already exists. Please choose a different username.' });
-    }
-
-    console.log('[AUTH] Username available, hashing password...');
-
-    // Hash password
-    const saltRounds = 10;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
-
-    // Create new user
-    const newUser = {
-      id: crypto.randomUUID(),
-      username: trimmedUsername,
-      passwordHash,
-      createdAt: new Date().toISOString()
-    };
-
-    usersData.push(newUser);
-
-    // Save to storage
-    console.log('[AUTH] Saving users...');
-    const saved = await saveUsers(usersData);
-    if (!saved) {
-      return res.status(500).json({ error: 'Unable to create account. Please try again.' });
-    }
-
-    // Generate token
-    const token = generateToken(newUser);
-
-    console.log(`[AUTH] New user registered: ${trimmedUsername}`);
-
-    res.status(201).json({
-      message: 'Account created successfully',
-      user: {
-        id: newUser.id,
-        username: newUser.username
-      },
-      token
-    });
-  } catch (error) {
-    console.error('[AUTH] Signup error:', error.message, error.stack);
-    res.status(500).json({ error: 'Unable to create account. Server error: ' + error.message });
-  }
-}
+// Explicit Vercel serverless function for /api/auth/signup (served by the Express app)
+import app from '../../server/index.js';
+export default app;
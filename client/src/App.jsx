@@ -38,6 +38,143 @@ const API_URL = import.meta.env.DEV
   ? "http://localhost:3001/api"
   : "/api";
 
+// Facet counts returned with each listing page (see /api/businesses)
+const EMPTY_FACETS = { category: [], tag: [], priceRange: [], rating: [], hasDeal: [], isChain: [] };
+const PRICE_RANGES = ["$", "$$", "$$$", "$$$$"];
+
+// Blank review form (no CAPTCHA needed - users verified at signup)
+const EMPTY_REVIEW_FORM = {
+  rating: 5,
+  comment: "",
+  // Category ratings
+  quality: 3,
+  service: 3,
+  cleanliness: 3,
+  atmosphere: 3,
+  isAnonymous: false
+};
+
+// Reviews of the open business (see /api/businesses/:id/reviews). `query` is
+// the sort and filters the loaded pages belong to.
+const EMPTY_REVIEW_PAGE = {
+  businessId: null,
+  query: "",
+  reviews: [],
+  total: 0,
+  nextCursor: null,
+  histogram: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 },
+  reviewCount: 0
+};
+
+// Review photo limits (checked again by the server, see server/photos.js)
+const MAX_REVIEW_PHOTOS = 4;
+const MAX_PHOTO_MB = 4;
+const PHOTO_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Lightbox state moved `step` photos forward (or back), wrapping around
+const stepLightbox = (lightbox, step) => lightbox && {
+  ...lightbox,
+  index: (lightbox.index + step + lightbox.photos.length) % lightbox.photos.length
+};
+
+// Star bucket of a review, as the server counts it for the histogram
+const starsOf = (review) => Math.min(5, Math.max(1, Math.round(review.rating)));
+
+// Word-level diff of two texts: [{ type: "same" | "added" | "removed", text }].
+// Whitespace stays attached to the word before it.
+const diffWords = (before, after) => {
+  const a = (before || "").match(/\S+\s*/g) || [];
+  const b = (after || "").match(/\S+\s*/g) || [];
+  // lengths[i][j]: longest common run of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i].trim() === b[j].trim()
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, text) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) last.text += text;
+    else parts.push({ type, text });
+  };
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i].trim() === b[j].trim()) {
+      push("same", b[j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      push("removed", a[i++]);
+    } else {
+      push("added", b[j++]);
+    }
+  }
+  while (i < a.length) push("removed", a[i++]);
+  while (j < b.length) push("added", b[j++]);
+  return parts;
+};
+
+// Star and category ratings compared between review versions
+const VERSION_RATINGS = [
+  ["rating", "Overall"],
+  ["quality", "Quality"],
+  ["service", "Service"],
+  ["cleanliness", "Cleanliness"],
+  ["atmosphere", "Atmosphere"]
+];
+
+// Access tokens expire after a few minutes; renew this long before they do
+const TOKEN_RENEW_MARGIN_MS = 60 * 1000;
+
+// Read the expiry (ms) from a JWT access token, or null if it can't be parsed
+function getTokenExpiry(token) {
+  try {
+    const payload = JSON.parse(atob(token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/")));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+}
+
+// Exchange the stored refresh token for a new token pair.
+// Returns the new access token, or null if the session is over.
+async function refreshStoredSession() {
+  const refreshToken = localStorage.getItem("locallink_refresh_token");
+  if (!refreshToken) return null;
+
+  try {
+    const res = await fetch(`${API_URL}/auth/refresh`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ refreshToken })
+    });
+
+    if (res.ok) {
+      const data = await res.json();
+      localStorage.setItem("locallink_auth_token", data.token);
+      localStorage.setItem("locallink_refresh_token", data.refreshToken);
+      return data.token;
+    }
+
+    // Another tab may have rotated the refresh token first
+    if (localStorage.getItem("locallink_refresh_token") !== refreshToken) {
+      return localStorage.getItem("locallink_auth_token");
+    }
+    if (res.status === 401 || res.status === 400) {
+      localStorage.removeItem("locallink_auth_token");
+      localStorage.removeItem("locallink_refresh_token");
+    }
+  } catch (error) {
+    console.error("Session refresh error:", error);
+  }
+  return null;
+}
+
 function App() {
   // ============================================
   // STATE MANAGEMENT
@@ -45,7 +182,7 @@ function App() {
   // ============================================
 
   // Navigation state - controls which view is displayed
-  const [view, setView] = useState("home"); // home, business, favorites, login, signup
+  const [view, setView] = useState("home"); // home, business, favorites, moderation, login, signup, reset-password
   const [businesses, setBusinesses] = useState([]);
   const [filteredBusinesses, setFilteredBusinesses] = useState([]);
   const [selectedBusiness, setSelectedBusiness] = useState(null);
@@ -66,6 +203,9 @@ function App() {
 
   // Auth forms
   const [loginForm, setLoginForm] = useState({ username: "", password: "" });
+  // Login throttling: time (ms) until the server accepts another attempt
+  const [loginRetryUntil, setLoginRetryUntil] = useState(0);
+  const [loginClock, setLoginClock] = useState(() => Date.now());
   const [signupForm, setSignupForm] = useState({
     username: "",
     password: "",
@@ -73,16 +213,24 @@ function App() {
     verificationId: "",
     verificationAnswer: ""
   });
+  const [resetForm, setResetForm] = useState({ username: "", token: "", newPassword: "", confirmPassword: "" });
+  const [passwordForm, setPasswordForm] = useState({ currentPassword: "", newPassword: "", confirmPassword: "" });
+  const [showChangePassword, setShowChangePassword] = useState(false);
+  const [passwordError, setPasswordError] = useState("");
+  // Password reset code issued by an admin (shown once)
+  const [resetCodeUsername, setResetCodeUsername] = useState("");
+  const [issuedResetCode, setIssuedResetCode] = useState(null);
   const [previousView, setPreviousView] = useState(null); // Track view before auth redirect
 
   // Navigate to auth view (clear forms, scroll to top, save previous view)
   const navigateToAuth = async (authView) => {
     // Save current view to return to after auth (unless already on an auth page)
-    if (view !== "login" && view !== "signup") {
+    if (view !== "login" && view !== "signup" && view !== "reset-password") {
       setPreviousView({ view, business: selectedBusiness });
     }
     // Clear forms
     setLoginForm({ username: "", password: "" });
+    setResetForm({ username: "", token: "", newPassword: "", confirmPassword: "" });
     setSignupForm({ username: "", password: "", confirmPassword: "", verificationId: "", verificationAnswer: "" });
     setAuthError("");
     setSignupCaptchaReady(false);
@@ -146,21 +294,26 @@ function App() {
   const [availableTags, setAvailableTags] = useState([]);
   const [labelSearchTerm, setLabelSearchTerm] = useState(""); // For filtering labels
   const [searchTerm, setSearchTerm] = useState("");
+  // Search bar autocomplete (businesses, tags and categories)
+  const [suggestions, setSuggestions] = useState([]);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [activeSuggestion, setActiveSuggestion] = useState(-1);
   const [minRating, setMinRating] = useState("");
   const [showDealsOnly, setShowDealsOnly] = useState(false);
+  const [showOpenNow, setShowOpenNow] = useState(false);
+  const [selectedPrices, setSelectedPrices] = useState([]);
+  const [independentOnly, setIndependentOnly] = useState(false);
   const [sortBy, setSortBy] = useState("local");
-
-  // Review form (no CAPTCHA needed - users verified at signup)
-  const [reviewForm, setReviewForm] = useState({
-    rating: 5,
-    comment: "",
-    // Category ratings
-    quality: 3,
-    service: 3,
-    cleanliness: 3,
-    atmosphere: 3,
-    isAnonymous: false
-  });
+  // "Near me" search: browser location and radius in miles ("" = any distance)
+  const [nearLocation, setNearLocation] = useState(null);
+  const [nearRadius, setNearRadius] = useState("10");
+  const [locating, setLocating] = useState(false);
+  // Regions served by the API; the picker only shows when there is more than one
+  const [regions, setRegions] = useState([]);
+  const [selectedRegion, setSelectedRegion] = useState(() => localStorage.getItem("locallink_region") || "");
+
+  // Review form
+  const [reviewForm, setReviewForm] = useState(EMPTY_REVIEW_FORM);
   const [showReviewForm, setShowReviewForm] = useState(false);
 
   // CAPTCHA config for signup
@@ -182,15 +335,37 @@ function App() {
     isAnonymous: false
   });
 
-  // Review sorting and interactions
+  // Photos picked for the new review and for the review being edited
+  const [reviewPhotoFiles, setReviewPhotoFiles] = useState([]);
+  const [editPhotoFiles, setEditPhotoFiles] = useState([]);
+
+  // Review sorting, filters and interactions
   const [reviewSortBy, setReviewSortBy] = useState("relevant");
-  // Stable sort order - only updated on business load or sort option change
-  const [sortedReviewIds, setSortedReviewIds] = useState([]);
+  const [reviewStars, setReviewStars] = useState(null);
+  const [reviewsWithComments, setReviewsWithComments] = useState(false);
   const [reportedReviews, setReportedReviews] = useState(() => {
     const saved = localStorage.getItem("locallink_reported_reviews");
     return saved ? JSON.parse(saved) : [];
   });
 
+  // Business claims of the current user (approved = verified owner)
+  const [myClaims, setMyClaims] = useState([]);
+  // Owner response being written (review id + text)
+  const [respondingReviewId, setRespondingReviewId] = useState(null);
+  const [responseText, setResponseText] = useState("");
+  // Pending business claims (admins)
+  const [adminClaims, setAdminClaims] = useState([]);
+  // Deals of the open business, as managed by its owner (or an admin)
+  const [managedDeals, setManagedDeals] = useState([]);
+  const [dealForm, setDealForm] = useState({ title: "", terms: "", startsAt: "", endsAt: "", maxRedemptions: "" });
+  const [redeemedDeals, setRedeemedDeals] = useState([]);
+
+  // Moderation queue (moderators and admins)
+  const [moderationFilter, setModerationFilter] = useState("pending");
+  const [moderationItems, setModerationItems] = useState([]);
+  const [moderationLoading, setModerationLoading] = useState(false);
+  const [moderationError, setModerationError] = useState(null);
+
   // Demo mode status
   const [demoStatus, setDemoStatus] = useState(null);
 
@@ -198,9 +373,17 @@ function App() {
   const [savedScrollPosition, setSavedScrollPosition] = useState(0);
 
   // Pagination state
-  const [visibleReviewsCount, setVisibleReviewsCount] = useState(3);
+  const [reviewPage, setReviewPage] = useState(EMPTY_REVIEW_PAGE);
   const [reviewsExpanded, setReviewsExpanded] = useState(false);
-  const [businessPage, setBusinessPage] = useState(1);
+  // Bumped to reload the first page of reviews
+  const [reviewReload, setReviewReload] = useState(0);
+  // Edit history open under one review: { reviewId, loading, error, versions }
+  const [reviewHistory, setReviewHistory] = useState(null);
+  // Business listing pages come from the server. cursors[i] loads page i + 1;
+  // they belong to one filter query, so changing a filter starts at page 1.
+  const [browsePage, setBrowsePage] = useState({ query: "", page: 1, cursors: [null] });
+  const [businessTotal, setBusinessTotal] = useState(0);
+  const [businessFacets, setBusinessFacets] = useState(EMPTY_FACETS);
   const INITIAL_REVIEWS_COUNT = 3;
   const REVIEWS_LOAD_MORE = 20;
   const BUSINESSES_PER_PAGE = 12;
@@ -216,6 +399,7 @@ function App() {
   const [showAccountDetails, setShowAccountDetails] = useState(false);
 
   // Lightbox state
+  // Open lightbox: { photos: [{ url, alt, caption }], index }
   const [lightboxImage, setLightboxImage] = useState(null);
 
   // Dark mode state
@@ -278,7 +462,7 @@ function App() {
   // FAQ knowledge base — keyword-matched responses
   const faqEntries = [
     { keywords: ["review", "rate", "rating", "star", "write review", "leave review", "submit review"],
-      answer: "To leave a review, click on any business card to open its details, then scroll down to the review section. You'll need to be logged in. Select a star rating (1-5), rate the business in four categories (Quality, Service, Cleanliness, Atmosphere), and optionally write a comment. Click 'Submit Review' when you're done!" },
+      answer: "To leave a review, click on any business card to open its details, then scroll down to the review section. You'll need to be logged in. Select a star rating (1-5), rate the business in four categories (Quality, Service, Cleanliness, Atmosphere), and optionally write a comment. Click 'Submit Review' when you're done! You can review each business once; come back and click 'Edit Your Review' to change it." },
     { keywords: ["favorite", "save", "bookmark", "heart", "saved"],
       answer: "To save a business to your favorites, click the heart icon on any business card. You must be logged in to use favorites. View all your saved businesses by clicking 'Favorites' in the navigation bar. Your favorites persist across sessions!" },
     { keywords: ["export", "download", "csv", "spreadsheet", "data", "report"],
@@ -288,7 +472,7 @@ function App() {
     { keywords: ["sign up", "signup", "register", "create account", "account", "join"],
       answer: "Click 'Sign Up' in the top navigation bar. Choose a username (3-20 characters, letters/numbers/underscores), create a strong password (8+ characters with upper/lowercase, numbers, and symbols), and complete the verification step. Your account lets you leave reviews and save favorites!" },
     { keywords: ["login", "log in", "sign in", "password", "forgot"],
-      answer: "Click 'Log In' in the navigation bar and enter your username and password. If you don't have an account yet, click 'Sign Up' to create one. Your session stays active until you log out." },
+      answer: "Click 'Log In' in the navigation bar and enter your username and password. If you don't have an account yet, click 'Sign Up' to create one. Your session stays active until you log out. Forgot your password? Ask an administrator for a reset code and use 'Reset it' on the login page. To change your password, open your account details from your username in the navigation bar." },
     { keywords: ["deal", "coupon", "discount", "special", "offer", "promotion"],
       answer: "Businesses with active deals show a special badge on their card. You can toggle 'Deals Only' in the filter section to see only businesses currently offering specials. Click on a business to see the full deal details." },
     { keywords: ["dark mode", "theme", "light mode", "dark", "night"],
@@ -300,7 +484,7 @@ function App() {
     { keywords: ["map", "location", "address", "directions", "where"],
       answer: "Each business detail page includes an interactive map showing the business location. You can also find the full address and phone number in the business details. Click the address to open directions in your maps app." },
     { keywords: ["report", "flag", "inappropriate", "abuse"],
-      answer: "If you see an inappropriate review, click the flag icon on that review and provide a reason. Reviews that receive multiple reports are automatically hidden. This helps keep the community helpful and respectful." },
+      answer: "If you see an inappropriate review, click the flag icon on that review and provide a reason. Reviews reported by several different users are hidden until a moderator reviews them, and moderators can restore reviews that were reported unfairly. This helps keep the community helpful and respectful." },
     { keywords: ["help", "how", "what", "can i", "guide", "tutorial"],
       answer: "I can help with: leaving reviews, saving favorites, exporting data, filtering businesses, creating an account, using dark mode, and more. Just ask me a specific question!" },
   ];
@@ -366,6 +550,15 @@ function App() {
     return { Authorization: `Bearer ${authToken}` };
   };
 
+  // Store the token pair returned by login, signup or a password change
+  const saveSession = (data) => {
+    localStorage.setItem("locallink_auth_token", data.token);
+    if (data.refreshToken) {
+      localStorage.setItem("locallink_refresh_token", data.refreshToken);
+    }
+    setAuthToken(data.token);
+  };
+
   // Verify token on mount and fetch user info
   useEffect(() => {
     const verifyAuth = async () => {
@@ -383,10 +576,19 @@ function App() {
           const data = await res.json();
           setUser(data.user);
         } else {
-          // Token invalid, clear it
-          localStorage.removeItem("locallink_auth_token");
-          setAuthToken(null);
-          setUser(null);
+          // Access token expired or revoked - try the refresh token before giving up
+          const token = await refreshStoredSession();
+          if (token && token !== authToken) {
+            setAuthToken(token); // Re-runs this check with the new token
+            return;
+          }
+          // Only sign out when the session ended; after a network or server
+          // error the refresh token is kept and the renew timer tries again
+          if (!localStorage.getItem("locallink_refresh_token")) {
+            localStorage.removeItem("locallink_auth_token");
+            setAuthToken(null);
+            setUser(null);
+          }
         }
       } catch (error) {
         console.error("Auth verification error:", error);
@@ -398,6 +600,51 @@ function App() {
     verifyAuth();
   }, [authToken]);
 
+  // Count down the login wait, then re-enable the form
+  useEffect(() => {
+    if (!loginRetryUntil) return;
+    const tick = setInterval(() => setLoginClock(Date.now()), 1000);
+    const done = setTimeout(() => setLoginRetryUntil(0), Math.max(loginRetryUntil - Date.now(), 0));
+    return () => {
+      clearInterval(tick);
+      clearTimeout(done);
+    };
+  }, [loginRetryUntil]);
+
+  const loginWaitSeconds = loginRetryUntil ? Math.max(Math.ceil((loginRetryUntil - loginClock) / 1000), 0) : 0;
+
+  // Renew the access token shortly before it expires
+  useEffect(() => {
+    if (!authToken) return;
+    const expiresAt = getTokenExpiry(authToken);
+    if (!expiresAt) return;
+
+    const renew = async () => {
+      const token = await refreshStoredSession();
+      if (token) {
+        setAuthToken(token);
+      } else if (!localStorage.getItem("locallink_refresh_token")) {
+        // Session ended (not just a network error)
+        setAuthToken(null);
+        setUser(null);
+      }
+    };
+
+    const timer = setTimeout(renew, Math.max(expiresAt - Date.now() - TOKEN_RENEW_MARGIN_MS, 0));
+    // Timers are throttled in background tabs, so check again when the tab is shown
+    const handleVisibility = () => {
+      if (document.visibilityState === "visible" && Date.now() > expiresAt - TOKEN_RENEW_MARGIN_MS) {
+        clearTimeout(timer);
+        renew();
+      }
+    };
+    document.addEventListener("visibilitychange", handleVisibility);
+    return () => {
+      clearTimeout(timer);
+      document.removeEventListener("visibilitychange", handleVisibility);
+    };
+  }, [authToken]);
+
   // Handle login
   const handleLogin = async (e) => {
     e.preventDefault();
@@ -414,12 +661,18 @@ function App() {
 
       if (!res.ok) {
         setAuthError(data.error || "Login failed.");
+        // Too many failures: the server says how long to wait (429, or 401 once delays start)
+        const retryAfter = Number(res.headers.get("Retry-After")) || data.retryAfter;
+        if (retryAfter > 0) {
+          setLoginClock(Date.now());
+          setLoginRetryUntil(Date.now() + retryAfter * 1000);
+        }
         return;
       }
 
-      // Save token and user
-      localStorage.setItem("locallink_auth_token", data.token);
-      setAuthToken(data.token);
+      // Save tokens and user
+      setLoginRetryUntil(0);
+      saveSession(data);
       setUser(data.user);
       setLoginForm({ username: "", password: "" });
       // Return to previous view or home
@@ -438,6 +691,89 @@ function App() {
     }
   };
 
+  // Reset a forgotten password with a code from an admin
+  const handleResetPassword = async (e) => {
+    e.preventDefault();
+    setAuthError("");
+
+    try {
+      const res = await fetch(`${API_URL}/auth/reset-password`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(resetForm)
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        setAuthError(data.error || "Password reset failed.");
+        return;
+      }
+
+      const username = resetForm.username;
+      alert(data.message);
+      navigateToAuth("login");
+      setLoginForm({ username, password: "" });
+    } catch (error) {
+      console.error("Password reset error:", error);
+      setAuthError("Unable to connect to server. Please check your connection and try again.");
+    }
+  };
+
+  // Change the password of the signed-in user
+  const handleChangePassword = async (e) => {
+    e.preventDefault();
+    setPasswordError("");
+
+    try {
+      const res = await fetch(`${API_URL}/auth/change-password`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+        body: JSON.stringify(passwordForm)
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        setPasswordError(data.error || "Failed to change password.");
+        return;
+      }
+
+      // Other sessions were revoked; this device gets a fresh token pair
+      if (data.token) saveSession(data);
+      setPasswordForm({ currentPassword: "", newPassword: "", confirmPassword: "" });
+      setShowChangePassword(false);
+      alert(data.message);
+    } catch (error) {
+      console.error("Change password error:", error);
+      setPasswordError("Unable to connect to server. Please check your connection and try again.");
+    }
+  };
+
+  // Issue a one-time password reset code for a user (admins)
+  const issueResetCode = async (e) => {
+    e.preventDefault();
+    setIssuedResetCode(null);
+
+    try {
+      const res = await fetch(`${API_URL}/admin/password-resets`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+        body: JSON.stringify({ username: resetCodeUsername })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || "Failed to create reset code");
+        return;
+      }
+      setIssuedResetCode(data);
+      setResetCodeUsername("");
+    } catch (err) {
+      console.error("[AUTH] Failed to create reset code:", err);
+      alert("Failed to create reset code. Please try again.");
+    }
+  };
+
   // Handle signup
   const handleSignup = async (e) => {
     e.preventDefault();
@@ -517,9 +853,8 @@ function App() {
         return;
       }
 
-      // Save token and user
-      localStorage.setItem("locallink_auth_token", data.token);
-      setAuthToken(data.token);
+      // Save tokens and user
+      saveSession(data);
       setUser(data.user);
       setSignupForm({ username: "", password: "", confirmPassword: "", verificationId: "", verificationAnswer: "" });
       setSignupCaptchaReady(false);
@@ -543,9 +878,20 @@ function App() {
     setShowLogoutConfirm(true);
   };
 
-  // Confirm logout - actually perform the logout
-  const confirmLogout = () => {
+  // Confirm logout - end the session on the server, then clear local state.
+  // With everywhere = true, every device signed in to the account is logged out.
+  const confirmLogout = async (everywhere = false) => {
+    try {
+      await fetch(`${API_URL}/auth/${everywhere ? "logout-all" : "logout"}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+        body: JSON.stringify({ refreshToken: localStorage.getItem("locallink_refresh_token") })
+      });
+    } catch (error) {
+      console.error("Logout error:", error);
+    }
     localStorage.removeItem("locallink_auth_token");
+    localStorage.removeItem("locallink_refresh_token");
     setShowLogoutConfirm(false);
     // Refresh the page to fully reset all state and show anonymous view
     window.location.href = '/';
@@ -565,14 +911,16 @@ function App() {
         }
       } else if (path === '/favorites') {
         return { view: 'favorites', businessId: null };
+      } else if (path === '/moderation') {
+        return { view: 'moderation', businessId: null };
       }
       return { view: 'home', businessId: null };
     };
 
     const { view: urlView, businessId } = parseUrl();
 
-    if (urlView === 'favorites') {
-      setView('favorites');
+    if (urlView === 'favorites' || urlView === 'moderation') {
+      setView(urlView);
     } else if (urlView === 'business' && businessId) {
       // Store the business ID to load after businesses are fetched
       sessionStorage.setItem('pendingBusinessId', businessId);
@@ -589,6 +937,8 @@ function App() {
     let newPath = '/';
     if (view === 'favorites') {
       newPath = '/favorites';
+    } else if (view === 'moderation') {
+      newPath = '/moderation';
     } else if (view === 'business' && selectedBusiness) {
       newPath = getBusinessUrl(selectedBusiness);
     }
@@ -618,7 +968,7 @@ function App() {
         if (businessId && businesses.length > 0) {
           const business = businesses.find(b => b.id === businessId);
           if (business) {
-            setSelectedBusiness(business);
+            setSelectedBusiness({ reviews: [], ...business });
             setView('business');
             window.scrollTo({ top: 0, behavior: 'instant' });
             // Fetch full details with auth headers
@@ -637,6 +987,9 @@ function App() {
       } else if (path === '/favorites') {
         setView('favorites');
         setSelectedBusiness(null);
+      } else if (path === '/moderation') {
+        setView('moderation');
+        setSelectedBusiness(null);
       } else {
         // Going back to home - restore scroll position
         setView('home');
@@ -653,34 +1006,65 @@ function App() {
     return () => window.removeEventListener('popstate', handlePopState);
   }, [businesses, savedScrollPosition]);
 
-  // Load favorites from user-specific localStorage when user changes
+  // Load favorites from the server when user changes
+  // Favorites saved by older versions only in this browser's localStorage are
+  // merged into the account once, then the local copy is removed.
   useEffect(() => {
-    if (user) {
-      // Load favorites for this specific user
-      const userFavoritesKey = `locallink_favorites_${user.id}`;
-      const saved = localStorage.getItem(userFavoritesKey);
-      if (saved) {
+    if (!user) {
+      // Clear favorites when logged out
+      setFavorites([]);
+      return;
+    }
+
+    let cancelled = false;
+    const legacyFavoritesKey = `locallink_favorites_${user.id}`;
+    const authHeaders = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+
+    const loadFavorites = async () => {
+      try {
+        let legacyFavorites = [];
         try {
-          setFavorites(JSON.parse(saved));
+          legacyFavorites = JSON.parse(localStorage.getItem(legacyFavoritesKey) || "[]");
         } catch {
-          setFavorites([]);
+          legacyFavorites = [];
         }
-      } else {
-        setFavorites([]);
+
+        const res = Array.isArray(legacyFavorites) && legacyFavorites.length > 0
+          ? await fetch(`${API_URL}/me/favorites`, {
+              method: "PUT",
+              headers: { "Content-Type": "application/json", ...authHeaders },
+              body: JSON.stringify({ favoriteIds: legacyFavorites, merge: true })
+            })
+          : await fetch(`${API_URL}/me/favorites`, { headers: authHeaders });
+
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const data = await res.json();
+
+        localStorage.removeItem(legacyFavoritesKey);
+        if (!cancelled) setFavorites(data.favorites || []);
+      } catch (err) {
+        console.error("[FAVORITES] Failed to load favorites:", err);
       }
-    } else {
-      // Clear favorites when logged out
-      setFavorites([]);
-    }
-  }, [user]);
+    };
 
-  // Save favorites to user-specific localStorage whenever they change (only if logged in)
+    loadFavorites();
+    return () => { cancelled = true; };
+  }, [user, authToken]);
+
+  // Load the user's business claims so owners can respond to reviews
   useEffect(() => {
-    if (user) {
-      const userFavoritesKey = `locallink_favorites_${user.id}`;
-      localStorage.setItem(userFavoritesKey, JSON.stringify(favorites));
+    if (!user) {
+      setMyClaims([]);
+      return;
     }
-  }, [favorites, user]);
+
+    let cancelled = false;
+    fetch(`${API_URL}/me/claims`, { headers: authToken ? { Authorization: `Bearer ${authToken}` } : {} })
+      .then(res => (res.ok ? res.json() : { claims: [] }))
+      .then(data => { if (!cancelled) setMyClaims(data.claims || []); })
+      .catch(err => console.error("[CLAIMS] Failed to load claims:", err));
+    return () => { cancelled = true; };
+  }, [user, authToken]);
 
   // Recover missing favorited businesses from Yelp
   useEffect(() => {
@@ -710,10 +1094,15 @@ function App() {
           }
           if (data.missing && data.missing.length > 0) {
             console.log(`[FAVORITES] ${data.missing.length} favorites could not be recovered (may have been deleted from Yelp)`);
-            // Remove permanently missing favorites from localStorage
+            // Remove permanently missing favorites from the account
             const validFavorites = favorites.filter(id => !data.missing.includes(id));
             if (validFavorites.length !== favorites.length) {
               setFavorites(validFavorites);
+              fetch(`${API_URL}/me/favorites`, {
+                method: "PUT",
+                headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+                body: JSON.stringify({ favoriteIds: validFavorites })
+              }).catch(err => console.error('[FAVORITES] Error saving favorites:', err));
             }
           }
         })
@@ -744,7 +1133,6 @@ function App() {
         // Fetch businesses first (most important, triggers cold start)
         const bizData = await fetchWithRetry(`${API_URL}/businesses`, 3, 3000);
         setBusinesses(bizData);
-        setFilteredBusinesses(bizData);
 
         // Check if we need to navigate to a specific business from URL
         const pendingBusinessId = sessionStorage.getItem('pendingBusinessId');
@@ -752,7 +1140,7 @@ function App() {
           sessionStorage.removeItem('pendingBusinessId');
           const business = bizData.find(b => b.id === pendingBusinessId);
           if (business) {
-            setSelectedBusiness(business);
+            setSelectedBusiness({ reviews: [], ...business });
             setView('business');
             // Fetch full details with auth headers
             fetch(`${API_URL}/businesses/${pendingBusinessId}`, {
@@ -817,61 +1205,190 @@ function App() {
     }
   }, [view, recaptchaConfig]);
 
-  // Apply filters and search
+  // Listing query for the current filters and search (without paging)
+  const browseParams = new URLSearchParams();
+  if (searchTerm) browseParams.append("search", searchTerm);
+  if (minRating) browseParams.append("minRating", minRating);
+  if (showDealsOnly) browseParams.append("hasDeals", "true");
+  if (showOpenNow) browseParams.append("openNow", "true");
+  if (selectedPrices.length > 0) browseParams.append("price", selectedPrices.join(","));
+  if (independentOnly) browseParams.append("isChain", "false");
+  if (selectedRegion) browseParams.append("region", selectedRegion);
+  if (nearLocation) {
+    browseParams.append("near", `${nearLocation.lat},${nearLocation.lon}`);
+    if (nearRadius) browseParams.append("radius", nearRadius);
+  }
+  // Selected labels must all match (a tag or the category)
+  if (selectedTags.length > 0) browseParams.append("tags", selectedTags.join(","));
+  // Searches are ranked by relevance unless another order was picked
+  let browseSort = minRating ? "rating" : sortBy;
+  if (searchTerm.trim() && browseSort === "local") browseSort = "relevance";
+  browseParams.append("sort", browseSort);
+  // One card per chain, except when searching
+  if (!searchTerm.trim()) browseParams.append("collapseChains", "true");
+  const browseQuery = browseParams.toString();
+
+  const onBrowseQuery = browsePage.query === browseQuery;
+  const businessPage = onBrowseQuery ? browsePage.page : 1;
+  const pageCursors = onBrowseQuery ? browsePage.cursors : [null];
+  const pageCursor = pageCursors[businessPage - 1];
+
+  // Facet count for one value, e.g. facetCount("rating", 4)
+  const facetCount = (facet, value) =>
+    businessFacets[facet].find(entry => String(entry.value) === String(value))?.count ?? 0;
+
+  // Fetch the current page of businesses
   useEffect(() => {
-    const params = new URLSearchParams();
-    if (searchTerm) params.append("search", searchTerm);
-    if (minRating) params.append("minRating", minRating);
-    if (showDealsOnly) params.append("hasDeals", "true");
-    params.append("sort", minRating ? "rating" : sortBy);
-    params.append("limit", "300");
+    const params = new URLSearchParams(browseQuery);
+    params.append("pageSize", String(BUSINESSES_PER_PAGE));
+    if (pageCursor) params.append("cursor", pageCursor);
 
+    let cancelled = false;
     fetch(`${API_URL}/businesses?${params}`)
       .then(r => r.json())
       .then(data => {
-        // Client-side filtering for selected tags (cascading - must match ALL selected tags)
-        if (selectedTags.length > 0) {
-          const selectedTagsLower = selectedTags.map(t => t.toLowerCase());
-          const filtered = data.filter(biz => {
-            const bizTagsLower = (biz.tags || []).map(t => t.toLowerCase());
-            const bizCategoryLower = (biz.category || "").toLowerCase();
-            // Must match ALL selected tags (cascading filter)
-            return selectedTagsLower.every(tag =>
-              bizTagsLower.includes(tag) || bizCategoryLower === tag
-            );
-          });
-          setFilteredBusinesses(filtered);
-        } else {
-          setFilteredBusinesses(data);
-        }
+        if (cancelled || !Array.isArray(data.businesses)) return;
+        setFilteredBusinesses(data.businesses);
+        setBusinessTotal(data.total);
+        setBusinessFacets({ ...EMPTY_FACETS, ...data.facets });
+        // Remember how to reach the next page
+        setBrowsePage(prev => {
+          const cursors = prev.query === browseQuery ? [...prev.cursors] : [null];
+          cursors[businessPage] = data.nextCursor;
+          return { query: browseQuery, page: businessPage, cursors };
+        });
+      })
+      .catch(err => console.error(err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [browseQuery, businessPage, pageCursor]);
+
+  // Load the regions the app serves
+  useEffect(() => {
+    fetch(`${API_URL}/regions`)
+      .then(r => r.json())
+      .then(data => {
+        const list = data.regions || [];
+        setRegions(list);
+        // Forget a saved region that no longer exists
+        setSelectedRegion(prev => (prev && !list.some(r => r.id === prev) ? "" : prev));
       })
+      .catch(err => console.error("Failed to load regions:", err));
+  }, []);
+
+  // Remember the region and refresh the community stats for it
+  useEffect(() => {
+    localStorage.setItem("locallink_region", selectedRegion);
+    if (regions.length < 2) return;
+    const query = selectedRegion ? `?region=${encodeURIComponent(selectedRegion)}` : "";
+    fetch(`${API_URL}/analytics${query}`)
+      .then(r => r.json())
+      .then(data => setAnalytics(data))
       .catch(err => console.error(err));
-  }, [selectedTags, searchTerm, minRating, showDealsOnly, sortBy]);
+  }, [selectedRegion, regions.length]);
+
+  const regionLabel = regions.length === 0
+    ? "Cumming, Georgia"
+    : (regions.find(r => r.id === selectedRegion) || (regions.length === 1 ? regions[0] : null))?.name;
+
+  // Use the browser's location for "near me" search, sorted by distance
+  const findNearMe = () => {
+    if (!navigator.geolocation) {
+      alert("Location isn't available in this browser.");
+      return;
+    }
+    setLocating(true);
+    navigator.geolocation.getCurrentPosition(
+      (position) => {
+        setLocating(false);
+        setNearLocation({
+          lat: Number(position.coords.latitude.toFixed(4)),
+          lon: Number(position.coords.longitude.toFixed(4))
+        });
+        setSortBy("distance");
+      },
+      (error) => {
+        setLocating(false);
+        console.error("Geolocation error:", error);
+        alert(error.code === error.PERMISSION_DENIED
+          ? "Location access was denied. Allow it in your browser settings to search near you."
+          : "Couldn't determine your location. Please try again.");
+      },
+      { enableHighAccuracy: false, timeout: 10000, maximumAge: 5 * 60 * 1000 }
+    );
+  };
+
+  const clearNearMe = () => {
+    setNearLocation(null);
+    setSortBy("local");
+  };
 
   // Fetch recommendations when favorites change
+  // The server reads the signed-in user's favorites itself
   useEffect(() => {
     if (favorites.length > 0) {
       fetch(`${API_URL}/recommendations`, {
         method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ favoriteIds: favorites })
+        headers: {
+          "Content-Type": "application/json",
+          ...(authToken ? { Authorization: `Bearer ${authToken}` } : {})
+        },
+        body: JSON.stringify({})
       })
         .then(r => r.json())
         .then(data => setRecommendations(data))
         .catch(err => console.error(err));
     }
-  }, [favorites]);
+  }, [favorites, authToken]);
 
-  const toggleFavorite = (id) => {
+  const toggleFavorite = async (id) => {
     // Require login to favorite businesses
     if (!user) {
       alert("Please log in to save favorites.");
       navigateToAuth("login");
       return;
     }
-    setFavorites(prev =>
-      prev.includes(id) ? prev.filter(fid => fid !== id) : [...prev, id]
-    );
+
+    // Update the UI right away, then save to the account
+    const previous = favorites;
+    const isFavorite = favorites.includes(id);
+    setFavorites(isFavorite ? favorites.filter(fid => fid !== id) : [...favorites, id]);
+
+    try {
+      const res = await fetch(`${API_URL}/me/favorites/${encodeURIComponent(id)}`, {
+        method: isFavorite ? "DELETE" : "PUT",
+        headers: getAuthHeaders()
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setFavorites(data.favorites || []);
+    } catch (err) {
+      console.error("[FAVORITES] Failed to save favorite:", err);
+      setFavorites(previous);
+      alert("Could not save your favorites. Please try again.");
+    }
+  };
+
+  // Remove every favorite from the account
+  const clearFavorites = async () => {
+    const previous = favorites;
+    setFavorites([]);
+
+    try {
+      const res = await fetch(`${API_URL}/me/favorites`, {
+        method: "DELETE",
+        headers: getAuthHeaders()
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+      setFavorites(data.favorites || []);
+    } catch (err) {
+      console.error("[FAVORITES] Failed to clear favorites:", err);
+      setFavorites(previous);
+      alert("Could not clear your favorites. Please try again.");
+    }
   };
 
   // SVG Icon Components
@@ -911,6 +1428,42 @@ function App() {
     </svg>
   );
 
+  // Photo file picker for the review forms. `room` is how many more photos
+  // the review can take.
+  const PhotoPicker = ({ files, onChange, room }) => (
+    <div className={styles.photoPicker}>
+      <span className={styles.starRatingLabel}>Photos (optional, up to {MAX_REVIEW_PHOTOS})</span>
+      <input
+        type="file"
+        accept={PHOTO_TYPES.join(",")}
+        multiple
+        disabled={files.length >= room}
+        onChange={e => {
+          onChange(pickReviewPhotos(e.target.files, files, room));
+          e.target.value = "";
+        }}
+        aria-label="Add photos to your review"
+      />
+      {files.length > 0 && (
+        <ul className={styles.photoPickerList}>
+          {files.map((file, index) => (
+            <li key={`${file.name}-${index}`}>
+              <span>{file.name}</span>
+              <button
+                type="button"
+                onClick={() => onChange(files.filter((_, i) => i !== index))}
+                className={styles.photoRemoveBtn}
+                aria-label={`Remove ${file.name}`}
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+
   // Clickable Star Rating Input Component
   const StarRatingInput = ({ value, onChange, label, size = 24 }) => {
     const [hoverValue, setHoverValue] = useState(0);
@@ -991,52 +1544,50 @@ function App() {
     </svg>
   );
 
-  // Reset business page when filters change
+  // Fetch search suggestions as the user types (debounced)
   useEffect(() => {
-    setBusinessPage(1);
-  }, [selectedTags, searchTerm, minRating, showDealsOnly, sortBy]);
-
-  // Deduplicate chain businesses for front page display
-  // Only show one instance of each chain unless user is searching
-  const deduplicateChains = (businesses) => {
-    if (searchTerm.trim()) {
-      // If user is searching, show all results including chains
-      return businesses;
+    const query = searchTerm.trim();
+    if (!query) {
+      setSuggestions([]);
+      return;
     }
 
-    const seen = new Set();
-    const deduped = [];
-
-    for (const biz of businesses) {
-      if (biz.isChain) {
-        // For chains, use the base name (e.g., "Publix" instead of "Publix Super Market #123")
-        const baseName = biz.name.split(/[#\d]/)[0].trim().toLowerCase();
-
-        if (!seen.has(baseName)) {
-          seen.add(baseName);
-          deduped.push(biz);
-        }
-        // Skip duplicate chains
-      } else {
-        // Always show local/independent businesses
-        deduped.push(biz);
-      }
-    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const params = new URLSearchParams({ q: query });
+      if (selectedRegion) params.append("region", selectedRegion);
+      fetch(`${API_URL}/search/suggest?${params}`)
+        .then(r => r.json())
+        .then(data => {
+          if (cancelled) return;
+          setSuggestions(Array.isArray(data) ? data : []);
+          setActiveSuggestion(-1);
+        })
+        .catch(err => console.error(err));
+    }, 150);
 
-    return deduped;
-  };
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [searchTerm, selectedRegion]);
 
   const viewBusiness = (business) => {
     // Save current scroll position before navigating
     setSavedScrollPosition(window.scrollY);
 
-    setSelectedBusiness(business);
+    // List entries have no review bodies; show none until the details load
+    setSelectedBusiness({ reviews: [], ...business });
     setView("business");
     setShowReviewForm(false);
+    setReviewForm(EMPTY_REVIEW_FORM);
+    setReviewHistory(null);
+    setReviewPhotoFiles([]);
     setDetailLoading(true);
-    // Reset review visibility when viewing new business
-    setVisibleReviewsCount(INITIAL_REVIEWS_COUNT);
-    setReviewsExpanded(false);
+    // Start each business with all of its reviews, freshly loaded
+    setReviewStars(null);
+    setReviewsWithComments(false);
+    setReviewReload(n => n + 1);
 
     // Scroll to top when opening business panel
     window.scrollTo({ top: 0, behavior: 'instant' });
@@ -1050,263 +1601,873 @@ function App() {
       .finally(() => setDetailLoading(false));
   };
 
-  // Start review - no CAPTCHA needed since users verified at signup
-  const startReview = () => {
-    setShowReviewForm(true);
-  };
+  // Start review - no CAPTCHA needed since users verified at signup.
+  // Users who already reviewed the business edit that review instead.
+  const startReview = () => {
+    const myReview = selectedBusiness?.myReview;
+    if (myReview) {
+      setReviewForm({
+        rating: myReview.rating,
+        comment: myReview.comment || "",
+        quality: myReview.quality || myReview.foodQuality || 3,
+        service: myReview.service || 3,
+        cleanliness: myReview.cleanliness || 3,
+        atmosphere: myReview.atmosphere || 3,
+        isAnonymous: !!myReview.isAnonymous
+      });
+    }
+    setShowReviewForm(true);
+  };
+
+  // Submit review - no CAPTCHA needed since users verified at signup.
+  // With `upsert` the user's existing review of the business is replaced.
+  const submitReview = async (e, upsert = !!selectedBusiness?.myReview) => {
+    e.preventDefault();
+
+    // Check if user is logged in
+    if (!user) {
+      alert("Please log in to submit a review.");
+      navigateToAuth("login");
+      return;
+    }
+
+    try {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews${upsert ? "?upsert=true" : ""}`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...getAuthHeaders()
+        },
+        body: JSON.stringify(reviewForm)
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        if (res.status === 401) {
+          alert("Please log in to submit a review.");
+          navigateToAuth("login");
+          return;
+        }
+        // Already reviewed (e.g. from another tab) - offer to replace it
+        if (res.status === 409 && data.reviewId && !upsert) {
+          if (window.confirm("You have already reviewed this business. Replace your review with this one?")) {
+            return submitReview(e, true);
+          }
+          return;
+        }
+        alert(data.error || "Failed to submit review");
+        return;
+      }
+
+      // Attach the picked photos to the new review
+      const photos = data.review && reviewPhotoFiles.length > 0
+        ? await uploadReviewPhotos(selectedBusiness.id, data.review.id, reviewPhotoFiles)
+        : null;
+
+      // Reviews held by screening stay hidden until a moderator approves them
+      alert(data.pending ? data.message : data.updated ? "Review updated successfully!" : "Review submitted successfully!");
+      setShowReviewForm(false);
+
+      // Optimistically update the UI with the new review immediately
+      if (data.review) {
+        const review = photos ? { ...data.review, photos } : data.review;
+        const shown = !data.pending;
+        setSelectedBusiness(prev => ({
+          ...prev,
+          myReview: review,
+          reviewCount: (prev.reviewCount || 0) + (shown && !data.updated ? 1 : 0)
+        }));
+        updateLoadedReviews(reviews => {
+          if (!shown) return reviews.filter(r => r.id !== review.id);
+          // A replaced review may have been held (and so not listed) before
+          if (!reviews.some(r => r.id === review.id)) return [review, ...reviews];
+          return reviews.map(r => (r.id === review.id ? review : r));
+        });
+        if (photos && shown) showReviewPhotos(review, photos);
+      }
+
+      setReviewForm(EMPTY_REVIEW_FORM);
+      setReviewPhotoFiles([]);
+
+      // Don't fetch from server - it may return stale data due to Vercel's serverless architecture
+      // The optimistic update is sufficient; fresh data loads on next navigation
+    } catch (err) {
+      console.error("Review submission error:", err);
+      alert(`Failed to submit review: ${err.message || "Unknown error"}. Please try again.`);
+    }
+  };
+
+  // Save reported reviews to localStorage
+  useEffect(() => {
+    localStorage.setItem("locallink_reported_reviews", JSON.stringify(reportedReviews));
+  }, [reportedReviews]);
+
+  // Keep the picked files that can be uploaded, up to `room` in total
+  const pickReviewPhotos = (fileList, current, room) => {
+    const picked = [...current];
+    for (const file of Array.from(fileList)) {
+      if (!PHOTO_TYPES.includes(file.type)) {
+        alert(`${file.name} is not a JPEG, PNG or WebP image.`);
+      } else if (file.size > MAX_PHOTO_MB * 1024 * 1024) {
+        alert(`${file.name} is larger than ${MAX_PHOTO_MB} MB.`);
+      } else if (picked.length >= room) {
+        alert(`A review can have at most ${MAX_REVIEW_PHOTOS} photos.`);
+        break;
+      } else {
+        picked.push(file);
+      }
+    }
+    return picked;
+  };
+
+  // Upload photos to a review one at a time. Returns the review's photos
+  // after the last upload that worked, or null if none did.
+  const uploadReviewPhotos = async (businessId, reviewId, files) => {
+    let photos = null;
+    const failed = [];
+    for (const file of files) {
+      try {
+        const res = await fetch(`${API_URL}/businesses/${businessId}/reviews/${reviewId}/photos`, {
+          method: "POST",
+          headers: { "Content-Type": file.type, ...getAuthHeaders() },
+          body: file
+        });
+        const data = await res.json();
+        if (res.ok) {
+          photos = data.photos;
+        } else {
+          failed.push(`${file.name}: ${data.error || "upload failed"}`);
+        }
+      } catch (err) {
+        console.error("Failed to upload photo:", err);
+        failed.push(`${file.name}: upload failed`);
+      }
+    }
+    if (failed.length > 0) {
+      alert(`Some photos could not be uploaded:\n${failed.join("\n")}`);
+    }
+    return photos;
+  };
+
+  // Show a review's current photos on the review and in the business gallery
+  const showReviewPhotos = (review, photos) => {
+    updateLoadedReviews(reviews => reviews.map(r => (r.id === review.id ? { ...r, photos } : r)));
+    setSelectedBusiness(prev => ({
+      ...prev,
+      myReview: prev.myReview?.id === review.id ? { ...prev.myReview, photos } : prev.myReview,
+      reviewPhotos: [
+        ...(prev.reviewPhotos || []).filter(p => p.reviewId !== review.id),
+        ...photos.map(p => ({ ...p, reviewId: review.id, author: review.author }))
+      ]
+    }));
+  };
+
+  // Remove one photo from your review
+  const removeReviewPhoto = async (review, photo) => {
+    if (!window.confirm("Remove this photo from your review?")) return;
+
+    try {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews/${review.id}/photos/${photo.id}`, {
+        method: "DELETE",
+        headers: getAuthHeaders()
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || "Failed to remove photo");
+        return;
+      }
+      showReviewPhotos(review, data.photos);
+    } catch (err) {
+      console.error("Failed to remove photo:", err);
+      alert("Failed to remove photo. Please try again.");
+    }
+  };
+
+  // Open the lightbox on one of a list of photos
+  const openLightbox = (photos, index = 0) => {
+    setLightboxImage({ photos, index });
+  };
+
+  // Arrow keys move through the lightbox photos, Escape closes it
+  const lightboxOpen = !!lightboxImage;
+  useEffect(() => {
+    if (!lightboxOpen) return;
+    const onKeyDown = (e) => {
+      if (e.key === "Escape") setLightboxImage(null);
+      else if (e.key === "ArrowRight") setLightboxImage(prev => stepLightbox(prev, 1));
+      else if (e.key === "ArrowLeft") setLightboxImage(prev => stepLightbox(prev, -1));
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [lightboxOpen]);
+
+  // Lightbox photos for a review
+  const reviewLightboxPhotos = (review) => (review.photos || []).map(photo => ({
+    url: photo.url,
+    thumbnailUrl: photo.thumbnailUrl,
+    alt: `Photo from ${review.author}'s review`,
+    caption: `From ${review.author}'s review`
+  }));
+
+  // Detail gallery: the business's own photos, then photos from reviews
+  const galleryPhotos = selectedBusiness ? [
+    ...(selectedBusiness.photos?.length ? selectedBusiness.photos : [selectedBusiness.image].filter(Boolean))
+      .map(url => ({ url, alt: `Photo of ${selectedBusiness.name}`, caption: selectedBusiness.name })),
+    ...(selectedBusiness.reviewPhotos || []).map(photo => ({
+      url: photo.url,
+      thumbnailUrl: photo.thumbnailUrl,
+      alt: `Photo from ${photo.author}'s review`,
+      caption: `From ${photo.author}'s review`
+    }))
+  ] : [];
+
+  // Edit a review
+  const startEditReview = (review) => {
+    setEditingReview(review);
+    setEditPhotoFiles([]);
+    setEditForm({
+      rating: review.rating,
+      comment: review.comment || "",
+      quality: review.quality || 3,
+      service: review.service || 3,
+      cleanliness: review.cleanliness || 3,
+      atmosphere: review.atmosphere || 3,
+      isAnonymous: review.isAnonymous || false
+    });
+  };
+
+  const cancelEditReview = () => {
+    setEditingReview(null);
+    setEditPhotoFiles([]);
+    setEditForm({
+      rating: 5,
+      comment: "",
+      quality: 3,
+      service: 3,
+      cleanliness: 3,
+      atmosphere: 3,
+      isAnonymous: false
+    });
+  };
+
+  const submitEditReview = async (e) => {
+    e.preventDefault();
+
+    if (!editingReview) return;
+
+    try {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews/${editingReview.id}`, {
+        method: "PUT",
+        headers: {
+          "Content-Type": "application/json",
+          ...getAuthHeaders()
+        },
+        // Send the revision we edited so the server can reject a stale overwrite
+        body: JSON.stringify({ ...editForm, revision: editingReview.revision })
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        // The review changed elsewhere - show the latest version instead of the stale one
+        if (res.status === 409 && data.review) {
+          updateLoadedReviews(reviews => reviews.map(r =>
+            r.id === data.review.id ? data.review : r
+          ));
+          cancelEditReview();
+        }
+        alert(data.error || "Failed to update review");
+        return;
+      }
+
+      // Update the review in the UI (an edit held by screening is hidden
+      // until a moderator approves it)
+      updateLoadedReviews(reviews => (data.pending
+        ? reviews.filter(r => r.id !== editingReview.id)
+        : reviews.map(r => (r.id === editingReview.id ? data.review : r))
+      ));
+      setSelectedBusiness(prev => ({
+        ...prev,
+        myReview: prev.myReview?.id === data.review.id ? data.review : prev.myReview
+      }));
+      // Loaded history no longer includes the latest version
+      setReviewHistory(prev => (prev?.reviewId === data.review.id ? null : prev));
+
+      // Add the newly picked photos
+      if (editPhotoFiles.length > 0) {
+        const photos = await uploadReviewPhotos(selectedBusiness.id, editingReview.id, editPhotoFiles);
+        if (photos && !data.pending) showReviewPhotos(data.review, photos);
+      }
+
+      alert(data.pending ? data.message : "Review updated successfully!");
+      cancelEditReview();
+    } catch (err) {
+      console.error("Failed to update review:", err);
+      alert("Failed to update review. Please try again.");
+    }
+  };
+
+  // Delete a review
+  const deleteReview = async (reviewId) => {
+    if (!window.confirm("Are you sure you want to delete this review? This action cannot be undone.")) {
+      return;
+    }
+
+    try {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews/${reviewId}`, {
+        method: "DELETE",
+        headers: getAuthHeaders()
+      });
+
+      const data = await res.json();
+
+      if (!res.ok) {
+        alert(data.error || "Failed to delete review");
+        return;
+      }
+
+      // Remove the review from the UI
+      setSelectedBusiness(prev => ({
+        ...prev,
+        reviewCount: Math.max(0, (prev.reviewCount || 0) - 1),
+        reviewPhotos: (prev.reviewPhotos || []).filter(p => p.reviewId !== reviewId),
+        myReview: prev.myReview?.id === reviewId ? null : prev.myReview
+      }));
+      updateLoadedReviews(reviews => reviews.filter(r => r.id !== reviewId));
+
+      alert("Review deleted successfully!");
+    } catch (err) {
+      console.error("Failed to delete review:", err);
+      alert("Failed to delete review. Please try again.");
+    }
+  };
+
+  // Report a review - requires login so each user can only report a review once
+  const reportReview = async (reviewId) => {
+    if (!user) {
+      alert("Please log in to report reviews.");
+      navigateToAuth("login");
+      return;
+    }
+    if (reportedReviews.includes(reviewId)) {
+      alert("You have already reported this review.");
+      return;
+    }
+
+    const reason = window.prompt(
+      "Why are you reporting this review?\n\nOptions:\n- Spam or fake review\n- Inappropriate content\n- Off-topic\n- Other",
+      "Inappropriate content"
+    );
+    if (!reason) return;
+
+    try {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews/${reviewId}/report`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+        body: JSON.stringify({ reason })
+      });
+
+      const data = await res.json();
+
+      if (res.ok) {
+        setReportedReviews(prev => [...prev, reviewId]);
+        alert(data.message);
+        // Don't fetch - trust the local state; hiding happens automatically if 3+ reports
+      } else if (res.status === 409) {
+        // Reported before (e.g. from another device)
+        setReportedReviews(prev => [...prev, reviewId]);
+        alert(data.error);
+      } else {
+        alert(data.error || "Failed to report review");
+      }
+    } catch (err) {
+      console.error("Failed to report review:", err);
+      alert("Failed to report review. Please try again.");
+    }
+  };
+
+  // Show or hide the earlier versions of an edited review
+  const toggleReviewHistory = async (review) => {
+    if (reviewHistory?.reviewId === review.id) {
+      setReviewHistory(null);
+      return;
+    }
+
+    setReviewHistory({ reviewId: review.id, loading: true, error: null, versions: [] });
+    try {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews/${review.id}/history`, {
+        headers: getAuthHeaders()
+      });
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || "Failed to load edit history");
+      setReviewHistory(prev => prev?.reviewId === review.id
+        ? { ...prev, loading: false, versions: data.versions }
+        : prev);
+    } catch (err) {
+      console.error("Failed to load edit history:", err);
+      setReviewHistory(prev => prev?.reviewId === review.id
+        ? { ...prev, loading: false, error: err.message }
+        : prev);
+    }
+  };
+
+  // Mark a review helpful or not helpful; choosing the current vote again takes it back
+  const voteOnReview = async (review, helpful) => {
+    if (!user) {
+      alert("Please log in to vote on reviews.");
+      navigateToAuth("login");
+      return;
+    }
+
+    const undo = review.myVote === helpful;
+    try {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews/${review.id}/vote`, {
+        method: undo ? "DELETE" : "PUT",
+        headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+        body: undo ? undefined : JSON.stringify({ helpful })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || "Failed to save your vote");
+        return;
+      }
+
+      updateLoadedReviews(reviews => reviews.map(r =>
+        r.id === review.id
+          ? { ...r, helpfulCount: data.helpfulCount, notHelpfulCount: data.notHelpfulCount, myVote: data.myVote }
+          : r
+      ));
+    } catch (err) {
+      console.error("Failed to vote on review:", err);
+      alert("Failed to save your vote. Please try again.");
+    }
+  };
+
+  const canModerate = !!user && ["moderator", "admin"].includes(user.role);
+
+  // The signed-in user's claim on the open business, if any
+  const selectedBusinessClaim = selectedBusiness
+    ? myClaims.find(c => c.businessId === selectedBusiness.id && c.status !== "rejected")
+    : null;
+  const ownsSelectedBusiness = selectedBusinessClaim?.status === "approved";
+  const canManageDeals = ownsSelectedBusiness || user?.role === "admin";
+  const selectedBusinessId = selectedBusiness?.id;
+
+  // Load every deal of the open business for its owner, including expired ones
+  useEffect(() => {
+    if (!canManageDeals || !selectedBusinessId) {
+      setManagedDeals([]);
+      return;
+    }
+
+    let cancelled = false;
+    fetch(`${API_URL}/businesses/${selectedBusinessId}/deals?status=all`, {
+      headers: authToken ? { Authorization: `Bearer ${authToken}` } : {}
+    })
+      .then(res => (res.ok ? res.json() : { deals: [] }))
+      .then(data => { if (!cancelled) setManagedDeals(data.deals || []); })
+      .catch(err => console.error("[DEALS] Failed to load deals:", err));
+    return () => { cancelled = true; };
+  }, [canManageDeals, selectedBusinessId, authToken]);
+
+  // Keep the public deal list of the open business in sync after owner changes
+  const syncSelectedBusinessDeals = (deals) => {
+    const now = new Date().toISOString();
+    const active = deals.filter(d => d.status === "active" && (!d.endsAt || d.endsAt > now));
+    setSelectedBusiness(prev => ({
+      ...prev,
+      deals: active,
+      deal: active.length > 0 ? active[0].title : (prev.dealSource === "demo" ? prev.deal : null),
+      dealSource: active.length > 0 ? "owner" : (prev.dealSource === "demo" ? "demo" : null)
+    }));
+  };
+
+  // Create a deal for the open business
+  const createDeal = async (e) => {
+    e.preventDefault();
+
+    try {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/deals`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+        body: JSON.stringify({
+          title: dealForm.title,
+          terms: dealForm.terms,
+          startsAt: dealForm.startsAt ? new Date(dealForm.startsAt).toISOString() : undefined,
+          endsAt: dealForm.endsAt ? new Date(dealForm.endsAt).toISOString() : null,
+          maxRedemptions: dealForm.maxRedemptions ? parseInt(dealForm.maxRedemptions, 10) : null
+        })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || "Failed to create deal");
+        return;
+      }
+
+      const deals = [...managedDeals, data.deal];
+      setManagedDeals(deals);
+      syncSelectedBusinessDeals(deals);
+      setDealForm({ title: "", terms: "", startsAt: "", endsAt: "", maxRedemptions: "" });
+    } catch (err) {
+      console.error("[DEALS] Failed to create deal:", err);
+      alert("Failed to create deal. Please try again.");
+    }
+  };
+
+  // End a running deal right away
+  const endDeal = async (deal) => {
+    try {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/deals/${deal.id}`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+        body: JSON.stringify({ endsAt: new Date().toISOString() })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || "Failed to end deal");
+        return;
+      }
+
+      const deals = managedDeals.map(d => (d.id === deal.id ? data.deal : d));
+      setManagedDeals(deals);
+      syncSelectedBusinessDeals(deals);
+    } catch (err) {
+      console.error("[DEALS] Failed to end deal:", err);
+      alert("Failed to end deal. Please try again.");
+    }
+  };
+
+  // Delete a deal
+  const deleteDeal = async (deal) => {
+    if (!window.confirm(`Delete the deal "${deal.title}"?`)) return;
+
+    try {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/deals/${deal.id}`, {
+        method: "DELETE",
+        headers: getAuthHeaders()
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || "Failed to delete deal");
+        return;
+      }
+
+      const deals = managedDeals.filter(d => d.id !== deal.id);
+      setManagedDeals(deals);
+      syncSelectedBusinessDeals(deals);
+    } catch (err) {
+      console.error("[DEALS] Failed to delete deal:", err);
+      alert("Failed to delete deal. Please try again.");
+    }
+  };
+
+  // Redeem a deal (once per account)
+  const redeemDeal = async (deal) => {
+    if (!user) {
+      alert("Please log in to redeem deals.");
+      navigateToAuth("login");
+      return;
+    }
+
+    try {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/deals/${deal.id}/redeem`, {
+        method: "POST",
+        headers: getAuthHeaders()
+      });
+      const data = await res.json();
+      if (res.ok || res.status === 409) {
+        setRedeemedDeals(prev => [...prev, deal.id]);
+      }
+      if (res.ok) {
+        setSelectedBusiness(prev => ({
+          ...prev,
+          deals: (prev.deals || []).map(d => (d.id === deal.id ? data.deal : d))
+        }));
+      }
+      alert(data.message || data.error || "Failed to redeem deal");
+    } catch (err) {
+      console.error("[DEALS] Failed to redeem deal:", err);
+      alert("Failed to redeem deal. Please try again.");
+    }
+  };
+
+  // Load the moderation queue when the moderator view is open
+  useEffect(() => {
+    if (view !== "moderation" || !canModerate) return;
+
+    let cancelled = false;
+    const authHeaders = authToken ? { Authorization: `Bearer ${authToken}` } : {};
+
+    const loadModerationQueue = async () => {
+      setModerationLoading(true);
+      setModerationError(null);
+      try {
+        const res = await fetch(`${API_URL}/moderation/reviews?status=${moderationFilter}`, { headers: authHeaders });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+        if (!cancelled) setModerationItems(data.items || []);
+      } catch (err) {
+        console.error("[MODERATION] Failed to load queue:", err);
+        if (!cancelled) setModerationError(err.message || "Failed to load the moderation queue.");
+      } finally {
+        if (!cancelled) setModerationLoading(false);
+      }
+    };
+
+    loadModerationQueue();
+    return () => { cancelled = true; };
+  }, [view, canModerate, moderationFilter, authToken]);
+
+  // Approve, hide or restore a reported review
+  const moderateReview = async (item, action) => {
+    const note = window.prompt(`Optional note for the audit log (${action}):`, "");
+    if (note === null) return; // Cancelled
+
+    try {
+      const res = await fetch(`${API_URL}/moderation/reviews/${encodeURIComponent(item.businessId)}/${encodeURIComponent(item.review.id)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+        body: JSON.stringify({ action, note })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || "Failed to save moderation action");
+        return;
+      }
+
+      // Drop items that no longer match the current filter
+      const updated = data.item;
+      const stillListed = moderationFilter === "all" ||
+        (moderationFilter === "pending" && updated.status === "pending") ||
+        (moderationFilter === "hidden" && updated.hidden);
+      setModerationItems(prev => stillListed
+        ? prev.map(i => (i.review.id === updated.review.id ? updated : i))
+        : prev.filter(i => i.review.id !== updated.review.id));
+    } catch (err) {
+      console.error("[MODERATION] Failed to moderate review:", err);
+      alert("Failed to save moderation action. Please try again.");
+    }
+  };
+
+  // Load pending business claims for admins on the moderation page
+  useEffect(() => {
+    if (view !== "moderation" || user?.role !== "admin") return;
+
+    let cancelled = false;
+    fetch(`${API_URL}/admin/claims?status=pending`, { headers: authToken ? { Authorization: `Bearer ${authToken}` } : {} })
+      .then(res => (res.ok ? res.json() : { claims: [] }))
+      .then(data => { if (!cancelled) setAdminClaims(data.claims || []); })
+      .catch(err => console.error("[CLAIMS] Failed to load claims:", err));
+    return () => { cancelled = true; };
+  }, [view, user, authToken]);
+
+  // Approve or reject a business claim (admins)
+  const reviewClaim = async (claim, action) => {
+    const note = window.prompt(`Optional note for ${claim.username} (${action}):`, "");
+    if (note === null) return; // Cancelled
 
-  // Submit review - no CAPTCHA needed since users verified at signup
-  const submitReview = async (e) => {
-    e.preventDefault();
+    try {
+      const res = await fetch(`${API_URL}/admin/claims/${encodeURIComponent(claim.id)}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+        body: JSON.stringify({ action, note })
+      });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || "Failed to review claim");
+        return;
+      }
+      // Approving a claim closes other claims for the same business
+      setAdminClaims(prev => prev.filter(c =>
+        c.id !== claim.id && !(action === "approve" && c.businessId === claim.businessId)
+      ));
+    } catch (err) {
+      console.error("[CLAIMS] Failed to review claim:", err);
+      alert("Failed to review claim. Please try again.");
+    }
+  };
 
-    // Check if user is logged in
+  // Claim the selected business
+  const claimBusiness = async () => {
     if (!user) {
-      alert("Please log in to submit a review.");
+      alert("Please log in to claim this business.");
       navigateToAuth("login");
       return;
     }
 
+    const message = window.prompt(
+      `How are you connected to ${selectedBusiness.name}? An admin will review your claim.`,
+      ""
+    );
+    if (!message) return;
+
     try {
-      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews`, {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/claim`, {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          ...getAuthHeaders()
-        },
-        body: JSON.stringify(reviewForm)
+        headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+        body: JSON.stringify({ message })
       });
-
       const data = await res.json();
-
       if (!res.ok) {
-        if (res.status === 401) {
-          alert("Please log in to submit a review.");
-          navigateToAuth("login");
-          return;
-        }
-        alert(data.error || "Failed to submit review");
+        alert(data.error || "Failed to submit claim");
         return;
       }
-
-      alert("Review submitted successfully!");
-      setShowReviewForm(false);
-
-      // Optimistically update the UI with the new review immediately
-      if (data.review) {
-        setSelectedBusiness(prev => ({
-          ...prev,
-          reviews: [...(prev.reviews || []), data.review],
-          reviewCount: (prev.reviewCount || 0) + 1
-        }));
-      }
-
-      setReviewForm({
-        rating: 5,
-        comment: "",
-        quality: 3,
-        service: 3,
-        cleanliness: 3,
-        atmosphere: 3,
-        isAnonymous: false
-      });
-
-      // Don't fetch from server - it may return stale data due to Vercel's serverless architecture
-      // The optimistic update is sufficient; fresh data loads on next navigation
+      setMyClaims(prev => [...prev, data.claim]);
+      alert(data.message);
     } catch (err) {
-      console.error("Review submission error:", err);
-      alert(`Failed to submit review: ${err.message || "Unknown error"}. Please try again.`);
+      console.error("[CLAIMS] Failed to claim business:", err);
+      alert("Failed to submit claim. Please try again.");
     }
   };
 
-  // Save reported reviews to localStorage
-  useEffect(() => {
-    localStorage.setItem("locallink_reported_reviews", JSON.stringify(reportedReviews));
-  }, [reportedReviews]);
-
-  // Edit a review
-  const startEditReview = (review) => {
-    setEditingReview(review);
-    setEditForm({
-      rating: review.rating,
-      comment: review.comment || "",
-      quality: review.quality || 3,
-      service: review.service || 3,
-      cleanliness: review.cleanliness || 3,
-      atmosphere: review.atmosphere || 3,
-      isAnonymous: review.isAnonymous || false
-    });
+  // Start writing (or editing) the owner response to a review
+  const startOwnerResponse = (review) => {
+    setRespondingReviewId(review.id);
+    setResponseText(review.ownerResponse?.text || "");
   };
 
-  const cancelEditReview = () => {
-    setEditingReview(null);
-    setEditForm({
-      rating: 5,
-      comment: "",
-      quality: 3,
-      service: 3,
-      cleanliness: 3,
-      atmosphere: 3,
-      isAnonymous: false
-    });
+  const cancelOwnerResponse = () => {
+    setRespondingReviewId(null);
+    setResponseText("");
   };
 
-  const submitEditReview = async (e) => {
+  // Save the owner response for a review
+  const submitOwnerResponse = async (e, review) => {
     e.preventDefault();
 
-    if (!editingReview) return;
-
     try {
-      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews/${editingReview.id}`, {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews/${review.id}/response`, {
         method: "PUT",
-        headers: {
-          "Content-Type": "application/json",
-          ...getAuthHeaders()
-        },
-        body: JSON.stringify(editForm)
+        headers: { "Content-Type": "application/json", ...getAuthHeaders() },
+        body: JSON.stringify({ text: responseText })
       });
-
       const data = await res.json();
-
       if (!res.ok) {
-        alert(data.error || "Failed to update review");
+        alert(data.error || "Failed to save response");
         return;
       }
 
-      // Update the review in the UI
-      setSelectedBusiness(prev => ({
-        ...prev,
-        reviews: (prev.reviews || []).map(r =>
-          r.id === editingReview.id ? data.review : r
-        )
-      }));
-
-      alert("Review updated successfully!");
-      cancelEditReview();
+      updateLoadedReviews(reviews => reviews.map(r =>
+        r.id === review.id ? { ...r, ownerResponse: data.ownerResponse } : r
+      ));
+      cancelOwnerResponse();
     } catch (err) {
-      console.error("Failed to update review:", err);
-      alert("Failed to update review. Please try again.");
+      console.error("[CLAIMS] Failed to save owner response:", err);
+      alert("Failed to save response. Please try again.");
     }
   };
 
-  // Delete a review
-  const deleteReview = async (reviewId) => {
-    if (!window.confirm("Are you sure you want to delete this review? This action cannot be undone.")) {
-      return;
-    }
+  // Remove the owner response from a review
+  const deleteOwnerResponse = async (review) => {
+    if (!window.confirm("Remove your response to this review?")) return;
 
     try {
-      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews/${reviewId}`, {
+      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews/${review.id}/response`, {
         method: "DELETE",
         headers: getAuthHeaders()
       });
-
       const data = await res.json();
-
       if (!res.ok) {
-        alert(data.error || "Failed to delete review");
+        alert(data.error || "Failed to remove response");
         return;
       }
 
-      // Remove the review from the UI
-      setSelectedBusiness(prev => ({
-        ...prev,
-        reviews: (prev.reviews || []).filter(r => r.id !== reviewId),
-        reviewCount: Math.max(0, (prev.reviewCount || 0) - 1)
-      }));
-
-      alert("Review deleted successfully!");
+      updateLoadedReviews(reviews => reviews.map(r =>
+        r.id === review.id ? { ...r, ownerResponse: null } : r
+      ));
     } catch (err) {
-      console.error("Failed to delete review:", err);
-      alert("Failed to delete review. Please try again.");
+      console.error("[CLAIMS] Failed to remove owner response:", err);
+      alert("Failed to remove response. Please try again.");
     }
   };
 
-  // Report a review
-  const reportReview = async (reviewId, reason) => {
-    if (reportedReviews.includes(reviewId)) {
-      alert("You have already reported this review.");
-      return;
-    }
+  // Reviews come from the server a page at a time, sorted and filtered there
+  const reviewParams = new URLSearchParams({ sort: reviewSortBy });
+  if (reviewStars) reviewParams.append("stars", String(reviewStars));
+  if (reviewsWithComments) reviewParams.append("hasComment", "true");
+  const reviewQuery = reviewParams.toString();
+  const reviewsLoaded = reviewPage.businessId === selectedBusinessId;
 
-    try {
-      const res = await fetch(`${API_URL}/businesses/${selectedBusiness.id}/reviews/${reviewId}/report`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ reason })
-      });
+  // Load the first page of reviews for the open business, sort and filters.
+  // Signed in, the reviews also carry the user's helpful votes.
+  const userId = user?.id;
+  useEffect(() => {
+    if (!selectedBusinessId) return;
+    const params = new URLSearchParams(reviewQuery);
+    params.append("pageSize", String(INITIAL_REVIEWS_COUNT));
 
-      const data = await res.json();
+    let cancelled = false;
+    fetch(`${API_URL}/businesses/${selectedBusinessId}/reviews?${params}`, { headers: getAuthHeaders() })
+      .then(r => r.json())
+      .then(data => {
+        if (cancelled || !Array.isArray(data.reviews)) return;
+        setReviewPage({ ...EMPTY_REVIEW_PAGE, ...data, businessId: selectedBusinessId, query: reviewQuery });
+        setReviewsExpanded(false);
+      })
+      .catch(err => console.error("Failed to load reviews:", err));
 
-      if (res.ok) {
-        setReportedReviews(prev => [...prev, reviewId]);
-        alert(data.message);
-        // Don't fetch - trust the local state; hiding happens automatically if 3+ reports
-      } else {
-        alert(data.error || "Failed to report review");
+    return () => {
+      cancelled = true;
+    };
+  // Reload on sign in and out, not each time the access token is renewed
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [selectedBusinessId, reviewQuery, reviewReload, userId]);
+
+  // Append the next page of reviews
+  const loadMoreReviews = async () => {
+    const { businessId, query, nextCursor } = reviewPage;
+    if (!nextCursor) return;
+    const params = new URLSearchParams(query);
+    params.append("pageSize", String(REVIEWS_LOAD_MORE));
+    params.append("cursor", nextCursor);
+
+    try {
+      const res = await fetch(`${API_URL}/businesses/${businessId}/reviews?${params}`, { headers: getAuthHeaders() });
+      const data = await res.json();
+      if (!res.ok) {
+        alert(data.error || "Failed to load more reviews");
+        return;
       }
+      setReviewPage(prev => {
+        if (prev.businessId !== businessId || prev.query !== query) return prev;
+        // Reviews added here since the first page may come back from the server
+        const loadedIds = new Set(prev.reviews.map(r => r.id));
+        return {
+          ...prev,
+          reviews: [...prev.reviews, ...data.reviews.filter(r => !loadedIds.has(r.id))],
+          nextCursor: data.nextCursor
+        };
+      });
+      setReviewsExpanded(true);
     } catch (err) {
-      console.error("Failed to report review:", err);
-      alert("Failed to report review. Please try again.");
+      console.error("Failed to load more reviews:", err);
+      alert("Failed to load more reviews. Please try again.");
     }
   };
 
-  // Sort reviews based on selected criteria
-  const getSortedReviews = (reviews) => {
-    if (!reviews || reviews.length === 0) return [];
-
-    const sorted = [...reviews];
-
-    switch (reviewSortBy) {
-      case "relevant":
-        // Relevance: combination of comment length + recency
-        sorted.sort((a, b) => {
-          const scoreA = Math.min((a.comment || '').length / 20, 10) + (new Date(a.date).getTime() / 1e12);
-          const scoreB = Math.min((b.comment || '').length / 20, 10) + (new Date(b.date).getTime() / 1e12);
-          return scoreB - scoreA;
-        });
-        break;
-      case "newest":
-        sorted.sort((a, b) => new Date(b.date) - new Date(a.date));
-        break;
-      case "oldest":
-        sorted.sort((a, b) => new Date(a.date) - new Date(b.date));
-        break;
-      default:
-        break;
-    }
-
-    return sorted;
+  // Apply a change to the loaded reviews. Reviews that aren't loaded didn't
+  // change, so the histogram and counts move by the difference.
+  const updateLoadedReviews = (update) => {
+    setReviewPage(prev => {
+      const reviews = update(prev.reviews);
+      const histogram = { ...prev.histogram };
+      prev.reviews.forEach(r => { histogram[starsOf(r)]--; });
+      reviews.forEach(r => { histogram[starsOf(r)]++; });
+      const added = reviews.length - prev.reviews.length;
+      return {
+        ...prev,
+        reviews,
+        histogram,
+        total: prev.total + added,
+        reviewCount: prev.reviewCount + added
+      };
+    });
   };
 
-  // Update sorted review order when business changes or sort option changes
-  useEffect(() => {
-    if (selectedBusiness?.reviews && selectedBusiness.reviews.length > 0) {
-      const sorted = getSortedReviews(selectedBusiness.reviews);
-      setSortedReviewIds(sorted.map(r => r.id));
-    } else {
-      setSortedReviewIds([]);
-    }
-  // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [selectedBusiness?.id, reviewSortBy]);
-
-  // Get reviews in stable sorted order
-  const getStableSortedReviews = (reviews) => {
-    if (!reviews || reviews.length === 0) return [];
-
-    // If we have a stable order, use it
-    if (sortedReviewIds.length > 0) {
-      const reviewMap = new Map(reviews.map(r => [r.id, r]));
-      const ordered = sortedReviewIds
-        .map(id => reviewMap.get(id))
-        .filter(Boolean);
-
-      // Add any new reviews that aren't in the sorted order (newly added)
-      const newReviews = reviews.filter(r => !sortedReviewIds.includes(r.id));
-      return [...newReviews, ...ordered];
-    }
-
-    // Fallback to dynamic sort if no stable order yet
-    return getSortedReviews(reviews);
+  // Show or clear the filter for one star value
+  const toggleReviewStars = (stars) => {
+    setReviewStars(prev => (prev === stars ? null : stars));
   };
 
   // Helper: Copy to clipboard with feedback
@@ -1436,6 +2597,15 @@ function App() {
     }, 100);
   };
 
+  // Helper: Toggle a price range in the price filter
+  const togglePrice = (price) => {
+    setSelectedPrices(prev =>
+      prev.includes(price)
+        ? prev.filter(p => p !== price)
+        : PRICE_RANGES.filter(p => p === price || prev.includes(p))
+    );
+  };
+
   // Helper: Toggle tag selection
   const toggleTag = (tag) => {
     setSelectedTags(prev =>
@@ -1445,10 +2615,59 @@ function App() {
     );
   };
 
+  // Helper: Act on a search suggestion. Businesses open their detail page,
+  // tags and categories become label filters.
+  const chooseSuggestion = (suggestion) => {
+    setShowSuggestions(false);
+    setActiveSuggestion(-1);
+
+    if (suggestion.type === "business") {
+      const business = businesses.find(b => b.id === suggestion.id);
+      if (business) {
+        viewBusiness(business);
+      } else {
+        setSearchTerm(suggestion.label);
+      }
+      return;
+    }
+
+    setSearchTerm("");
+    setSelectedTags(prev =>
+      prev.some(t => t.toLowerCase() === suggestion.label.toLowerCase())
+        ? prev
+        : [...prev, suggestion.label]
+    );
+  };
+
+  // Keyboard navigation for the suggestion dropdown
+  const handleSearchKeyDown = (e) => {
+    if (e.key === "Escape") {
+      setShowSuggestions(false);
+      setActiveSuggestion(-1);
+      return;
+    }
+    if (suggestions.length === 0) return;
+
+    if (e.key === "ArrowDown") {
+      e.preventDefault();
+      setShowSuggestions(true);
+      setActiveSuggestion(i => (i + 1) % suggestions.length);
+    } else if (e.key === "ArrowUp") {
+      e.preventDefault();
+      setShowSuggestions(true);
+      setActiveSuggestion(i => (i <= 0 ? suggestions.length - 1 : i - 1));
+    } else if (e.key === "Enter" && showSuggestions && activeSuggestion >= 0) {
+      e.preventDefault();
+      chooseSuggestion(suggestions[activeSuggestion]);
+    }
+  };
+
   // Helper: Change business page and scroll to top of listing
   const changeBusinessPage = (newPage) => {
     const page = typeof newPage === 'function' ? newPage(businessPage) : newPage;
-    setBusinessPage(page);
+    // Only pages whose cursor is known can be opened
+    if (page < 1 || page > pageCursors.length || (page > 1 && !pageCursors[page - 1])) return;
+    setBrowsePage({ query: browseQuery, page, cursors: pageCursors });
     // Scroll to the filters section after a brief delay to allow state update
     setTimeout(() => {
       const filtersSection = document.querySelector('[data-section="filters"]');
@@ -1507,8 +2726,17 @@ function App() {
   };
 
   // Developer tool: Export businesses to JSON/CSV
-  const exportBusinesses = (format) => {
-    const businessesToExport = deduplicateChains(filteredBusinesses);
+  const exportBusinesses = async (format) => {
+    // The listing only holds one page, so fetch every match for the export
+    let businessesToExport;
+    try {
+      const res = await fetch(`${API_URL}/businesses?${browseQuery}`);
+      businessesToExport = await res.json();
+      if (!res.ok || !Array.isArray(businessesToExport)) throw new Error(businessesToExport.error || "Export failed");
+    } catch (err) {
+      console.error(err);
+      return;
+    }
     const timestamp = new Date().toISOString().split('T')[0];
 
     if (format === 'json') {
@@ -1648,6 +2876,15 @@ function App() {
             >
               Favorites ({favorites.length})
             </button>
+            {canModerate && (
+              <button
+                className={view === "moderation" ? styles.navButtonActive : styles.navButton}
+                onClick={() => { setView("moderation"); window.scrollTo({ top: 0, behavior: 'instant' }); }}
+                aria-current={view === "moderation" ? "page" : undefined}
+              >
+                Moderation
+              </button>
+            )}
             {user ? (
               <div className={styles.userMenu}>
                 <button
@@ -1737,12 +2974,36 @@ function App() {
               <line x1="6" y1="6" x2="18" y2="18" />
             </svg>
           </button>
-          <img
-            src={lightboxImage}
-            alt="Enlarged business photo"
-            className={styles.lightboxImage}
-            onClick={(e) => e.stopPropagation()}
-          />
+          <figure className={styles.lightboxFigure} onClick={(e) => e.stopPropagation()}>
+            <img
+              src={lightboxImage.photos[lightboxImage.index].url}
+              alt={lightboxImage.photos[lightboxImage.index].alt}
+              className={styles.lightboxImage}
+            />
+            {lightboxImage.photos.length > 1 && (
+              <figcaption className={styles.lightboxCaption}>
+                {lightboxImage.photos[lightboxImage.index].caption} · {lightboxImage.index + 1} of {lightboxImage.photos.length}
+              </figcaption>
+            )}
+          </figure>
+          {lightboxImage.photos.length > 1 && (
+            <>
+              <button
+                className={`${styles.lightboxNav} ${styles.lightboxPrev}`}
+                onClick={(e) => { e.stopPropagation(); setLightboxImage(prev => stepLightbox(prev, -1)); }}
+                aria-label="Previous photo"
+              >
+                ‹
+              </button>
+              <button
+                className={`${styles.lightboxNav} ${styles.lightboxNext}`}
+                onClick={(e) => { e.stopPropagation(); setLightboxImage(prev => stepLightbox(prev, 1)); }}
+                aria-label="Next photo"
+              >
+                ›
+              </button>
+            </>
+          )}
         </div>
       )}
 
@@ -1913,26 +3174,76 @@ function App() {
                 <h3 id="filters-title" className={styles.sectionTitle}>Browse All Businesses</h3>
                 <p className={styles.sectionSubtitle}>
                   {(() => {
-                    const dedupedCount = deduplicateChains(filteredBusinesses).length;
                     const startNum = (businessPage - 1) * BUSINESSES_PER_PAGE + 1;
-                    const endNum = Math.min(businessPage * BUSINESSES_PER_PAGE, dedupedCount);
-                    return dedupedCount > BUSINESSES_PER_PAGE
-                      ? `Showing ${startNum}-${endNum} of ${dedupedCount} businesses`
-                      : `Showing ${dedupedCount} ${dedupedCount === 1 ? 'business' : 'businesses'}`;
+                    const endNum = startNum + filteredBusinesses.length - 1;
+                    return businessTotal > BUSINESSES_PER_PAGE
+                      ? `Showing ${startNum}-${endNum} of ${businessTotal} businesses`
+                      : `Showing ${businessTotal} ${businessTotal === 1 ? 'business' : 'businesses'}`;
                   })()}
                 </p>
               </div>
             </div>
 
             <div className={styles.filters} role="search">
-              <input
-                type="text"
-                placeholder="Search businesses by name..."
-                value={searchTerm}
-                onChange={e => setSearchTerm(e.target.value)}
-                className={styles.searchInput}
-                aria-label="Search businesses by name"
-              />
+              <div className={styles.searchBox}>
+                <input
+                  type="text"
+                  placeholder="Search businesses by name..."
+                  value={searchTerm}
+                  onChange={e => {
+                    setSearchTerm(e.target.value);
+                    setShowSuggestions(true);
+                  }}
+                  onFocus={() => setShowSuggestions(true)}
+                  onBlur={() => setShowSuggestions(false)}
+                  onKeyDown={handleSearchKeyDown}
+                  className={styles.searchInput}
+                  aria-label="Search businesses by name"
+                  role="combobox"
+                  aria-autocomplete="list"
+                  aria-expanded={showSuggestions && suggestions.length > 0}
+                  aria-controls="search-suggestions"
+                  aria-activedescendant={activeSuggestion >= 0 ? `search-suggestion-${activeSuggestion}` : undefined}
+                />
+                {showSuggestions && suggestions.length > 0 && (
+                  <ul id="search-suggestions" className={styles.suggestions} role="listbox" aria-label="Search suggestions">
+                    {suggestions.map((suggestion, index) => (
+                      <li
+                        key={`${suggestion.type}-${suggestion.id || suggestion.label}`}
+                        id={`search-suggestion-${index}`}
+                        role="option"
+                        aria-selected={index === activeSuggestion}
+                        className={`${styles.suggestion} ${index === activeSuggestion ? styles.suggestionActive : ''}`}
+                        // mousedown fires before the input's blur closes the list
+                        onMouseDown={e => {
+                          e.preventDefault();
+                          chooseSuggestion(suggestion);
+                        }}
+                        onMouseEnter={() => setActiveSuggestion(index)}
+                      >
+                        <span className={styles.suggestionLabel}>{suggestion.label}</span>
+                        <span className={styles.suggestionType}>
+                          {suggestion.type === "business" ? suggestion.category : suggestion.type}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+
+              {regions.length > 1 && (
+                <select
+                  value={selectedRegion}
+                  onChange={e => setSelectedRegion(e.target.value)}
+                  className={styles.select}
+                  aria-label="Filter by region"
+                >
+                  <option value="">All Regions</option>
+                  {regions.map(region => (
+                    <option key={region.id} value={region.id}>{region.name}</option>
+                  ))}
+                </select>
+              )}
 
               <select
                 value={minRating}
@@ -1941,11 +3252,9 @@ function App() {
                 aria-label="Filter by minimum rating"
               >
                 <option value="">Any Rating</option>
-                <option value="4.5">4.5+ Stars</option>
-                <option value="4">4+ Stars</option>
-                <option value="3">3+ Stars</option>
-                <option value="2">2+ Stars</option>
-                <option value="1">1+ Stars</option>
+                {["4.5", "4", "3", "2", "1"].map(min => (
+                  <option key={min} value={min}>{min}+ Stars ({facetCount("rating", min)})</option>
+                ))}
               </select>
 
               <label className={styles.checkbox}>
@@ -1957,6 +3266,78 @@ function App() {
                 />
                 <span className={styles.checkboxLabel}>Deals Only</span>
               </label>
+
+              <label className={styles.checkbox}>
+                <input
+                  type="checkbox"
+                  checked={showOpenNow}
+                  onChange={e => setShowOpenNow(e.target.checked)}
+                  aria-label="Show only businesses open now"
+                />
+                <span className={styles.checkboxLabel}>Open Now</span>
+              </label>
+
+              <label className={styles.checkbox}>
+                <input
+                  type="checkbox"
+                  checked={independentOnly}
+                  onChange={e => setIndependentOnly(e.target.checked)}
+                  aria-label="Show only independent businesses, no chains"
+                />
+                <span className={styles.checkboxLabel}>
+                  Independent Only <span className={styles.facetCount}>({facetCount("isChain", false)})</span>
+                </span>
+              </label>
+
+              <div className={styles.priceFilter} role="group" aria-label="Filter by price">
+                {PRICE_RANGES.map(price => {
+                  const selected = selectedPrices.includes(price);
+                  const count = facetCount("priceRange", price);
+                  return (
+                    <button
+                      key={price}
+                      type="button"
+                      onClick={() => togglePrice(price)}
+                      className={styles.priceOption}
+                      aria-pressed={selected}
+                      aria-label={`Price ${price} (${count} businesses)`}
+                      disabled={!selected && count === 0}
+                    >
+                      {price} <span className={styles.facetCount}>{count}</span>
+                    </button>
+                  );
+                })}
+              </div>
+
+              {nearLocation ? (
+                <div className={styles.nearMeControls}>
+                  <select
+                    value={nearRadius}
+                    onChange={e => setNearRadius(e.target.value)}
+                    className={styles.select}
+                    aria-label="Distance from your location"
+                  >
+                    <option value="1">Within 1 mile</option>
+                    <option value="5">Within 5 miles</option>
+                    <option value="10">Within 10 miles</option>
+                    <option value="25">Within 25 miles</option>
+                    <option value="">Any distance</option>
+                  </select>
+                  <button type="button" onClick={clearNearMe} className={styles.clearFiltersBtn} aria-label="Stop searching near your location">
+                    Clear Location
+                  </button>
+                </div>
+              ) : (
+                <button
+                  type="button"
+                  onClick={findNearMe}
+                  className={styles.btnSecondary}
+                  disabled={locating}
+                  aria-label="Find businesses near your location"
+                >
+                  {locating ? "Locating..." : "Near Me"}
+                </button>
+              )}
             </div>
 
             {/* Dynamic Cascading Label Filter */}
@@ -2003,34 +3384,18 @@ function App() {
               {/* Available Tags - Dynamically filtered based on current results */}
               <div className={styles.availableTagsRow}>
                 {(() => {
-                  // Compute available tags from currently filtered businesses (cascading)
-                  const tagCounts = {};
+                  // Labels from the server's facet counts for all current results (cascading)
                   const selectedTagsLower = selectedTags.map(t => t.toLowerCase());
-
-                  filteredBusinesses.forEach(biz => {
-                    const bizTags = biz.tags || [];
-                    const bizCategory = biz.category || "";
-
-                    // Count each tag on filtered businesses
-                    bizTags.forEach(tag => {
-                      const tagLower = tag.toLowerCase();
-                      // Skip if already selected
-                      if (!selectedTagsLower.includes(tagLower)) {
-                        const displayTag = tag.charAt(0).toUpperCase() + tag.slice(1).toLowerCase();
-                        tagCounts[displayTag] = (tagCounts[displayTag] || 0) + 1;
-                      }
-                    });
-
-                    // Also count category as a filterable tag
-                    if (bizCategory && !selectedTagsLower.includes(bizCategory.toLowerCase())) {
-                      tagCounts[bizCategory] = (tagCounts[bizCategory] || 0) + 1;
+                  const labelCounts = new Map();
+                  [...businessFacets.category, ...businessFacets.tag].forEach(({ value, count }) => {
+                    const key = value.toLowerCase();
+                    if (selectedTagsLower.includes(key)) return;
+                    // A tag named like a category is the same label
+                    if (!labelCounts.has(key) || labelCounts.get(key).count < count) {
+                      labelCounts.set(key, { tag: value, count });
                     }
                   });
-
-                  // Convert to array and sort by count
-                  const cascadingTags = Object.entries(tagCounts)
-                    .map(([tag, count]) => ({ tag, count }))
-                    .sort((a, b) => b.count - a.count);
+                  const cascadingTags = [...labelCounts.values()].sort((a, b) => b.count - a.count);
 
                   // Filter by search term
                   const searchLower = labelSearchTerm.toLowerCase().trim();
@@ -2063,17 +3428,8 @@ function App() {
                 })()}
                 {!labelSearchTerm && (() => {
                   // Count remaining tags not shown
-                  const tagCounts = {};
                   const selectedTagsLower = selectedTags.map(t => t.toLowerCase());
-                  filteredBusinesses.forEach(biz => {
-                    (biz.tags || []).forEach(tag => {
-                      if (!selectedTagsLower.includes(tag.toLowerCase())) {
-                        const displayTag = tag.charAt(0).toUpperCase() + tag.slice(1).toLowerCase();
-                        tagCounts[displayTag] = 1;
-                      }
-                    });
-                  });
-                  const totalTags = Object.keys(tagCounts).length;
+                  const totalTags = businessFacets.tag.filter(({ value }) => !selectedTagsLower.includes(value.toLowerCase())).length;
                   if (totalTags > 12) {
                     return (
                       <span className={styles.moreLabelsHint}>
@@ -2113,13 +3469,7 @@ function App() {
                 No businesses found. Try adjusting your filters.
               </div>
             ) : (
-              (() => {
-                const allBusinesses = deduplicateChains(filteredBusinesses);
-                const totalBusinessPages = Math.ceil(allBusinesses.length / BUSINESSES_PER_PAGE);
-                const startIdx = (businessPage - 1) * BUSINESSES_PER_PAGE;
-                const paginatedBusinesses = allBusinesses.slice(startIdx, startIdx + BUSINESSES_PER_PAGE);
-
-                return paginatedBusinesses.map(biz => (
+              filteredBusinesses.map(biz => (
                 <article
                   key={biz.id}
                   className={styles.businessCard}
@@ -2165,6 +3515,9 @@ function App() {
                         {biz.reviewCount > 0 ? `(${biz.reviewCount} reviews)` : "No reviews yet"}
                       </span>
                       {biz.deal && <span className={styles.dealBadge}>Deal</span>}
+                      {biz.distanceMiles != null && (
+                        <span className={styles.distance}>{biz.distanceMiles} mi away</span>
+                      )}
                     </div>
 
                     {biz.deal ? (
@@ -2201,13 +3554,12 @@ function App() {
                     </button>
                   </div>
                 </article>
-              ));
-              })()
+              ))
             )}
           </section>
 
           {/* Business Pagination Controls */}
-          {filteredBusinesses.length > BUSINESSES_PER_PAGE && (
+          {businessTotal > BUSINESSES_PER_PAGE && (
             <nav className={styles.paginationControls} style={{ marginTop: 'var(--space-6)', marginBottom: 'var(--space-6)' }} aria-label="Business listing pagination">
               <button
                 onClick={() => changeBusinessPage(p => Math.max(1, p - 1))}
@@ -2219,7 +3571,7 @@ function App() {
               </button>
               <div className={styles.paginationNumbers}>
                 {(() => {
-                  const totalPages = Math.ceil(deduplicateChains(filteredBusinesses).length / BUSINESSES_PER_PAGE);
+                  const totalPages = Math.ceil(businessTotal / BUSINESSES_PER_PAGE);
                   const pages = [];
                   const maxVisiblePages = 8;
 
@@ -2264,6 +3616,8 @@ function App() {
                       <button
                         key={page}
                         onClick={() => changeBusinessPage(page)}
+                        // Pages are reached by cursor, so only visited pages and the next one open directly
+                        disabled={page > pageCursors.length || (page > 1 && !pageCursors[page - 1])}
                         className={businessPage === page ? styles.paginationBtnActive : styles.paginationBtn}
                         aria-label={`Go to page ${page}`}
                         aria-current={businessPage === page ? "page" : undefined}
@@ -2275,8 +3629,8 @@ function App() {
                 })()}
               </div>
               <button
-                onClick={() => changeBusinessPage(p => Math.min(Math.ceil(deduplicateChains(filteredBusinesses).length / BUSINESSES_PER_PAGE), p + 1))}
-                disabled={businessPage >= Math.ceil(deduplicateChains(filteredBusinesses).length / BUSINESSES_PER_PAGE)}
+                onClick={() => changeBusinessPage(p => p + 1)}
+                disabled={!pageCursors[businessPage]}
                 className={styles.paginationBtn}
                 aria-label="Go to next page"
               >
@@ -2291,7 +3645,7 @@ function App() {
               <summary className={styles.devExportSummary}>Developer Tools</summary>
               <div className={styles.devExportContent}>
                 <p className={styles.devExportText}>
-                  Export {deduplicateChains(filteredBusinesses).length} currently displayed businesses:
+                  Export all {businessTotal} businesses matching the current filters:
                 </p>
                 <div className={styles.devExportButtons}>
                   <button
@@ -2386,13 +3740,13 @@ function App() {
                       </span>
                     </div>
 
-                    {selectedBusiness.isOpenNow !== undefined && (
+                    {selectedBusiness.openNow != null && (
                       <span
-                        className={selectedBusiness.isOpenNow ? styles.statusPillOpen : styles.statusPillClosed}
+                        className={selectedBusiness.openNow ? styles.statusPillOpen : styles.statusPillClosed}
                         role="status"
-                        aria-label={selectedBusiness.isOpenNow ? 'Currently open' : 'Currently closed'}
+                        aria-label={selectedBusiness.openNow ? 'Currently open' : 'Currently closed'}
                       >
-                        {selectedBusiness.isOpenNow ? '● Open now' : '● Closed'}
+                        {selectedBusiness.openNow ? '● Open now' : '● Closed'}
                       </span>
                     )}
                   </div>
@@ -2428,26 +3782,22 @@ function App() {
                   </button>
 
                   {/* Business Image Thumbnail */}
-                  {(selectedBusiness.image || (selectedBusiness.photos && selectedBusiness.photos.length > 0)) && (
+                  {galleryPhotos.length > 0 && (
                     <button
                       className={styles.imageThumbnailBtn}
-                      onClick={() => setLightboxImage(
-                        selectedBusiness.photos && selectedBusiness.photos.length > 0
-                          ? selectedBusiness.photos[0]
-                          : selectedBusiness.image
-                      )}
-                      aria-label={`View enlarged photo of ${selectedBusiness.name}`}
+                      onClick={() => openLightbox(galleryPhotos)}
+                      aria-label={galleryPhotos.length > 1
+                        ? `View ${galleryPhotos.length} photos of ${selectedBusiness.name}`
+                        : `View enlarged photo of ${selectedBusiness.name}`}
                       title="Click to enlarge image"
                     >
                       <img
-                        src={selectedBusiness.photos && selectedBusiness.photos.length > 0
-                          ? selectedBusiness.photos[0]
-                          : selectedBusiness.image}
-                        alt={`Photo of ${selectedBusiness.name}`}
+                        src={galleryPhotos[0].thumbnailUrl || galleryPhotos[0].url}
+                        alt={galleryPhotos[0].alt}
                         className={styles.imageThumbnail}
                       />
                       <div className={styles.imageThumbnailOverlay}>
-                        <span>View image</span>
+                        <span>{galleryPhotos.length > 1 ? `View ${galleryPhotos.length} photos` : "View image"}</span>
                       </div>
                     </button>
                   )}
@@ -2499,6 +3849,20 @@ function App() {
                     Website
                   </button>
                 )}
+
+                {ownsSelectedBusiness ? (
+                  <span className={styles.ownerBadge}>You manage this business</span>
+                ) : selectedBusinessClaim ? (
+                  <span className={styles.ownerBadge}>Ownership claim pending review</span>
+                ) : !selectedBusiness.claimed && (
+                  <button
+                    className={styles.btnSecondary}
+                    onClick={claimBusiness}
+                    title="Claim this business to respond to reviews"
+                  >
+                    Claim this business
+                  </button>
+                )}
               </div>
             </div>
 
@@ -2517,8 +3881,37 @@ function App() {
                   </div>
                 )}
 
-                {/* Deal Callout */}
-                {selectedBusiness.deal && (
+                {/* Owner Deals */}
+                {selectedBusiness.deals?.length > 0 && (
+                  <div className={styles.detailPanel} style={{ backgroundColor: 'var(--color-warning-bg)', border: '2px solid var(--color-secondary-700)' }}>
+                    <h3 className={styles.chipWarning} style={{ marginBottom: 'var(--space-2)' }}>
+                      {selectedBusiness.deals.length === 1 ? 'Special Offer' : 'Special Offers'}
+                    </h3>
+                    {selectedBusiness.deals.map(deal => (
+                      <div key={deal.id} className={styles.dealItem}>
+                        <GiftIcon size={24} />
+                        <div className={styles.dealItemBody}>
+                          <p className={styles.dealItemTitle}>{deal.title}</p>
+                          {deal.terms && <p className={styles.dealItemTerms}>{deal.terms}</p>}
+                          <p className={styles.dealItemTerms}>
+                            {deal.endsAt ? `Ends ${new Date(deal.endsAt).toLocaleDateString()}` : 'No end date'}
+                            {deal.remaining !== null && ` · ${deal.remaining} left`}
+                          </p>
+                        </div>
+                        <button
+                          className={styles.btnSecondary}
+                          onClick={() => redeemDeal(deal)}
+                          disabled={redeemedDeals.includes(deal.id) || deal.status !== 'active'}
+                        >
+                          {redeemedDeals.includes(deal.id) ? 'Redeemed' : 'Redeem'}
+                        </button>
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {/* Deal Callout (demo mode sample offer) */}
+                {!(selectedBusiness.deals?.length > 0) && selectedBusiness.deal && (
                   <div className={styles.detailPanel} style={{ backgroundColor: 'var(--color-warning-bg)', border: '2px solid var(--color-secondary-700)' }}>
                     <div style={{ display: 'flex', alignItems: 'flex-start', gap: 'var(--space-3)' }}>
                       <GiftIcon size={24} />
@@ -2527,17 +3920,107 @@ function App() {
                         <p style={{ fontSize: 'var(--text-body)', color: 'var(--color-warning)', margin: 0 }}>
                           {selectedBusiness.deal}
                         </p>
+                        {selectedBusiness.dealSource === 'demo' && (
+                          <p className={styles.dealItemTerms}>Sample offer shown in demo mode.</p>
+                        )}
                       </div>
                     </div>
                   </div>
                 )}
 
+                {/* Deal Management (owner or admin) */}
+                {canManageDeals && (
+                  <div className={styles.detailPanel}>
+                    <h2 className={styles.detailPanelHeader}>Manage Deals</h2>
+
+                    {managedDeals.length > 0 && (
+                      <div className={styles.reviewsList} style={{ marginBottom: 'var(--space-6)' }}>
+                        {managedDeals.map(deal => (
+                          <div key={deal.id} className={styles.dealItem}>
+                            <div className={styles.dealItemBody}>
+                              <p className={styles.dealItemTitle}>
+                                {deal.title} <span className={styles.moderationStatus}>{deal.status}</span>
+                              </p>
+                              <p className={styles.dealItemTerms}>
+                                {new Date(deal.startsAt).toLocaleDateString()} – {deal.endsAt ? new Date(deal.endsAt).toLocaleDateString() : 'no end date'}
+                                {' · '}{deal.redemptionCount} redeemed{deal.maxRedemptions !== null && ` of ${deal.maxRedemptions}`}
+                              </p>
+                            </div>
+                            {deal.status !== 'expired' && (
+                              <button onClick={() => endDeal(deal)} className={styles.editButton}>End Now</button>
+                            )}
+                            <button onClick={() => deleteDeal(deal)} className={styles.deleteButton}>Delete</button>
+                          </div>
+                        ))}
+                      </div>
+                    )}
+
+                    <form onSubmit={createDeal} className={styles.authForm}>
+                      <div className={styles.formGroup}>
+                        <label htmlFor="deal-title" className={styles.label}>Offer</label>
+                        <input
+                          id="deal-title"
+                          className={styles.input}
+                          value={dealForm.title}
+                          onChange={(e) => setDealForm(prev => ({ ...prev, title: e.target.value }))}
+                          maxLength={100}
+                          placeholder="e.g. 10% off lunch orders before 2 PM"
+                          required
+                        />
+                      </div>
+                      <div className={styles.formGroup}>
+                        <label htmlFor="deal-terms" className={styles.label}>Terms (optional)</label>
+                        <textarea
+                          id="deal-terms"
+                          className={styles.textarea}
+                          rows={2}
+                          value={dealForm.terms}
+                          onChange={(e) => setDealForm(prev => ({ ...prev, terms: e.target.value }))}
+                          maxLength={500}
+                        />
+                      </div>
+                      <div className={styles.formGroup}>
+                        <label htmlFor="deal-starts" className={styles.label}>Starts (optional, defaults to now)</label>
+                        <input
+                          id="deal-starts"
+                          type="datetime-local"
+                          className={styles.input}
+                          value={dealForm.startsAt}
+                          onChange={(e) => setDealForm(prev => ({ ...prev, startsAt: e.target.value }))}
+                        />
+                      </div>
+                      <div className={styles.formGroup}>
+                        <label htmlFor="deal-ends" className={styles.label}>Ends (optional)</label>
+                        <input
+                          id="deal-ends"
+                          type="datetime-local"
+                          className={styles.input}
+                          value={dealForm.endsAt}
+                          onChange={(e) => setDealForm(prev => ({ ...prev, endsAt: e.target.value }))}
+                        />
+                      </div>
+                      <div className={styles.formGroup}>
+                        <label htmlFor="deal-limit" className={styles.label}>Redemption limit (optional)</label>
+                        <input
+                          id="deal-limit"
+                          type="number"
+                          min={1}
+                          className={styles.input}
+                          value={dealForm.maxRedemptions}
+                          onChange={(e) => setDealForm(prev => ({ ...prev, maxRedemptions: e.target.value }))}
+                        />
+                      </div>
+                      <button type="submit" className={styles.submitBtn}>Add Deal</button>
+                    </form>
+                  </div>
+                )}
+
                 {/* Reviews Section */}
                 <div className={styles.detailPanel}>
                   <div className={styles.sectionHeaderWithAction}>
                     <h2 className={styles.sectionHeader}>{selectedBusiness.reviewCount || selectedBusiness.reviews?.length || 0} {(selectedBusiness.reviewCount || selectedBusiness.reviews?.length || 0) === 1 ? 'Review' : 'Reviews'}</h2>
                     <div className={styles.reviewActions}>
-                      {selectedBusiness.reviews.length > 1 && (
+                      {reviewsLoaded && reviewPage.reviewCount > 1 && (
                         <select
                           value={reviewSortBy}
                           onChange={e => setReviewSortBy(e.target.value)}
@@ -2547,12 +4030,15 @@ function App() {
                           <option value="relevant">Most Relevant</option>
                           <option value="newest">Newest First</option>
                           <option value="oldest">Oldest First</option>
+                          <option value="highest">Highest Rated</option>
+                          <option value="lowest">Lowest Rated</option>
+                          <option value="helpful">Most Helpful</option>
                         </select>
                       )}
                       {!showReviewForm && (
                         user ? (
                           <button onClick={startReview} className={styles.btnPrimary}>
-                            Write a Review
+                            {selectedBusiness.myReview ? "Edit Your Review" : "Write a Review"}
                           </button>
                         ) : (
                           <button
@@ -2569,7 +4055,14 @@ function App() {
 
                   {showReviewForm && (
                     <form onSubmit={submitReview} className={styles.reviewForm} aria-labelledby="review-form-title">
-                      <h4 id="review-form-title" className={styles.formTitle}>Write Your Review</h4>
+                      <h4 id="review-form-title" className={styles.formTitle}>
+                        {selectedBusiness.myReview ? "Edit Your Review" : "Write Your Review"}
+                      </h4>
+                      {selectedBusiness.myReview?.hidden && (
+                        <p className={styles.offlineNotice}>
+                          Your review is not shown publicly until a moderator has looked at it.
+                        </p>
+                      )}
 
                       {demoStatus?.offlineMode && (
                         <p className={styles.offlineNotice}>
@@ -2645,10 +4138,16 @@ function App() {
                         {reviewForm.comment.length} / 2,000
                       </div>
 
+                      <PhotoPicker
+                        files={reviewPhotoFiles}
+                        onChange={setReviewPhotoFiles}
+                        room={MAX_REVIEW_PHOTOS - (selectedBusiness.myReview?.photos?.length || 0)}
+                      />
+
 
                       <div className={styles.formButtons}>
                         <button type="submit" className={styles.submitBtn}>
-                          Submit Review
+                          {selectedBusiness.myReview ? "Save Changes" : "Submit Review"}
                         </button>
                         <button
                           type="button"
@@ -2721,7 +4220,9 @@ function App() {
                     </div>
                   )}
 
-                  {selectedBusiness.reviews.length === 0 ? (
+                  {!reviewsLoaded ? (
+                    <p className={styles.reviewsStatus}>Loading reviews...</p>
+                  ) : reviewPage.reviewCount === 0 ? (
                     <div className={styles.emptyStateContainer}>
                       <div className={styles.emptyStateIcon}><MessageIcon size={48} /></div>
                       <h3 className={styles.emptyStateTitle}>No reviews yet</h3>
@@ -2731,7 +4232,7 @@ function App() {
                       {!showReviewForm && (
                         user ? (
                           <button onClick={startReview} className={styles.btnAccent}>
-                            Write the First Review
+                            {selectedBusiness.myReview ? "Edit Your Review" : "Write the First Review"}
                           </button>
                         ) : (
                           <button
@@ -2746,11 +4247,47 @@ function App() {
                     </div>
                   ) : (
                     <div className={styles.reviewsList}>
-                      {(() => {
-                        const sortedReviews = getStableSortedReviews(selectedBusiness.reviews);
-                        const displayedReviews = sortedReviews.slice(0, visibleReviewsCount);
+                      {/* Star histogram - click a row to show only those reviews */}
+                      <div className={styles.reviewHistogram} role="group" aria-label="Filter reviews by star rating">
+                        {[5, 4, 3, 2, 1].map(stars => {
+                          const count = reviewPage.histogram[stars] || 0;
+                          return (
+                            <button
+                              key={stars}
+                              type="button"
+                              onClick={() => toggleReviewStars(stars)}
+                              className={styles.histogramRow}
+                              aria-pressed={reviewStars === stars}
+                              aria-label={`${stars} star reviews: ${count}`}
+                              disabled={count === 0 && reviewStars !== stars}
+                            >
+                              <span className={styles.histogramLabel}>{stars} ★</span>
+                              <span className={styles.aggregateBar}>
+                                <span
+                                  className={styles.aggregateBarFill}
+                                  style={{ width: `${(count / reviewPage.reviewCount) * 100}%` }}
+                                />
+                              </span>
+                              <span className={styles.histogramCount}>{count}</span>
+                            </button>
+                          );
+                        })}
+                        <label className={styles.checkbox}>
+                          <input
+                            type="checkbox"
+                            checked={reviewsWithComments}
+                            onChange={e => setReviewsWithComments(e.target.checked)}
+                            aria-label="Show only reviews with comments"
+                          />
+                          <span className={styles.checkboxLabel}>With comments only</span>
+                        </label>
+                      </div>
 
-                        return displayedReviews.map(review => (
+                      {reviewPage.total === 0 && (
+                        <p className={styles.reviewsStatus}>No reviews match these filters.</p>
+                      )}
+
+                      {reviewPage.reviews.map(review => (
                         <div key={review.id} className={styles.reviewItem}>
                           {/* Edit form for this review */}
                           {editingReview && editingReview.id === review.id ? (
@@ -2802,6 +4339,29 @@ function App() {
                                 aria-label="Edit your review comment"
                               />
 
+                              {review.photos?.length > 0 && (
+                                <div className={styles.reviewPhotos}>
+                                  {review.photos.map(photo => (
+                                    <div key={photo.id} className={styles.reviewPhotoEditable}>
+                                      <img src={photo.thumbnailUrl} alt="Photo in your review" className={styles.reviewPhotoThumb} />
+                                      <button
+                                        type="button"
+                                        onClick={() => removeReviewPhoto(review, photo)}
+                                        className={styles.photoRemoveBtn}
+                                        aria-label="Remove this photo from your review"
+                                      >
+                                        Remove
+                                      </button>
+                                    </div>
+                                  ))}
+                                </div>
+                              )}
+                              <PhotoPicker
+                                files={editPhotoFiles}
+                                onChange={setEditPhotoFiles}
+                                room={MAX_REVIEW_PHOTOS - (review.photos?.length || 0)}
+                              />
+
                               <label className={styles.anonymousCheckbox}>
                                 <input
                                   type="checkbox"
@@ -2859,12 +4419,89 @@ function App() {
 
                               {review.comment && <p className={styles.reviewComment}>{review.comment}</p>}
 
+                              {review.photos?.length > 0 && (
+                                <div className={styles.reviewPhotos}>
+                                  {review.photos.map((photo, index) => (
+                                    <button
+                                      key={photo.id}
+                                      type="button"
+                                      onClick={() => openLightbox(reviewLightboxPhotos(review), index)}
+                                      className={styles.reviewPhotoBtn}
+                                      aria-label={`View photo ${index + 1} from ${review.author}'s review`}
+                                    >
+                                      <img src={photo.thumbnailUrl} alt="" className={styles.reviewPhotoThumb} loading="lazy" />
+                                    </button>
+                                  ))}
+                                </div>
+                              )}
+
                               {review.editedAt && (
                                 <p className={styles.reviewEdited}>
-                                  (edited {new Date(review.editedAt).toLocaleDateString()})
+                                  <button
+                                    type="button"
+                                    onClick={() => toggleReviewHistory(review)}
+                                    className={styles.reviewEditedLink}
+                                    aria-expanded={reviewHistory?.reviewId === review.id}
+                                  >
+                                    (edited {new Date(review.editedAt).toLocaleDateString()})
+                                  </button>
                                 </p>
                               )}
 
+                              {reviewHistory?.reviewId === review.id && (
+                                <div className={styles.reviewHistory} aria-live="polite">
+                                  {reviewHistory.loading ? (
+                                    <p className={styles.reviewsStatus}>Loading edit history...</p>
+                                  ) : reviewHistory.error ? (
+                                    <p className={styles.reviewsStatus} role="alert">{reviewHistory.error}</p>
+                                  ) : (
+                                    <>
+                                      {/* Newest change first, each compared with the version before it */}
+                                      {reviewHistory.versions
+                                        .map((version, index) => ({ version, previous: reviewHistory.versions[index - 1] }))
+                                        .slice(1)
+                                        .reverse()
+                                        .map(({ version, previous }) => {
+                                          const ratingChanges = VERSION_RATINGS.filter(([field]) =>
+                                            previous[field] !== undefined && previous[field] !== version[field]
+                                          );
+                                          const commentChanged = (previous.comment || "") !== (version.comment || "");
+                                          return (
+                                            <div key={version.revision} className={styles.historyVersion}>
+                                              <p className={styles.historyMeta}>
+                                                Version {version.revision} · {new Date(version.date).toLocaleString()}
+                                              </p>
+                                              {ratingChanges.map(([field, label]) => (
+                                                <p key={field} className={styles.historyRating}>
+                                                  {label}: <del className={styles.diffRemoved}>{previous[field]}★</del>{" "}
+                                                  <ins className={styles.diffAdded}>{version[field]}★</ins>
+                                                </p>
+                                              ))}
+                                              {commentChanged && (
+                                                <p className={styles.historyComment}>
+                                                  {diffWords(previous.comment, version.comment).map((part, i) => (
+                                                    part.type === "added" ? <ins key={i} className={styles.diffAdded}>{part.text}</ins>
+                                                      : part.type === "removed" ? <del key={i} className={styles.diffRemoved}>{part.text}</del>
+                                                        : <span key={i}>{part.text}</span>
+                                                  ))}
+                                                </p>
+                                              )}
+                                              {ratingChanges.length === 0 && !commentChanged && (
+                                                <p className={styles.historyMeta}>No changes to the rating or text.</p>
+                                              )}
+                                            </div>
+                                          );
+                                        })}
+                                      <p className={styles.historyMeta}>
+                                        {reviewHistory.versions[0].revision > 1
+                                          ? "Earlier versions of this review were not saved."
+                                          : `Originally posted ${new Date(reviewHistory.versions[0].date).toLocaleString()}.`}
+                                      </p>
+                                    </>
+                                  )}
+                                </div>
+                              )}
+
                               <div className={styles.reviewFooter}>
                                 <div className={styles.reviewDate}>
                                   {new Date(review.date).toLocaleDateString()}
@@ -2891,14 +4528,37 @@ function App() {
                                       </button>
                                     </>
                                   )}
+                                  {ownsSelectedBusiness && respondingReviewId !== review.id && (
+                                    <button
+                                      onClick={() => startOwnerResponse(review)}
+                                      className={styles.editButton}
+                                      title="Respond publicly as the business owner"
+                                    >
+                                      {review.ownerResponse ? "Edit Response" : "Respond"}
+                                    </button>
+                                  )}
+                                  <div className={styles.reviewVotes} role="group" aria-label="Was this review helpful?">
+                                    <button
+                                      onClick={() => voteOnReview(review, true)}
+                                      className={styles.voteButton}
+                                      aria-pressed={review.myVote === true}
+                                      disabled={!!user && review.userId === user.id}
+                                      title={user && review.userId === user.id ? "You can't vote on your own review" : "This review was helpful"}
+                                    >
+                                      Helpful ({review.helpfulCount || 0})
+                                    </button>
+                                    <button
+                                      onClick={() => voteOnReview(review, false)}
+                                      className={styles.voteButton}
+                                      aria-pressed={review.myVote === false}
+                                      disabled={!!user && review.userId === user.id}
+                                      title={user && review.userId === user.id ? "You can't vote on your own review" : "This review was not helpful"}
+                                    >
+                                      Not helpful ({review.notHelpfulCount || 0})
+                                    </button>
+                                  </div>
                                   <button
-                                    onClick={() => {
-                                      const reason = window.prompt(
-                                        "Why are you reporting this review?\n\nOptions:\n- Spam or fake review\n- Inappropriate content\n- Off-topic\n- Other",
-                                        "Inappropriate content"
-                                      );
-                                      if (reason) reportReview(review.id, reason);
-                                    }}
+                                    onClick={() => reportReview(review.id)}
                                     className={reportedReviews.includes(review.id) ? styles.reportButtonReported : styles.reportButton}
                                     disabled={reportedReviews.includes(review.id)}
                                     title={reportedReviews.includes(review.id) ? "You reported this review" : "Report this review"}
@@ -2908,33 +4568,66 @@ function App() {
                                   </button>
                                 </div>
                               </div>
+
+                              {/* Owner response form */}
+                              {respondingReviewId === review.id ? (
+                                <form onSubmit={(e) => submitOwnerResponse(e, review)} className={styles.ownerResponse}>
+                                  <textarea
+                                    value={responseText}
+                                    onChange={(e) => setResponseText(e.target.value)}
+                                    className={styles.textarea}
+                                    rows={3}
+                                    maxLength={1000}
+                                    placeholder="Write a public response to this review"
+                                    aria-label="Your response as the business owner"
+                                    required
+                                  />
+                                  <div className={styles.formButtons}>
+                                    <button type="submit" className={styles.submitBtn}>Post Response</button>
+                                    <button type="button" onClick={cancelOwnerResponse} className={styles.cancelBtn}>Cancel</button>
+                                  </div>
+                                </form>
+                              ) : review.ownerResponse && (
+                                <div className={styles.ownerResponse}>
+                                  <div className={styles.ownerResponseHeader}>
+                                    <strong>Response from the owner</strong>
+                                    <span className={styles.reviewDate}>
+                                      {new Date(review.ownerResponse.date).toLocaleDateString()}
+                                      {review.ownerResponse.editedAt && " (edited)"}
+                                    </span>
+                                  </div>
+                                  <p className={styles.reviewComment}>{review.ownerResponse.text}</p>
+                                  {(ownsSelectedBusiness || canModerate) && (
+                                    <button
+                                      onClick={() => deleteOwnerResponse(review)}
+                                      className={styles.deleteButton}
+                                      aria-label="Remove the owner response"
+                                    >
+                                      Remove Response
+                                    </button>
+                                  )}
+                                </div>
+                              )}
                             </>
                           )}
                         </div>
-                      ));
-                      })()}
+                      ))}
 
                       {/* See More / Hide Reviews Controls */}
-                      {selectedBusiness.reviews.length > INITIAL_REVIEWS_COUNT && (
+                      {(reviewPage.nextCursor || reviewsExpanded) && (
                         <div className={styles.reviewsLoadMore}>
-                          {visibleReviewsCount < selectedBusiness.reviews.length && (
+                          {reviewPage.nextCursor && (
                             <button
-                              onClick={() => {
-                                setVisibleReviewsCount(prev => Math.min(prev + REVIEWS_LOAD_MORE, selectedBusiness.reviews.length));
-                                setReviewsExpanded(true);
-                              }}
+                              onClick={loadMoreReviews}
                               className={styles.seeMoreBtn}
-                              aria-label={`Show more reviews, ${selectedBusiness.reviews.length - visibleReviewsCount} remaining`}
+                              aria-label={`Show more reviews, ${reviewPage.total - reviewPage.reviews.length} remaining`}
                             >
-                              See more reviews ({selectedBusiness.reviews.length - visibleReviewsCount} remaining)
+                              See more reviews ({reviewPage.total - reviewPage.reviews.length} remaining)
                             </button>
                           )}
                           {reviewsExpanded && (
                             <button
-                              onClick={() => {
-                                setVisibleReviewsCount(INITIAL_REVIEWS_COUNT);
-                                setReviewsExpanded(false);
-                              }}
+                              onClick={() => setReviewReload(n => n + 1)}
                               className={styles.hideReviewsBtn}
                               aria-label="Collapse reviews to show fewer"
                             >
@@ -3192,7 +4885,7 @@ function App() {
                 <button
                   onClick={() => {
                     if (window.confirm('Are you sure you want to clear all favorites?')) {
-                      setFavorites([]);
+                      clearFavorites();
                     }
                   }}
                   className={styles.clearFavoritesBtn}
@@ -3206,6 +4899,206 @@ function App() {
         </main>
       )}
 
+      {/* Moderation View */}
+      {view === "moderation" && (
+        <main className={styles.content} id="main-content" role="main">
+          <h2 className={styles.pageTitle}>Moderation Queue</h2>
+
+          {!canModerate ? (
+            <div className={styles.emptyState}>
+              <p className={styles.emptyText}>Only moderators can view this page.</p>
+              <button onClick={() => setView("home")} className={styles.browseBtn}>
+                Back to Home
+              </button>
+            </div>
+          ) : (
+            <>
+              {user.role === "admin" && adminClaims.length > 0 && (
+                <section className={styles.detailPanel} aria-label="Business claims">
+                  <h3 className={styles.detailPanelHeader}>Business Claims ({adminClaims.length})</h3>
+                  <div className={styles.reviewsList}>
+                    {adminClaims.map(claim => (
+                      <article key={claim.id} className={styles.reviewItem}>
+                        <div className={styles.reviewHeader}>
+                          <strong className={styles.reviewAuthor}>{claim.username}</strong>
+                          <span className={styles.moderationBusiness}>{claim.businessName || `Business ${claim.businessId}`}</span>
+                        </div>
+                        <p className={styles.reviewComment}>{claim.message}</p>
+                        <div className={styles.reviewFooter}>
+                          <div className={styles.reviewDate}>
+                            {new Date(claim.createdAt).toLocaleDateString()}
+                          </div>
+                          <div className={styles.reviewInteractions}>
+                            <button onClick={() => reviewClaim(claim, "approve")} className={styles.editButton}>
+                              Approve
+                            </button>
+                            <button onClick={() => reviewClaim(claim, "reject")} className={styles.deleteButton}>
+                              Reject
+                            </button>
+                          </div>
+                        </div>
+                      </article>
+                    ))}
+                  </div>
+                </section>
+              )}
+
+              {user.role === "admin" && (
+                <section className={styles.detailPanel} aria-label="Account recovery">
+                  <h3 className={styles.detailPanelHeader}>Account Recovery</h3>
+                  <form onSubmit={issueResetCode} className={styles.moderationToolbar}>
+                    <label htmlFor="reset-code-username">Username:</label>
+                    <input
+                      id="reset-code-username"
+                      type="text"
+                      value={resetCodeUsername}
+                      onChange={(e) => setResetCodeUsername(e.target.value)}
+                      className={styles.input}
+                      style={{ maxWidth: '16rem' }}
+                      required
+                    />
+                    <button type="submit" className={styles.btnSecondary}>Create Reset Code</button>
+                  </form>
+                  {issuedResetCode && (
+                    <p className={styles.reviewComment} role="status">
+                      Reset code for <strong>{issuedResetCode.username}</strong>: <code>{issuedResetCode.token}</code>
+                      {" "}(expires {new Date(issuedResetCode.expiresAt).toLocaleTimeString()}). Share it with the user privately; it is only shown once.
+                    </p>
+                  )}
+                </section>
+              )}
+
+              <div className={styles.moderationToolbar}>
+                <label htmlFor="moderation-filter">Show:</label>
+                <select
+                  id="moderation-filter"
+                  value={moderationFilter}
+                  onChange={(e) => setModerationFilter(e.target.value)}
+                  className={styles.reviewSortSelect}
+                >
+                  <option value="pending">Awaiting review</option>
+                  <option value="hidden">Hidden</option>
+                  <option value="all">All reported</option>
+                </select>
+              </div>
+
+              {moderationLoading ? (
+                <p className={styles.noReviews}>Loading reported reviews...</p>
+              ) : moderationError ? (
+                <div className={styles.emptyState} role="alert">
+                  <p className={styles.emptyText}>{moderationError}</p>
+                </div>
+              ) : moderationItems.length === 0 ? (
+                <div className={styles.emptyState}>
+                  <p className={styles.emptyText}>Nothing to review.</p>
+                  <p className={styles.emptyHint}>Reported reviews and reviews held by screening will show up here.</p>
+                </div>
+              ) : (
+                <section className={styles.reviewsList} aria-label="Reported reviews">
+                  {moderationItems.map(item => (
+                    <article key={item.review.id} className={styles.reviewItem}>
+                      <p className={styles.moderationBusiness}>
+                        {item.businessName || `Business ${item.businessId}`}
+                      </p>
+                      <div className={styles.reviewHeader}>
+                        <strong className={styles.reviewAuthor}>{item.review.author}</strong>
+                        <span className={item.hidden ? `${styles.moderationStatus} ${styles.moderationStatusHidden}` : styles.moderationStatus}>
+                          {item.hidden ? "Hidden" : "Visible"}{item.status === "pending" ? " · awaiting review" : ""}
+                        </span>
+                      </div>
+                      <div className={styles.reviewRating}>
+                        {Array.from({ length: item.review.rating }, (_, i) => <StarIcon key={i} size={14} filled={true} />)}
+                      </div>
+                      {item.review.comment && <p className={styles.reviewComment}>{item.review.comment}</p>}
+                      {item.review.photos?.length > 0 && (
+                        <div className={styles.reviewPhotos}>
+                          {item.review.photos.map((photo, index) => (
+                            <button
+                              key={photo.id}
+                              type="button"
+                              onClick={() => openLightbox(reviewLightboxPhotos(item.review), index)}
+                              className={styles.reviewPhotoBtn}
+                              aria-label={`View photo ${index + 1} of this review`}
+                            >
+                              <img src={photo.thumbnailUrl} alt="" className={styles.reviewPhotoThumb} loading="lazy" />
+                            </button>
+                          ))}
+                        </div>
+                      )}
+
+                      {item.screening && (
+                        <details className={styles.moderationDetails} open={item.status === "pending"}>
+                          <summary>Held by automatic screening</summary>
+                          <ul>
+                            {item.screening.reasons.map((reason, i) => (
+                              <li key={i}>{reason.detail}</li>
+                            ))}
+                          </ul>
+                        </details>
+                      )}
+
+                      {item.reports.length > 0 && (
+                        <details className={styles.moderationDetails} open={item.pendingReportCount > 0}>
+                          <summary>
+                            {item.reports.length} report{item.reports.length === 1 ? "" : "s"}
+                            {item.pendingReportCount > 0 && ` (${item.pendingReportCount} new)`}
+                          </summary>
+                          <ul>
+                            {item.reports.map((report, i) => (
+                              <li key={report.id || i}>
+                                <strong>{report.username || "Anonymous"}</strong>: {report.reason}
+                                {" "}({new Date(report.date).toLocaleDateString()})
+                              </li>
+                            ))}
+                          </ul>
+                        </details>
+                      )}
+
+                      {item.moderationLog.length > 0 && (
+                        <details className={styles.moderationDetails}>
+                          <summary>History</summary>
+                          <ul>
+                            {item.moderationLog.map((entry, i) => (
+                              <li key={i}>
+                                {new Date(entry.at).toLocaleString()}: <strong>{entry.action}</strong> by {entry.byUsername}
+                                {entry.note && ` - ${entry.note}`}
+                              </li>
+                            ))}
+                          </ul>
+                        </details>
+                      )}
+
+                      <div className={styles.reviewFooter}>
+                        <div className={styles.reviewDate}>
+                          {new Date(item.review.date).toLocaleDateString()}
+                        </div>
+                        <div className={styles.reviewInteractions}>
+                          {item.status === "pending" && (
+                            <button onClick={() => moderateReview(item, "approve")} className={styles.editButton}>
+                              Approve
+                            </button>
+                          )}
+                          {item.hidden && (
+                            <button onClick={() => moderateReview(item, "restore")} className={styles.editButton}>
+                              Restore
+                            </button>
+                          )}
+                          {item.status !== "hidden" && (
+                            <button onClick={() => moderateReview(item, "hide")} className={styles.deleteButton}>
+                              Hide
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    </article>
+                  ))}
+                </section>
+              )}
+            </>
+          )}
+        </main>
+      )}
+
       {/* Login View */}
       {view === "login" && (
         <main className={styles.content} id="main-content" role="main">
@@ -3249,11 +5142,31 @@ function App() {
                   />
                 </div>
 
-                <button type="submit" className={styles.authSubmitBtn}>
+                {loginWaitSeconds > 0 && (
+                  <p className={styles.authNotice} role="status" aria-live="polite">
+                    You can try again in{" "}
+                    {loginWaitSeconds >= 60
+                      ? `${Math.ceil(loginWaitSeconds / 60)} minute${Math.ceil(loginWaitSeconds / 60) === 1 ? "" : "s"}`
+                      : `${loginWaitSeconds} second${loginWaitSeconds === 1 ? "" : "s"}`}.
+                  </p>
+                )}
+
+                <button type="submit" className={styles.authSubmitBtn} disabled={loginWaitSeconds > 0}>
                   Log In
                 </button>
               </form>
 
+              <p className={styles.authSwitch}>
+                Forgot your password?{" "}
+                <button
+                  type="button"
+                  onClick={() => navigateToAuth("reset-password")}
+                  className={styles.authSwitchLink}
+                >
+                  Reset it
+                </button>
+              </p>
+
               <p className={styles.authSwitch}>
                 Don't have an account?{" "}
                 <button
@@ -3269,6 +5182,94 @@ function App() {
         </main>
       )}
 
+      {/* Reset Password View */}
+      {view === "reset-password" && (
+        <main className={styles.content} id="main-content" role="main">
+          <div className={styles.authContainer}>
+            <div className={styles.authCard}>
+              <h2 className={styles.authTitle}>Reset Password</h2>
+              <p className={styles.authSubtitle}>Ask a LocalLink administrator for a reset code, then choose a new password. Codes can be used once and expire after an hour.</p>
+
+              {authError && (
+                <div className={styles.authError} role="alert">
+                  {authError}
+                </div>
+              )}
+
+              <form onSubmit={handleResetPassword} className={styles.authForm}>
+                <div className={styles.formGroup}>
+                  <label htmlFor="reset-username" className={styles.label}>Username</label>
+                  <input
+                    id="reset-username"
+                    type="text"
+                    value={resetForm.username}
+                    onChange={(e) => setResetForm(prev => ({ ...prev, username: e.target.value }))}
+                    className={styles.input}
+                    required
+                    autoComplete="username"
+                  />
+                </div>
+
+                <div className={styles.formGroup}>
+                  <label htmlFor="reset-token" className={styles.label}>Reset code</label>
+                  <input
+                    id="reset-token"
+                    type="text"
+                    value={resetForm.token}
+                    onChange={(e) => setResetForm(prev => ({ ...prev, token: e.target.value }))}
+                    className={styles.input}
+                    required
+                    autoComplete="one-time-code"
+                  />
+                </div>
+
+                <div className={styles.formGroup}>
+                  <label htmlFor="reset-password" className={styles.label}>New password</label>
+                  <input
+                    id="reset-password"
+                    type="password"
+                    value={resetForm.newPassword}
+                    onChange={(e) => setResetForm(prev => ({ ...prev, newPassword: e.target.value }))}
+                    className={styles.input}
+                    placeholder="At least 8 characters"
+                    required
+                    autoComplete="new-password"
+                  />
+                </div>
+
+                <div className={styles.formGroup}>
+                  <label htmlFor="reset-confirm" className={styles.label}>Confirm new password</label>
+                  <input
+                    id="reset-confirm"
+                    type="password"
+                    value={resetForm.confirmPassword}
+                    onChange={(e) => setResetForm(prev => ({ ...prev, confirmPassword: e.target.value }))}
+                    className={styles.input}
+                    required
+                    autoComplete="new-password"
+                  />
+                </div>
+
+                <button type="submit" className={styles.authSubmitBtn}>
+                  Reset Password
+                </button>
+              </form>
+
+              <p className={styles.authSwitch}>
+                Remembered it?{" "}
+                <button
+                  type="button"
+                  onClick={() => navigateToAuth("login")}
+                  className={styles.authSwitchLink}
+                >
+                  Log in
+                </button>
+              </p>
+            </div>
+          </div>
+        </main>
+      )}
+
       {/* Signup View */}
       {view === "signup" && (
         <main className={styles.content} id="main-content" role="main">
@@ -3440,8 +5441,10 @@ function App() {
           <div className={styles.footerBrand}>
             <h3 className={styles.footerLogo}>LocalLink</h3>
             <p className={styles.footerTagline}>
-              Connecting you with the heart of Cumming, Georgia's business community.
-              Discover, support, and celebrate local businesses.
+              {regionLabel
+                ? `Connecting you with the heart of ${regionLabel}'s business community.`
+                : "Connecting you with the heart of your local business community."}
+              {" "}Discover, support, and celebrate local businesses.
             </p>
           </div>
           <div className={styles.footerSection}>
@@ -3600,9 +5603,12 @@ function App() {
             <h3 id="logout-modal-title" className={styles.modalTitle}>Confirm Logout</h3>
             <p className={styles.modalText}>Are you sure you want to log out?</p>
             <div className={styles.modalButtons}>
-              <button onClick={confirmLogout} className={styles.modalBtnPrimary} aria-label="Confirm logout">
+              <button onClick={() => confirmLogout()} className={styles.modalBtnPrimary} aria-label="Confirm logout">
                 Yes, Log Out
               </button>
+              <button onClick={() => confirmLogout(true)} className={styles.modalBtnSecondary} aria-label="Log out on all devices">
+                Log Out Everywhere
+              </button>
               <button onClick={() => setShowLogoutConfirm(false)} className={styles.modalBtnSecondary} aria-label="Cancel logout">
                 Cancel
               </button>
@@ -3630,6 +5636,66 @@ function App() {
                 </span>
               </div>
             </div>
+            {showChangePassword ? (
+              <form onSubmit={handleChangePassword} className={styles.authForm}>
+                {passwordError && (
+                  <div className={styles.authError} role="alert">
+                    {passwordError}
+                  </div>
+                )}
+                <div className={styles.formGroup}>
+                  <label htmlFor="current-password" className={styles.label}>Current password</label>
+                  <input
+                    id="current-password"
+                    type="password"
+                    value={passwordForm.currentPassword}
+                    onChange={(e) => setPasswordForm(prev => ({ ...prev, currentPassword: e.target.value }))}
+                    className={styles.input}
+                    required
+                    autoComplete="current-password"
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label htmlFor="new-password" className={styles.label}>New password</label>
+                  <input
+                    id="new-password"
+                    type="password"
+                    value={passwordForm.newPassword}
+                    onChange={(e) => setPasswordForm(prev => ({ ...prev, newPassword: e.target.value }))}
+                    className={styles.input}
+                    placeholder="At least 8 characters"
+                    required
+                    autoComplete="new-password"
+                  />
+                </div>
+                <div className={styles.formGroup}>
+                  <label htmlFor="confirm-new-password" className={styles.label}>Confirm new password</label>
+                  <input
+                    id="confirm-new-password"
+                    type="password"
+                    value={passwordForm.confirmPassword}
+                    onChange={(e) => setPasswordForm(prev => ({ ...prev, confirmPassword: e.target.value }))}
+                    className={styles.input}
+                    required
+                    autoComplete="new-password"
+                  />
+                </div>
+                <div className={styles.formButtons}>
+                  <button type="submit" className={styles.submitBtn}>Save Password</button>
+                  <button
+                    type="button"
+                    onClick={() => { setShowChangePassword(false); setPasswordError(""); }}
+                    className={styles.cancelBtn}
+                  >
+                    Cancel
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <button onClick={() => setShowChangePassword(true)} className={styles.btnSecondary}>
+                Change Password
+              </button>
+            )}
             <div className={styles.modalButtons}>
               <button onClick={() => setShowAccountDetails(false)} className={styles.modalBtnPrimary}>
                 Close
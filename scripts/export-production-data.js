@@ -4,10 +4,14 @@
  * Export production business & review data for local development.
  *
  * Usage:
- *   node scripts/export-production-data.js <production-url>
+ *   ADMIN_TOKEN=<jwt> node scripts/export-production-data.js <production-url>
  *
  * Example:
- *   node scripts/export-production-data.js https://your-app.vercel.app
+ *   ADMIN_TOKEN=eyJhbGci... node scripts/export-production-data.js https://your-app.vercel.app
+ *
+ * /api/export-data is admin-only. ADMIN_TOKEN is the token returned by
+ * /api/auth/login for an admin account (it is also stored in the browser's
+ * localStorage as "locallink_auth_token" after logging in).
  *
  * This fetches all businesses and reviews from the production API's
  * /api/export-data endpoint and writes them to:
@@ -26,10 +30,11 @@ const DATA_DIR = path.join(ROOT, "server", "data");
 const REVIEWS_FILE = path.join(ROOT, "server", "reviews.json");
 
 const productionUrl = process.argv[2];
+const adminToken = process.env.ADMIN_TOKEN;
 
-if (!productionUrl) {
-  console.error("Usage: node scripts/export-production-data.js <production-url>");
-  console.error("Example: node scripts/export-production-data.js https://your-app.vercel.app");
+if (!productionUrl || !adminToken) {
+  console.error("Usage: ADMIN_TOKEN=<jwt> node scripts/export-production-data.js <production-url>");
+  console.error("Example: ADMIN_TOKEN=eyJhbGci... node scripts/export-production-data.js https://your-app.vercel.app");
   process.exit(1);
 }
 
@@ -38,7 +43,9 @@ const baseUrl = productionUrl.replace(/\/$/, "");
 async function main() {
   console.log(`Fetching data from ${baseUrl}/api/export-data ...`);
 
-  const response = await fetch(`${baseUrl}/api/export-data`);
+  const response = await fetch(`${baseUrl}/api/export-data`, {
+    headers: { Authorization: `Bearer ${adminToken}` }
+  });
   if (!response.ok) {
     console.error(`Failed: ${response.status} ${response.statusText}`);
     const text = await response.text();
@@ -81,7 +88,7 @@ async function main() {
       Retail: businesses.filter(b => b.category === "Retail").length,
       Services: businesses.filter(b => b.category === "Services").length,
     },
-    location: "Cumming, Georgia",
+    regions: [...new Set(businesses.map(b => b.region).filter(Boolean))],
     source: `Exported from production (${baseUrl})`,
   };
 
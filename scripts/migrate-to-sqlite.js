@@ -0,0 +1,72 @@
+#!/usr/bin/env node
+
+/**
+ * Import existing JSON / Vercel Blob data into the SQLite storage driver.
+ *
+ * Usage:
+ *   node scripts/migrate-to-sqlite.js [--from blob|file] [--db <path>]
+ *
+ * Examples:
+ *   node scripts/migrate-to-sqlite.js                          # JSON files in server/
+ *   BLOB_READ_WRITE_TOKEN=... node scripts/migrate-to-sqlite.js --from blob
+ *   node scripts/migrate-to-sqlite.js --db /var/lib/locallink/locallink.db
+ *
+ * The source defaults to Vercel Blob when BLOB_READ_WRITE_TOKEN is set,
+ * otherwise the JSON files in server/ (or STORAGE_DIR). The database defaults
+ * to SQLITE_PATH, or locallink.db next to the JSON files.
+ *
+ * Documents are copied whole, so running the migration again replaces the
+ * database contents with the current source data. Start the server with
+ * STORAGE_DRIVER=sqlite afterwards.
+ */
+
+import path from "path";
+import { fileURLToPath } from "url";
+import dotenv from "dotenv";
+import { createStorage, ALL_DOCS } from "../server/storage.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT = path.resolve(__dirname, "..");
+
+dotenv.config({ path: path.join(ROOT, "server", ".env") });
+
+function readOption(name) {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+const from = readOption("--from") || (process.env.BLOB_READ_WRITE_TOKEN ? "blob" : "file");
+const dbPath = readOption("--db") || process.env.SQLITE_PATH;
+
+if (!["blob", "file"].includes(from)) {
+  console.error(`Unknown source "${from}". Use --from blob or --from file.`);
+  process.exit(1);
+}
+
+async function main() {
+  const source = createStorage({ ...process.env, STORAGE_DRIVER: from });
+  const target = createStorage({ ...process.env, STORAGE_DRIVER: "sqlite", SQLITE_PATH: dbPath });
+
+  console.log(`Migrating from ${source.label} to SQLite database ${target.file}`);
+
+  for (const name of ALL_DOCS) {
+    const data = await source.read(name);
+    if (!Array.isArray(data)) {
+      console.log(`  - ${name}: not found in ${source.label}, skipped`);
+      continue;
+    }
+    const saved = await target.write(name, data);
+    if (!saved) {
+      throw new Error(`Could not write ${name} to SQLite`);
+    }
+    console.log(`  - ${name}: imported ${data.length} entries`);
+  }
+
+  target.close();
+  console.log("\nDone! Start the server with STORAGE_DRIVER=sqlite to use the database.");
+}
+
+main().catch(err => {
+  console.error("Migration failed:", err.message);
+  process.exit(1);
+});
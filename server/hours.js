@@ -0,0 +1,137 @@
+/**
+ * LocalLink - Business Hours
+ *
+ * Hours are stored as display strings such as
+ *   "Mon 11:00-21:00, Tue Closed, ..., Sat 11:00-00:00"
+ * (see formatYelpHours and generateFakeHours in index.js). This module turns
+ * them into a weekly schedule and answers "is it open at this moment?".
+ *
+ * Schedule: { Mon: [{ open, close }], ..., Sun: [] }
+ * Times are minutes after midnight. A range that ends at or before it starts
+ * runs past midnight, so `close` is stored above 1440 (e.g. 11:00-02:00 is
+ * { open: 660, close: 1560 }). A day with no ranges is closed.
+ */
+
+export const DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+const MINUTES_PER_DAY = 24 * 60;
+
+// "HH:MM" -> minutes after midnight (null if malformed). "24:00" is allowed.
+function parseClock(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(text.trim());
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Parse an hours string into a weekly schedule.
+ * Returns null when nothing could be understood, so callers can tell
+ * "closed all week" apart from "hours unknown".
+ */
+export function parseHours(hoursString) {
+  if (typeof hoursString !== "string" || !hoursString.trim()) return null;
+
+  const schedule = Object.fromEntries(DAYS.map(day => [day, []]));
+  let understood = false;
+
+  for (const part of hoursString.split(",")) {
+    const match = /^\s*(Mon|Tue|Wed|Thu|Fri|Sat|Sun)\s+(.+?)\s*$/i.exec(part);
+    if (!match) continue;
+    const day = DAYS.find(d => d.toLowerCase() === match[1].toLowerCase());
+    const value = match[2];
+
+    if (/^closed$/i.test(value)) {
+      understood = true;
+      continue;
+    }
+    if (/^open 24 hours$/i.test(value)) {
+      schedule[day].push({ open: 0, close: MINUTES_PER_DAY });
+      understood = true;
+      continue;
+    }
+
+    const [startText, endText] = value.split("-");
+    const open = startText !== undefined ? parseClock(startText) : null;
+    let close = endText !== undefined ? parseClock(endText) : null;
+    if (open === null || close === null) continue;
+
+    // Overnight (or 24h when open == close)
+    if (close <= open) close += MINUTES_PER_DAY;
+    schedule[day].push({ open, close });
+    understood = true;
+  }
+
+  if (!understood) return null;
+  for (const day of DAYS) schedule[day].sort((a, b) => a.open - b.open);
+  return schedule;
+}
+
+// Formatters are slow to build, so keep one per time zone
+const formatters = new Map();
+
+function formatterFor(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23"
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+// Weekday and minutes after midnight of `date` in an IANA time zone
+export function getLocalTime(date, timeZone) {
+  const parts = formatterFor(timeZone).formatToParts(date);
+  const get = (type) => parts.find(p => p.type === type)?.value;
+  return {
+    day: get("weekday"),
+    minutes: Number(get("hour")) * 60 + Number(get("minute"))
+  };
+}
+
+/**
+ * Parse an openAt query value (ISO 8601 date and time).
+ * With a zone ("...Z" or "+02:00") it is an exact moment, checked against each
+ * business's own time zone. Without one it is a wall-clock time that applies
+ * in every business's local time ("2026-05-01T18:00" = 6pm wherever it is).
+ * Returns { date } or { local: { day, minutes } }, or null if invalid.
+ */
+export function parseOpenAt(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/.exec(String(value).trim());
+  if (!match) return null;
+  const [, year, month, dayOfMonth, hours, minutes, zone] = match;
+
+  if (zone) {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : { date };
+  }
+
+  const calendarDate = new Date(Date.UTC(Number(year), Number(month) - 1, Number(dayOfMonth)));
+  if (calendarDate.getUTCMonth() !== Number(month) - 1 || Number(hours) > 23 || Number(minutes) > 59) {
+    return null;
+  }
+  // getUTCDay: 0 = Sunday
+  const day = DAYS[(calendarDate.getUTCDay() + 6) % 7];
+  return { local: { day, minutes: Number(hours) * 60 + Number(minutes) } };
+}
+
+/**
+ * Whether a schedule is open at a moment, given as a Date or as the result
+ * of parseOpenAt. Returns null when the schedule is unknown.
+ */
+export function isOpenAt(schedule, when, timeZone) {
+  if (!schedule) return null;
+  const moment = when instanceof Date ? { date: when } : when;
+  const { day, minutes } = moment.local || getLocalTime(moment.date, timeZone);
+  const dayIndex = DAYS.indexOf(day);
+  const previousDay = DAYS[(dayIndex + DAYS.length - 1) % DAYS.length];
+
+  // Today's ranges, or yesterday's ranges that run past midnight
+  return schedule[day].some(r => minutes >= r.open && minutes < r.close) ||
+    schedule[previousDay].some(r => r.close > MINUTES_PER_DAY && minutes + MINUTES_PER_DAY < r.close);
+}
@@ -8,13 +8,14 @@
  * Key Features:
  * - RESTful API endpoints for businesses, reviews, and authentication
  * - Integration with Yelp API for business data (with offline fallback)
- * - Persistent storage via Vercel Blob (production) or file system (development)
+ * - Pluggable persistence (Vercel Blob, JSON files or in-memory) via storage.js
  * - CAPTCHA verification for bot prevention on user signup
- * - JWT-based authentication with secure password hashing
+ * - JWT-based authentication (short-lived access tokens, rotating refresh
+ *   tokens) with secure password hashing
  *
  * Data Flow:
  * 1. Business data fetched from Yelp API and cached for performance
- * 2. User reviews stored in Vercel Blob with local file fallback
+ * 2. User reviews stored through the configured storage driver (STORAGE_DRIVER)
  * 3. Recommendations generated based on user favorites and ratings
  *
  * ============================================================================
@@ -23,8 +24,14 @@
  * To conserve Vercel Blob usage limits, ONLY the following blob writes are ACTIVE:
  *
  * ACTIVE (User-initiated actions only):
- * - saveUsersAsync(): Called during user signup
- * - saveReviewsAsync(): Called for review CRUD operations (create, edit, delete)
+ * - updateUsers(): Called for signup, password and role changes and logging out everywhere
+ * - updateSessions(): Called on login, token refresh and logout
+ * - Login rate limiting: only with RATE_LIMIT_STORE=storage (failed logins)
+ * - updateFavorites(): Called when a user adds/removes favorites
+ * - updateClaims(): Called when a user claims a business or an admin reviews a claim
+ * - updateDeals(): Called when an owner manages deals or a customer redeems one
+ * - updateReviews(): Called for review CRUD operations (create, edit, delete, report)
+ * - photoStore.save(): Called when a reviewer uploads a photo (review-photos/)
  *
  * DISABLED (Seeding/automated operations):
  * - ensureSeeded(): Disabled - returns immediately
@@ -32,9 +39,9 @@
  * - seedReviewsForNewBusinesses(): Disabled - returns immediately
  * - /api/import-businesses: Disabled - returns 403
  * - /api/admin/regenerate-reviews: Disabled - returns 403
- * - saveBusinessesToBlob() in fetchYelpBusinesses(): Commented out
- * - saveBusinessesToBlob() in recover-favorites: Commented out
- * - saveBusinessesToBlob() in single business recovery: Commented out
+ * - saveBusinessesAsync() in fetchYelpBusinesses(): Commented out
+ * - saveBusinessesAsync() in recover-favorites: Commented out
+ * - saveBusinessesAsync() in single business recovery: Commented out
  *
  * DO NOT re-enable seeding functions without understanding blob usage implications.
  * ============================================================================
@@ -49,7 +56,14 @@ import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
 import dotenv from "dotenv";
-import { put, list, del } from "@vercel/blob";
+import { getStorage, updateDocument, USERS_DOC, REVIEWS_DOC, BUSINESSES_DOC, FAVORITES_DOC, CLAIMS_DOC, DEALS_DOC, SESSIONS_DOC } from "./storage.js";
+import { createLoginLimiter, createMemoryRateLimitStore, createDocumentRateLimitStore, resolveRateLimitStore } from "./rate-limit.js";
+import { loadRegions, findRegionForPoint, haversineMiles, radiusMeters, toPublicRegion } from "./regions.js";
+import { parseHours, parseOpenAt, isOpenAt } from "./hours.js";
+import { createSearchIndex } from "./search-index.js";
+import { loadRatingConfig, computeCategoryPriors, buildReviewerHistory, reviewerTrust, recencyWeight, weightedRating } from "./ratings.js";
+import { loadBlockedTerms, screenReview } from "./screening.js";
+import { MAX_PHOTOS_PER_REVIEW, MAX_PHOTO_BYTES, validatePhoto, processPhoto, createPhotoStore } from "./photos.js";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
 
@@ -113,9 +127,6 @@ if (OFFLINE_MODE && process.env.OFFLINE_MODE !== 'true') {
   console.log('[OFFLINE] Auto-enabled: no YELP_API_KEY set and local business data found');
 }
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // ============================================
 // STARTUP LOGGING
 // ============================================
@@ -141,157 +152,167 @@ console.log(`  - OFFLINE_MODE: ${OFFLINE_MODE ? 'true' : 'false'}`);
 console.log(`  - BLOB_READ_WRITE_TOKEN: ${process.env.BLOB_READ_WRITE_TOKEN ? 'SET (Vercel Blob enabled)' : 'NOT SET (using file storage)'}`);
 console.log('========================================');
 
-// Determine if we should use Vercel Blob
-const USE_VERCEL_BLOB = !!process.env.BLOB_READ_WRITE_TOKEN;
+// Storage driver for users, reviews and businesses (see storage.js)
+const storage = getStorage();
+console.log(`[STORAGE] Using ${storage.label} storage (driver: ${storage.driver})`);
+
+// Failed login throttling (see rate-limit.js)
+const loginLimiter = createLoginLimiter({
+  store: resolveRateLimitStore() === 'storage'
+    ? createDocumentRateLimitStore(storage)
+    : createMemoryRateLimitStore()
+});
+console.log(`[RATE LIMIT] Login attempts tracked in ${loginLimiter.store.name} store`);
 
 // JWT Configuration
 const JWT_SECRET = process.env.JWT_SECRET || 'locallink-dev-secret-change-in-production-' + crypto.randomBytes(16).toString('hex');
-const JWT_EXPIRES_IN = '7d'; // Token expires in 7 days
+const JWT_EXPIRES_IN = '15m'; // Access tokens are short-lived; clients renew them with a refresh token
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // Sessions expire after 30 days without use
+const MAX_SESSIONS_PER_USER = 10; // Oldest sessions are dropped beyond this
+// A refresh token presented again shortly after rotation is most likely a
+// second tab racing the first; later reuse is treated as theft.
+const REFRESH_REUSE_GRACE_MS = 30 * 1000;
 
 // ============================================
 // USER AUTHENTICATION STORAGE
 // ============================================
-const USERS_BLOB_NAME = "users.json";
-let usersData = []; // Array of user objects: { id, username, passwordHash, createdAt }
-let usersBlobUrl = null;
+let usersData = []; // Array of user objects: { id, username, passwordHash, createdAt, tokenVersion }
 
-// Load users from Vercel Blob or file
+// Load users from the configured storage driver
 async function loadUsersAsync() {
-  if (USE_VERCEL_BLOB) {
-    try {
-      console.log('[BLOB] Loading users from Vercel Blob...');
-      const { blobs } = await list({ prefix: USERS_BLOB_NAME });
-
-      let usersBlob = blobs.find(b => b.pathname === USERS_BLOB_NAME);
-      if (!usersBlob && blobs.length > 0) {
-        usersBlob = blobs.find(b => b.pathname.includes(USERS_BLOB_NAME));
-      }
-
-      if (usersBlob) {
-        usersBlobUrl = usersBlob.url;
-        console.log(`[BLOB] Found users blob at ${usersBlob.url}`);
-        // Add cache-busting to avoid stale data
-        const cacheBustUrl = `${usersBlob.url}${usersBlob.url.includes('?') ? '&' : '?'}_t=${Date.now()}`;
-        const response = await fetch(cacheBustUrl, {
-          cache: 'no-store',
-          headers: {
-            'Cache-Control': 'no-cache, no-store, must-revalidate',
-            'Pragma': 'no-cache'
-          }
-        });
-        if (response.ok) {
-          const text = await response.text();
-          if (text.trim()) {
-            usersData = JSON.parse(text);
-            console.log(`[BLOB] Loaded ${usersData.length} users from Vercel Blob`);
-            return;
-          }
-        }
-      }
-      console.log('[BLOB] No users found in Vercel Blob, starting fresh');
-    } catch (error) {
-      console.error('[BLOB] Error loading users from Vercel Blob:', error.message);
-    }
+  const data = await storage.read(USERS_DOC);
+  if (Array.isArray(data)) {
+    usersData = data;
+    console.log(`[STORAGE] Loaded ${usersData.length} users from ${storage.label}`);
+  } else {
+    console.log(`[STORAGE] No users found in ${storage.label}, starting fresh`);
   }
+}
 
-  // Fallback to file-based storage for local development
-  const usersFile = process.env.VERCEL
-    ? path.join("/tmp", "users.json")
-    : path.join(__dirname, "users.json");
-  try {
-    if (fs.existsSync(usersFile)) {
-      const data = fs.readFileSync(usersFile, "utf8");
-      usersData = JSON.parse(data);
-      console.log(`[FILE] Loaded ${usersData.length} users from file`);
-    }
-  } catch (error) {
-    console.error("[FILE] Error loading users:", error);
+// Re-read users before auth decisions when other instances may have written them
+async function refreshUsers() {
+  if (!storage.shared) return;
+
+  const data = await storage.read(USERS_DOC);
+  if (Array.isArray(data)) {
+    usersData = data;
+    console.log(`[STORAGE] Refreshed ${usersData.length} users`);
   }
 }
 
-// Save users to Vercel Blob or file
-async function saveUsersAsync() {
-  const jsonData = JSON.stringify(usersData);
-  console.log(`[SAVE] Saving ${usersData.length} users (${jsonData.length} chars)`);
-  console.log(`[SAVE] USE_VERCEL_BLOB: ${USE_VERCEL_BLOB}, BLOB_READ_WRITE_TOKEN set: ${!!process.env.BLOB_READ_WRITE_TOKEN}`);
+// ============================================
+// FAVORITES STORAGE (per user, synced across devices)
+// ============================================
+const MAX_FAVORITES = 500;
+let favoritesData = new Map(); // userId -> array of business ids
+
+// Load favorites from the configured storage driver
+async function loadFavoritesAsync() {
+  const data = await storage.read(FAVORITES_DOC);
+  if (Array.isArray(data)) {
+    favoritesData = new Map(data);
+    console.log(`[STORAGE] Loaded favorites for ${favoritesData.size} users from ${storage.label}`);
+  }
+}
 
-  if (USE_VERCEL_BLOB) {
-    try {
-      // Upload new blob - addRandomSuffix: false ensures consistent filename
-      // No need to delete first - put with addRandomSuffix: false will overwrite
-      console.log('[BLOB] Uploading users blob...');
-      console.log('[BLOB] Blob name:', USERS_BLOB_NAME);
-      console.log('[BLOB] Data length:', jsonData.length, 'bytes');
-
-      const blob = await put(USERS_BLOB_NAME, jsonData, {
-        access: 'public',
-        contentType: 'application/json',
-        addRandomSuffix: false
-      });
-      usersBlobUrl = blob.url;
-      console.log(`[BLOB] Saved ${usersData.length} users to Vercel Blob at ${blob.url}`);
-      return true;
-    } catch (error) {
-      console.error('[BLOB] Error saving users to Vercel Blob:', error.message);
-      console.error('[BLOB] Error details:', error.stack);
-      console.error('[BLOB] Error name:', error.name);
-      if (error.response) {
-        console.error('[BLOB] Response status:', error.response.status);
-        console.error('[BLOB] Response data:', JSON.stringify(error.response.data));
-      }
-      // Don't return here - fall through to file-based storage
-      console.log('[BLOB] Falling through to file-based storage...');
+// Re-read favorites when other instances may have written them
+async function refreshFavorites() {
+  if (!storage.shared) return;
+
+  const data = await storage.read(FAVORITES_DOC);
+  if (Array.isArray(data)) {
+    favoritesData = new Map(data);
+  }
+}
+
+function getUserFavorites(userId) {
+  return favoritesData.get(userId) || [];
+}
+
+// Change one user's favorites with optimistic concurrency (see updateDocument).
+// `mutate(currentIds)` returns the new list of business ids.
+async function updateFavorites(userId, mutate) {
+  const outcome = await updateDocument(storage, FAVORITES_DOC, (current) => {
+    const favorites = new Map(Array.isArray(current) ? current : []);
+    const next = mutate(favorites.get(userId) || []).slice(0, MAX_FAVORITES);
+    if (next.length > 0) {
+      favorites.set(userId, next);
+    } else {
+      favorites.delete(userId);
     }
+    return { data: Array.from(favorites.entries()), result: next };
+  });
+
+  if (outcome.ok || outcome.conflict) {
+    favoritesData = new Map(Array.isArray(outcome.data) ? outcome.data : []);
   }
+  return outcome;
+}
 
-  // Fallback to file-based storage
-  const usersFile = process.env.VERCEL
-    ? path.join("/tmp", "users.json")
-    : path.join(__dirname, "users.json");
-  console.log(`[FILE] Attempting to save users to: ${usersFile}`);
+// ============================================
+// BUSINESS CLAIMS STORAGE (verified business owners)
+// ============================================
+// A claim ties a user account to a business. Once an admin approves it, the
+// user is the verified owner and can respond to reviews of that business.
+const CLAIM_STATUSES = ['pending', 'approved', 'rejected'];
+const MAX_CLAIM_MESSAGE_LENGTH = 500;
+let claimsData = []; // Array of { id, businessId, businessName, userId, username, message, status, createdAt, reviewedAt, reviewedBy, note }
+
+// Load claims from the configured storage driver
+async function loadClaimsAsync() {
+  const data = await storage.read(CLAIMS_DOC);
+  if (Array.isArray(data)) {
+    claimsData = data;
+    console.log(`[STORAGE] Loaded ${claimsData.length} business claims from ${storage.label}`);
+  }
+}
 
-  try {
-    fs.writeFileSync(usersFile, jsonData, "utf8");
-    console.log(`[FILE] Saved ${usersData.length} users to file: ${usersFile}`);
-    return true;
-  } catch (error) {
-    console.error("[FILE] Error saving users:", error.message);
-    console.error("[FILE] Error details:", error.stack);
-    return false;
+// Re-read claims when other instances may have written them
+async function refreshClaims() {
+  if (!storage.shared) return;
+
+  const data = await storage.read(CLAIMS_DOC);
+  if (Array.isArray(data)) {
+    claimsData = data;
   }
 }
 
-// Refresh users from Blob
-async function refreshUsersFromBlob() {
-  if (!USE_VERCEL_BLOB) return;
+// Approved claim for a business (there is at most one)
+function getApprovedClaim(businessId) {
+  return claimsData.find(c => c.businessId === businessId && c.status === 'approved') || null;
+}
 
-  try {
-    const { blobs } = await list({ prefix: USERS_BLOB_NAME });
-    const usersBlob = blobs.find(b => b.pathname === USERS_BLOB_NAME) ||
-                      blobs.find(b => b.pathname.includes(USERS_BLOB_NAME));
-
-    if (usersBlob) {
-      const response = await fetch(usersBlob.url);
-      if (response.ok) {
-        const text = await response.text();
-        if (text.trim()) {
-          usersData = JSON.parse(text);
-          usersBlobUrl = usersBlob.url;
-          console.log(`[BLOB] Refreshed ${usersData.length} users`);
-        }
-      }
-    }
-  } catch (error) {
-    console.error('[BLOB] Error refreshing users:', error.message);
+function isBusinessOwner(userId, businessId) {
+  return getApprovedClaim(businessId)?.userId === userId;
+}
+
+// Change claims with optimistic concurrency (see updateDocument).
+// `mutate(claims)` edits the fresh array in place; returning { status, error }
+// aborts without saving.
+async function updateClaims(mutate) {
+  const outcome = await updateDocument(storage, CLAIMS_DOC, (current) => {
+    const claims = Array.isArray(current) ? current : [];
+    const result = mutate(claims);
+    if (result?.error) return { result };
+    return { data: claims, result };
+  });
+
+  if (outcome.conflict) {
+    return { status: 409, error: 'Claims were being updated at the same time. Please try again.' };
+  }
+  if (!outcome.ok) {
+    return { status: 500, error: 'Failed to save business claim.' };
   }
+  if (Array.isArray(outcome.data)) {
+    claimsData = outcome.data;
+  }
+  return outcome.result;
 }
 
-// Initialize users loading
-let usersLoadPromise = null;
+// Initialize users loading (sessions, favorites and claims are stored alongside users)
 let usersLoaded = false;
 
-// Always initialize users loading (whether using Blob or file storage)
-usersLoadPromise = loadUsersAsync()
+const usersLoadPromise = Promise.all([loadUsersAsync().then(loadSessionsAsync), loadFavoritesAsync(), loadClaimsAsync()])
   .then(() => {
     usersLoaded = true;
     console.log('[AUTH] Users loaded and ready');
@@ -303,23 +324,148 @@ usersLoadPromise = loadUsersAsync()
 
 // Middleware to ensure users are loaded
 async function ensureUsersLoaded(req, res, next) {
-  if (!usersLoaded && usersLoadPromise) {
+  if (!usersLoaded) {
     await usersLoadPromise;
   }
   next();
 }
 
+// ============================================
+// SESSIONS (access tokens + rotating refresh tokens)
+// ============================================
+// Each login creates a session in the sessions document:
+//   { id, userId, tokenVersion, tokenHash, previousTokenHash, rotatedAt, createdAt, lastUsedAt, expiresAt, userAgent }
+// Sessions are kept out of the users document because every refresh rotates
+// a token, and rewriting all accounts that often is wasteful.
+// The refresh token handed to the client is "<sessionId>.<secret>"; only a
+// hash of the secret is stored. Access tokens carry the session id (sid) and
+// the user's tokenVersion (tv). Deleting a session ends it; bumping the
+// user's tokenVersion ("log out everywhere", password changes) ends every
+// session created before, with a single write to the users document.
+let sessionsData = [];
+
+// Sessions used to live on the user records; read those until the sessions
+// document is first written
+function sessionsFromUsers(users) {
+  return users.flatMap(user => (user.sessions || []).map(session => ({
+    ...session,
+    userId: user.id,
+    tokenVersion: user.tokenVersion || 0
+  })));
+}
+
+// Load sessions from the configured storage driver (after the users)
+async function loadSessionsAsync() {
+  const data = await storage.read(SESSIONS_DOC);
+  sessionsData = Array.isArray(data) ? data : sessionsFromUsers(usersData);
+  console.log(`[STORAGE] Loaded ${sessionsData.length} sessions from ${storage.label}`);
+}
+
+// Re-read sessions when other instances may have written them
+async function refreshSessions() {
+  if (!storage.shared) return;
+
+  const data = await storage.read(SESSIONS_DOC);
+  if (Array.isArray(data)) {
+    sessionsData = data;
+  }
+}
+
+// Change sessions with optimistic concurrency (see updateDocument).
+// `mutate(sessions)` edits the fresh array in place; returning
+// { status, error } aborts without saving.
+async function updateSessions(mutate) {
+  const outcome = await updateDocument(storage, SESSIONS_DOC, (current) => {
+    const sessions = Array.isArray(current) ? current : sessionsFromUsers(usersData);
+    const result = mutate(sessions);
+    if (result?.error) return { result };
+    return { data: sessions, result };
+  });
+
+  if (outcome.conflict) {
+    return { status: 409, error: 'Sessions were being updated at the same time. Please try again.' };
+  }
+  if (!outcome.ok) {
+    return { status: 500, error: 'Failed to save session changes.' };
+  }
+  if (Array.isArray(outcome.data)) {
+    sessionsData = outcome.data;
+  }
+  return outcome.result;
+}
+
+function hashRefreshSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+// Not expired, and not ended by a tokenVersion bump on the user
+function isSessionActive(session, user, now = Date.now()) {
+  if (!user || (session.tokenVersion || 0) !== (user.tokenVersion || 0)) return false;
+  return new Date(session.expiresAt).getTime() > now;
+}
+
 // JWT Token Generation
-function generateToken(user) {
+function generateToken(user, sessionId) {
   return jwt.sign(
-    { id: user.id, username: user.username },
+    { id: user.id, username: user.username, sid: sessionId, tv: user.tokenVersion || 0 },
     JWT_SECRET,
     { expiresIn: JWT_EXPIRES_IN }
   );
 }
 
+// Add a new session for a user to the sessions array (mutates it) and return
+// the tokens for it. Ended sessions of the user are dropped on the way.
+function createSession(sessions, user, req) {
+  const now = Date.now();
+  const sessionId = crypto.randomUUID();
+  const secret = crypto.randomBytes(32).toString('base64url');
+
+  const mine = sessions.filter(s => s.userId === user.id && isSessionActive(s, user, now));
+  mine.push({
+    id: sessionId,
+    userId: user.id,
+    tokenVersion: user.tokenVersion || 0,
+    tokenHash: hashRefreshSecret(secret),
+    createdAt: new Date(now).toISOString(),
+    lastUsedAt: new Date(now).toISOString(),
+    expiresAt: new Date(now + REFRESH_TOKEN_TTL_MS).toISOString(),
+    userAgent: String(req.headers['user-agent'] || '').slice(0, 200)
+  });
+  const others = sessions.filter(s => s.userId !== user.id);
+  sessions.splice(0, sessions.length, ...others, ...mine.slice(-MAX_SESSIONS_PER_USER));
+
+  return { token: generateToken(user, sessionId), refreshToken: `${sessionId}.${secret}` };
+}
+
+// Invalidate every access and refresh token of a user (mutates the record).
+// The ended sessions are dropped from the sessions document separately.
+function revokeAllSessions(user) {
+  user.tokenVersion = (user.tokenVersion || 0) + 1;
+  delete user.sessions; // Left over from before the sessions document
+}
+
+// Remove every session of a user from the sessions array (mutates it)
+function dropUserSessions(sessions, userId) {
+  sessions.splice(0, sessions.length, ...sessions.filter(s => s.userId !== userId));
+}
+
+// Split "<sessionId>.<secret>"; returns null if malformed
+function parseRefreshToken(refreshToken) {
+  if (typeof refreshToken !== 'string') return null;
+  const dot = refreshToken.indexOf('.');
+  if (dot <= 0 || dot === refreshToken.length - 1) return null;
+  return { sessionId: refreshToken.slice(0, dot), secret: refreshToken.slice(dot + 1) };
+}
+
+// True if the decoded access token still belongs to a live session
+function isAccessTokenCurrent(decoded) {
+  const user = usersData.find(u => u.id === decoded.id);
+  if (!user || (user.tokenVersion || 0) !== decoded.tv) return false;
+  return sessionsData.some(s => s.id === decoded.sid && s.userId === user.id && isSessionActive(s, user));
+}
+
 // JWT Token Verification Middleware
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -330,6 +476,23 @@ function authenticateToken(req, res, next) {
 
   try {
     const decoded = jwt.verify(token, JWT_SECRET);
+    if (!usersLoaded) await usersLoadPromise;
+
+    // Sessions created on another instance may not be in memory yet.
+    // Revocations done elsewhere reach this instance on the next refresh;
+    // the short access token lifetime bounds that window.
+    let current = isAccessTokenCurrent(decoded);
+    if (!current && storage.shared) {
+      await Promise.all([refreshUsers(), refreshSessions()]);
+      current = isAccessTokenCurrent(decoded);
+    }
+
+    if (!current) {
+      console.log(`[AUTH] Revoked token for ${decoded.username}`);
+      req.user = null;
+      return next();
+    }
+
     req.user = decoded;
     next();
   } catch (error) {
@@ -347,222 +510,361 @@ function requireAuth(req, res, next) {
   next();
 }
 
+// User roles, from least to most privileged. Each role can do everything
+// the roles before it can.
+const ROLES = ['user', 'moderator', 'admin'];
+
+function getUserRole(userId) {
+  const user = usersData.find(u => u.id === userId);
+  return user && ROLES.includes(user.role) ? user.role : 'user';
+}
+
+// Require a minimum role middleware (for moderator/admin routes)
+// The role comes from the stored user record rather than the token, so
+// promotions and demotions take effect immediately.
+function requireRole(role) {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required. Please log in.' });
+    }
+    if (!usersLoaded) await usersLoadPromise;
+    await refreshUsers();
+
+    const userRole = getUserRole(req.user.id);
+    if (ROLES.indexOf(userRole) < ROLES.indexOf(role)) {
+      console.log(`[AUTH] Denied ${req.method} ${req.path} for ${req.user.username} (role: ${userRole}, requires: ${role})`);
+      return res.status(403).json({ error: 'You do not have permission to access this resource.' });
+    }
+    req.user.role = userRole;
+    next();
+  };
+}
+
+// Change users with optimistic concurrency (see updateDocument).
+// `mutate(users)` edits the fresh array in place; returning { status, error }
+// aborts without saving.
+async function updateUsers(mutate) {
+  const outcome = await updateDocument(storage, USERS_DOC, (current) => {
+    const users = Array.isArray(current) ? current : [];
+    const result = mutate(users);
+    if (result?.error) return { result };
+    return { data: users, result };
+  });
+
+  if (outcome.conflict) {
+    return { status: 409, error: 'Accounts were being updated at the same time. Please try again.' };
+  }
+  if (!outcome.ok) {
+    return { status: 500, error: 'Failed to save account changes.' };
+  }
+  if (Array.isArray(outcome.data)) {
+    usersData = outcome.data;
+  }
+  return outcome.result;
+}
+
 // Cache for API responses (TTL: 1 hour)
 const cache = new NodeCache({ stdTTL: 3600 });
 const imageCache = new NodeCache({ stdTTL: 86400 });
 
-// Path to persistent review storage (fallback for local development)
-const REVIEWS_FILE = process.env.VERCEL
-  ? path.join("/tmp", "reviews.json")
-  : path.join(__dirname, "reviews.json");
-
-// In-memory cache for reviews (synced with Blob or file)
+// In-memory cache for reviews (synced with the storage driver)
+// Stored as an array of [businessId, reviews[]] entries
 let localReviews = new Map();
 
+// Load reviews from the configured storage driver
+async function loadReviewsAsync() {
+  const data = await storage.read(REVIEWS_DOC);
+  if (Array.isArray(data)) {
+    localReviews = new Map(data);
+    console.log(`[STORAGE] Loaded ${localReviews.size} business review sets from ${storage.label}`);
+  } else {
+    console.log(`[STORAGE] No reviews found in ${storage.label}, starting fresh`);
+  }
+}
+
+// Save reviews to the configured storage driver
+async function saveReviewsAsync() {
+  console.log(`[SAVE] Saving ${localReviews.size} business review sets to ${storage.label}`);
+  return storage.write(REVIEWS_DOC, Array.from(localReviews.entries()));
+}
+
+// Apply a change to the reviews document with optimistic concurrency.
+// `mutate(reviews)` receives a fresh Map of businessId -> reviews and may run
+// more than once when another instance writes at the same time, so it must
+// only depend on that Map. Returning { status, error } aborts without saving,
+// and so does a result with `unchanged: true` (nothing to write); any other
+// return value is passed back to the route.
+async function updateReviews(mutate) {
+  const outcome = await updateDocument(storage, REVIEWS_DOC, (current) => {
+    const reviews = new Map(Array.isArray(current) ? current : []);
+    const result = mutate(reviews);
+    if (result?.error || result?.unchanged) return { result };
+    return { data: Array.from(reviews.entries()), result };
+  });
+
+  if (outcome.conflict) {
+    if (Array.isArray(outcome.data)) localReviews = new Map(outcome.data);
+    return { status: 409, error: "Reviews were being updated by someone else. Please try again." };
+  }
+  if (!outcome.ok) {
+    console.error('[REVIEW] Failed to persist review changes to storage');
+    return { status: 500, error: "Failed to save review changes" };
+  }
+  if (Array.isArray(outcome.data)) {
+    localReviews = new Map(outcome.data);
+  }
+  return outcome.result;
+}
+
+// Lightweight refresh - picks up reviews written by other serverless instances
+async function refreshReviews() {
+  if (!storage.shared) return;
+
+  const data = await storage.read(REVIEWS_DOC);
+  if (Array.isArray(data)) {
+    localReviews = new Map(data);
+    console.log(`[STORAGE] Refreshed ${localReviews.size} business review sets`);
+  }
+}
+
 // ============================================
-// VERCEL BLOB REVIEW STORAGE
+// DEALS STORAGE (owner-managed offers)
 // ============================================
-const REVIEWS_BLOB_NAME = "reviews.json";
-let reviewsBlobUrl = null; // Cache the blob URL for deletion
+// Deals are created by verified business owners (or admins). Whether a deal
+// is running is derived from its dates and redemption count whenever it is
+// read, so deals expire automatically without a background job.
+let dealsData = []; // Array of { id, businessId, title, terms, startsAt, endsAt, maxRedemptions, redemptions[], createdBy, createdAt, updatedAt }
+
+// Load deals from the configured storage driver
+async function loadDealsAsync() {
+  const data = await storage.read(DEALS_DOC);
+  if (Array.isArray(data)) {
+    dealsData = data;
+    console.log(`[STORAGE] Loaded ${dealsData.length} deals from ${storage.label}`);
+  }
+}
 
-// Load reviews from Vercel Blob or file
-async function loadReviewsAsync() {
-  if (USE_VERCEL_BLOB) {
-    try {
-      console.log('[BLOB] Loading reviews from Vercel Blob...');
-      // List blobs to find our reviews file
-      const { blobs } = await list({ prefix: REVIEWS_BLOB_NAME });
-      console.log(`[BLOB] Found ${blobs.length} blobs with prefix "${REVIEWS_BLOB_NAME}":`, blobs.map(b => ({ pathname: b.pathname, url: b.url })));
-
-      // Find blob - try exact match first, then includes
-      let reviewsBlob = blobs.find(b => b.pathname === REVIEWS_BLOB_NAME);
-      if (!reviewsBlob && blobs.length > 0) {
-        reviewsBlob = blobs.find(b => b.pathname.includes(REVIEWS_BLOB_NAME));
-      }
-
-      if (reviewsBlob) {
-        reviewsBlobUrl = reviewsBlob.url;
-        console.log(`[BLOB] Found reviews blob at ${reviewsBlob.url}`);
-        // Fetch the blob content with cache-busting to avoid stale data
-        const cacheBustUrl = `${reviewsBlob.url}${reviewsBlob.url.includes('?') ? '&' : '?'}_t=${Date.now()}`;
-        const response = await fetch(cacheBustUrl, {
-          cache: 'no-store',
-          headers: {
-            'Cache-Control': 'no-cache, no-store, must-revalidate',
-            'Pragma': 'no-cache'
-          }
-        });
-        if (response.ok) {
-          const text = await response.text();
-          console.log(`[BLOB] Fetched content (${text.length} chars)`);
-          if (text.trim()) {
-            const data = JSON.parse(text);
-            if (Array.isArray(data)) {
-              localReviews = new Map(data);
-              console.log(`[BLOB] Loaded ${localReviews.size} business review sets from Vercel Blob`);
-              return;
-            }
-          }
-        } else {
-          console.error(`[BLOB] Failed to fetch blob: ${response.status} ${response.statusText}`);
-        }
-      }
-      console.log('[BLOB] No reviews found in Vercel Blob, starting fresh');
-    } catch (error) {
-      console.error('[BLOB] Error loading reviews from Vercel Blob:', error.message, error.stack);
-    }
+// Re-read deals when other instances may have written them
+async function refreshDeals() {
+  if (!storage.shared) return;
+
+  const data = await storage.read(DEALS_DOC);
+  if (Array.isArray(data)) {
+    dealsData = data;
   }
+}
 
-  // Fallback to file-based storage
-  try {
-    if (fs.existsSync(REVIEWS_FILE)) {
-      const data = fs.readFileSync(REVIEWS_FILE, "utf8");
-      localReviews = new Map(JSON.parse(data));
-      console.log(`[FILE] Loaded ${localReviews.size} business review sets from file`);
-    }
-  } catch (error) {
-    console.error("[FILE] Error loading reviews:", error);
+// 'scheduled', 'active', 'sold-out' or 'expired' at the given time
+function getDealStatus(deal, now = new Date().toISOString()) {
+  if (deal.endsAt && now >= deal.endsAt) return 'expired';
+  if (now < deal.startsAt) return 'scheduled';
+  const redeemed = (deal.redemptions || []).length;
+  if (deal.maxRedemptions !== null && deal.maxRedemptions !== undefined && redeemed >= deal.maxRedemptions) {
+    return 'sold-out';
   }
+  return 'active';
 }
 
-// Save reviews to Vercel Blob or file
-async function saveReviewsAsync() {
-  const data = Array.from(localReviews.entries());
-  const jsonData = JSON.stringify(data);
-  console.log(`[SAVE] Preparing to save ${localReviews.size} business review sets (${jsonData.length} chars)`);
+// Deal as shown to customers (who redeemed it stays private)
+function toPublicDeal(deal) {
+  const { redemptions = [], ...rest } = deal;
+  const hasLimit = deal.maxRedemptions !== null && deal.maxRedemptions !== undefined;
+  return {
+    ...rest,
+    status: getDealStatus(deal),
+    redemptionCount: redemptions.length,
+    remaining: hasLimit ? Math.max(deal.maxRedemptions - redemptions.length, 0) : null
+  };
+}
 
-  if (USE_VERCEL_BLOB) {
-    try {
-      // Upload new blob - addRandomSuffix: false will overwrite existing file
-      // DO NOT delete before put - this causes race conditions in serverless environment
-      console.log('[BLOB] Uploading new blob (will overwrite existing)...');
-      const blob = await put(REVIEWS_BLOB_NAME, jsonData, {
-        access: 'public',
-        contentType: 'application/json',
-        addRandomSuffix: false
-      });
-      reviewsBlobUrl = blob.url;
-      console.log(`[BLOB] Saved ${localReviews.size} business review sets to Vercel Blob at ${blob.url}`);
-      console.log(`[BLOB] Data saved: ${jsonData.substring(0, 200)}${jsonData.length > 200 ? '...' : ''}`);
-      return true;
-    } catch (error) {
-      console.error('[BLOB] Error saving reviews to Vercel Blob:', error.message, error.stack);
-      // Fall through to file backup
-    }
-  }
+// Running deals for a business, soonest-ending first
+function getActiveDeals(businessId) {
+  const now = new Date().toISOString();
+  return dealsData
+    .filter(d => d.businessId === businessId && getDealStatus(d, now) === 'active')
+    .sort((a, b) => (a.endsAt || '9999').localeCompare(b.endsAt || '9999'));
+}
 
-  // Fallback to file-based storage
-  try {
-    fs.writeFileSync(REVIEWS_FILE, jsonData, "utf8");
-    console.log(`[FILE] Saved ${localReviews.size} business review sets to file`);
-    return true;
-  } catch (error) {
-    console.error("[FILE] Error saving reviews:", error);
-    return false;
+// Change deals with optimistic concurrency (see updateDocument).
+// `mutate(deals)` edits the fresh array in place; returning { status, error }
+// aborts without saving.
+async function updateDeals(mutate) {
+  const outcome = await updateDocument(storage, DEALS_DOC, (current) => {
+    const deals = Array.isArray(current) ? current : [];
+    const result = mutate(deals);
+    if (result?.error) return { result };
+    return { data: deals, result };
+  });
+
+  if (outcome.conflict) {
+    if (Array.isArray(outcome.data)) dealsData = outcome.data;
+    return { status: 409, error: 'Deals were being updated at the same time. Please try again.' };
+  }
+  if (!outcome.ok) {
+    return { status: 500, error: 'Failed to save deal.' };
+  }
+  if (Array.isArray(outcome.data)) {
+    dealsData = outcome.data;
   }
+  return outcome.result;
 }
 
-// Lightweight refresh from Blob - used to get latest reviews on single business requests
-async function refreshReviewsFromBlob() {
-  if (!USE_VERCEL_BLOB) {
-    console.log('[BLOB] Skipping refresh - USE_VERCEL_BLOB is false');
-    return;
+// Track review loading state (deals load alongside reviews)
+let reviewsLoaded = false;
+
+const reviewsLoadPromise = Promise.all([loadReviewsAsync(), loadDealsAsync()])
+  .then(() => {
+    reviewsLoaded = true;
+    console.log('[STORAGE] Reviews loaded and ready');
+  })
+  .catch(err => {
+    console.error('[STORAGE] Async review load failed:', err);
+    reviewsLoaded = true; // Mark as loaded even on failure to not block forever
+  });
+
+// Middleware to ensure reviews are loaded before serving requests
+async function ensureReviewsLoaded(req, res, next) {
+  if (!reviewsLoaded) {
+    console.log('[STORAGE] Waiting for reviews to load...');
+    await reviewsLoadPromise;
   }
+  next();
+}
 
-  try {
-    const { blobs } = await list({ prefix: REVIEWS_BLOB_NAME });
-    console.log(`[BLOB] Found ${blobs.length} blobs with prefix "${REVIEWS_BLOB_NAME}"`);
-
-    const reviewsBlob = blobs.find(b => b.pathname === REVIEWS_BLOB_NAME) ||
-                        blobs.find(b => b.pathname.includes(REVIEWS_BLOB_NAME));
-
-    if (reviewsBlob) {
-      console.log(`[BLOB] Fetching from ${reviewsBlob.url}`);
-      // Add cache-busting to avoid stale data
-      const cacheBustUrl = `${reviewsBlob.url}${reviewsBlob.url.includes('?') ? '&' : '?'}_t=${Date.now()}`;
-      const response = await fetch(cacheBustUrl, {
-        cache: 'no-store',
-        headers: {
-          'Cache-Control': 'no-cache, no-store, must-revalidate',
-          'Pragma': 'no-cache'
-        }
-      });
-      if (response.ok) {
-        const text = await response.text();
-        if (text.trim()) {
-          const data = JSON.parse(text);
-          if (Array.isArray(data)) {
-            localReviews = new Map(data);
-            reviewsBlobUrl = reviewsBlob.url;
-            console.log(`[BLOB] Refreshed ${localReviews.size} business review sets`);
-            // Log a sample of the data for debugging
-            if (localReviews.size > 0) {
-              const firstEntry = localReviews.entries().next().value;
-              if (firstEntry) {
-                const [bizId, reviews] = firstEntry;
-                console.log(`[BLOB] Sample: business ${bizId} has ${reviews.length} reviews`);
-                if (reviews.length > 0 && reviews[0].userId) {
-                  console.log(`[BLOB] First review userId: ${reviews[0].userId}`);
-                }
-              }
-            }
-          } else {
-            console.log('[BLOB] Data is not an array:', typeof data);
-          }
-        } else {
-          console.log('[BLOB] Blob content is empty');
-        }
-      } else {
-        console.log(`[BLOB] Failed to fetch blob: ${response.status}`);
-      }
-    } else {
-      console.log('[BLOB] No reviews blob found');
+// ============================================
+// REVIEW MODERATION HELPERS
+// ============================================
+
+// Reports from this many different users hide a review until a moderator
+// looks at it
+const REPORT_HIDE_THRESHOLD = 3;
+const MAX_REPORT_REASON_LENGTH = 500;
+const MAX_MODERATION_NOTE_LENGTH = 500;
+
+// Words that hold a new review for moderation (see screening.js)
+const BLOCKED_TERMS = loadBlockedTerms();
+
+// The author's reviews on every business, except `exclude` (the review
+// being screened), for the duplicate and burst checks
+function collectAuthorReviews(allReviews, userId, exclude = null) {
+  const authorReviews = [];
+  for (const list of allReviews.values()) {
+    for (const other of list) {
+      if (other.userId === userId && other !== exclude) authorReviews.push(other);
     }
-  } catch (error) {
-    console.error('[BLOB] Error refreshing reviews:', error.message, error.stack);
   }
+  return authorReviews;
 }
 
-// Synchronous fallback for initial load (file only)
-function loadReviewsSync() {
-  try {
-    if (fs.existsSync(REVIEWS_FILE)) {
-      const data = fs.readFileSync(REVIEWS_FILE, "utf8");
-      return new Map(JSON.parse(data));
+// Hide a review that failed screening until a moderator looks at it.
+// A review moderators already hid stays hidden.
+function holdForScreening(review, reasons, at) {
+  if (getModerationStatus(review) !== 'hidden') {
+    review.hidden = true;
+    review.moderation = { ...review.moderation, status: 'pending' };
+  }
+  review.screening = { reasons, at };
+  logModerationAction(review, { action: 'hold', note: reasons.map(r => r.detail).join('; ') });
+}
+
+// Lift a screening hold once the review's new text passes screening. Pending
+// reports still wait for a moderator, and a review moderators hid stays hidden.
+function releaseScreeningHold(review) {
+  if (!review.screening) return;
+  delete review.screening;
+  if (getModerationStatus(review) !== 'pending') return;
+
+  const pendingReports = getPendingReports(review);
+  review.hidden = pendingReports.length >= REPORT_HIDE_THRESHOLD;
+  if (pendingReports.length === 0) {
+    const { status, ...moderation } = review.moderation || {};
+    if (moderation.reviewedAt) {
+      review.moderation = { ...moderation, status: 'approved' };
+    } else if (Object.keys(moderation).length > 0) {
+      review.moderation = moderation;
+    } else {
+      delete review.moderation;
     }
-  } catch (error) {
-    console.error("Error loading reviews:", error);
   }
-  return new Map();
+  logModerationAction(review, { action: 'release', note: 'New text passed screening' });
 }
 
-// Initialize reviews - sync for startup, async load follows
-localReviews = loadReviewsSync();
+// Moderation status of a review: 'pending' (unreviewed reports, or held by
+// screening), 'approved', 'hidden', or null if it was never reported. Reviews
+// reported before the moderation queue existed have reports but no status.
+function getModerationStatus(review) {
+  if (review.moderation?.status) return review.moderation.status;
+  return review.reports?.length ? 'pending' : null;
+}
 
-// Track blob loading state
-let blobLoadPromise = null;
-let blobLoaded = false;
+// Reports filed since a moderator last acted on the review
+function getPendingReports(review) {
+  const reviewedAt = review.moderation?.reviewedAt;
+  return (review.reports || []).filter(r => !reviewedAt || (r.date || '') > reviewedAt);
+}
 
-// Load from Blob asynchronously after startup
-if (USE_VERCEL_BLOB) {
-  blobLoadPromise = loadReviewsAsync()
-    .then(() => {
-      blobLoaded = true;
-      console.log('[BLOB] Reviews loaded and ready');
-    })
-    .catch(err => {
-      console.error('[BLOB] Async load failed:', err);
-      blobLoaded = true; // Mark as loaded even on failure to not block forever
-    });
+// Append an entry to the review's audit trail. Without a moderator the
+// action was taken automatically by the system.
+function logModerationAction(review, { action, moderator = null, note = '' }) {
+  if (!review.moderationLog) review.moderationLog = [];
+  review.moderationLog.push({
+    action,
+    by: moderator ? moderator.id : null,
+    byUsername: moderator ? moderator.username : 'system',
+    note,
+    at: new Date().toISOString()
+  });
 }
 
-// Middleware to ensure reviews are loaded before serving requests
-async function ensureReviewsLoaded(req, res, next) {
-  if (USE_VERCEL_BLOB && !blobLoaded && blobLoadPromise) {
-    console.log('[BLOB] Waiting for reviews to load...');
-    await blobLoadPromise;
+// Helpful votes are stored on the review as review.votes, one
+// { userId, helpful, date } per user
+function countVotes(review) {
+  const votes = review.votes || [];
+  const helpful = votes.filter(v => v.helpful).length;
+  return { helpful, notHelpful: votes.length - helpful };
+}
+
+// Strip report and moderation details and earlier revisions before reviews
+// are shown publicly. Votes are shown as counts, plus the vote of the user
+// viewing them.
+function toPublicReview(review, viewerId = null) {
+  const { reports, moderation, moderationLog, screening, votes, revisions, ...publicReview } = review;
+  const { helpful, notHelpful } = countVotes(review);
+  const myVote = viewerId ? (votes || []).find(v => v.userId === viewerId)?.helpful ?? null : null;
+  return { ...publicReview, helpfulCount: helpful, notHelpfulCount: notHelpful, myVote };
+}
+
+// A user's review of a business, hidden or not (each user gets one). Older
+// data may hold several; the newest wins.
+function findUserReview(reviews, userId) {
+  const own = (reviews || []).filter(r => r.userId === userId);
+  return own.length ? own.reduce((a, b) => ((b.date || '') > (a.date || '') ? b : a)) : null;
+}
+
+// Fields that make up one version of a review, kept in review.revisions when
+// it is replaced
+const REVISION_FIELDS = ['rating', 'comment', 'quality', 'service', 'cleanliness', 'atmosphere', 'isAnonymous', 'author'];
+// Earlier versions kept per review; the oldest are dropped beyond this so a
+// frequently edited review can't grow the reviews document without bound
+const MAX_REVISIONS = 20;
+
+// Save the current version of a review to its history before changing it
+function recordRevision(review) {
+  if (!review.revisions) review.revisions = [];
+  const version = { revision: review.revision || 1, date: review.editedAt || review.date };
+  for (const field of REVISION_FIELDS) {
+    if (review[field] !== undefined) version[field] = review[field];
   }
-  next();
+  review.revisions.push(version);
+  review.revisions = review.revisions.slice(-MAX_REVISIONS);
+}
+
+// The signed-in user's review of a business for the detail page, including
+// one that is hidden or waiting for a moderator
+function getMyReview(businessId, userId) {
+  if (!userId) return null;
+  const review = findUserReview(localReviews.get(businessId), userId);
+  return review ? toPublicReview(review, userId) : null;
 }
 
 // ============================================
@@ -855,124 +1157,109 @@ let seedingComplete = false;
 const verificationChallenges = new Map();
 
 // ============================================
-// VERCEL BLOB BUSINESS STORAGE (for favorites persistence)
+// BUSINESS STORAGE (for favorites persistence)
 // ============================================
-const BUSINESSES_BLOB_NAME = "businesses.json";
-let businessesBlobUrl = null;
 
 // In-memory storage for all seen businesses (ensures favorites never disappear)
 let persistentBusinesses = new Map();
 
-// Load businesses from Vercel Blob or file
-async function loadBusinessesFromBlob() {
-  if (USE_VERCEL_BLOB) {
-    try {
-      console.log('[BLOB] Loading businesses from Vercel Blob...');
-      const { blobs } = await list({ prefix: BUSINESSES_BLOB_NAME });
-
-      let businessesBlob = blobs.find(b => b.pathname === BUSINESSES_BLOB_NAME);
-      if (!businessesBlob && blobs.length > 0) {
-        businessesBlob = blobs.find(b => b.pathname.includes(BUSINESSES_BLOB_NAME));
-      }
-
-      if (businessesBlob) {
-        businessesBlobUrl = businessesBlob.url;
-        console.log(`[BLOB] Found businesses blob at ${businessesBlob.url}`);
-        const response = await fetch(businessesBlob.url);
-        if (response.ok) {
-          const text = await response.text();
-          if (text.trim()) {
-            const data = JSON.parse(text);
-            if (Array.isArray(data)) {
-              persistentBusinesses = new Map(data);
-              console.log(`[BLOB] Loaded ${persistentBusinesses.size} businesses from Vercel Blob`);
-              return;
-            }
-          }
-        }
-      }
-      console.log('[BLOB] No businesses found in Vercel Blob, starting fresh');
-    } catch (error) {
-      console.error('[BLOB] Error loading businesses from Vercel Blob:', error.message);
-    }
+// Load businesses from the configured storage driver
+async function loadBusinessesAsync() {
+  const data = await storage.read(BUSINESSES_DOC);
+  if (Array.isArray(data)) {
+    persistentBusinesses = new Map(data);
+    console.log(`[STORAGE] Loaded ${persistentBusinesses.size} businesses from ${storage.label}`);
+  } else {
+    console.log(`[STORAGE] No businesses found in ${storage.label}, starting fresh`);
   }
+}
 
-  // Fallback to file-based storage
-  const BUSINESSES_FILE = process.env.VERCEL
-    ? path.join("/tmp", "businesses.json")
-    : path.join(__dirname, "businesses.json");
-
-  try {
-    if (fs.existsSync(BUSINESSES_FILE)) {
-      const data = fs.readFileSync(BUSINESSES_FILE, "utf8");
-      persistentBusinesses = new Map(JSON.parse(data));
-      console.log(`[FILE] Loaded ${persistentBusinesses.size} businesses from file`);
-    }
-  } catch (error) {
-    console.error("[FILE] Error loading businesses:", error);
-  }
+// Save businesses to the configured storage driver
+async function saveBusinessesAsync() {
+  console.log(`[SAVE] Saving ${persistentBusinesses.size} businesses`);
+  return storage.write(BUSINESSES_DOC, Array.from(persistentBusinesses.entries()));
 }
 
-// Save businesses to Vercel Blob or file
-async function saveBusinessesToBlob() {
-  const data = Array.from(persistentBusinesses.entries());
-  const jsonData = JSON.stringify(data);
-  console.log(`[SAVE] Saving ${persistentBusinesses.size} businesses (${jsonData.length} chars)`);
+// Track business loading state
+let businessesLoaded = false;
 
-  if (USE_VERCEL_BLOB) {
-    try {
-      const blob = await put(BUSINESSES_BLOB_NAME, jsonData, {
-        access: 'public',
-        contentType: 'application/json',
-        addRandomSuffix: false
-      });
-      businessesBlobUrl = blob.url;
-      console.log(`[BLOB] Saved ${persistentBusinesses.size} businesses to Vercel Blob`);
-      return true;
-    } catch (error) {
-      console.error('[BLOB] Error saving businesses to Vercel Blob:', error.message);
-    }
-  }
+// Load businesses asynchronously after startup
+const businessesLoadPromise = loadBusinessesAsync()
+  .then(() => {
+    businessesLoaded = true;
+    console.log('[STORAGE] Businesses loaded and ready');
+  })
+  .catch(err => {
+    console.error('[STORAGE] Async business load failed:', err);
+    businessesLoaded = true;
+  });
 
-  // Fallback to file-based storage
-  const BUSINESSES_FILE = process.env.VERCEL
-    ? path.join("/tmp", "businesses.json")
-    : path.join(__dirname, "businesses.json");
+// ============================================
+// REGIONS (see regions.js)
+// ============================================
+const REGIONS = loadRegions();
+const DEFAULT_REGION = REGIONS[0];
+console.log(`[REGIONS] Serving ${REGIONS.map(r => r.name).join('; ')} (default: ${DEFAULT_REGION.id})`);
+
+// Region a business belongs to: its stored tag, else the region around its
+// coordinates, else the default region
+function getBusinessRegion(business) {
+  return REGIONS.find(r => r.id === business.region) ||
+    findRegionForPoint(REGIONS, business.lat, business.lon) ||
+    DEFAULT_REGION;
+}
 
-  try {
-    fs.writeFileSync(BUSINESSES_FILE, jsonData, "utf8");
-    console.log(`[FILE] Saved ${persistentBusinesses.size} businesses to file`);
-    return true;
-  } catch (error) {
-    console.error("[FILE] Error saving businesses:", error);
-    return false;
-  }
+function withRegion(business) {
+  const region = getBusinessRegion(business);
+  return business.region === region.id ? business : { ...business, region: region.id };
 }
 
-// Track business blob loading state
-let businessBlobLoadPromise = null;
-let businessBlobLoaded = false;
+// Parse the optional ?region= query parameter.
+// Returns { region } (null when not given) or { error } for unknown ids.
+function parseRegionQuery(value) {
+  if (value === undefined || value === '' || value === 'all') return { region: null };
+  const region = REGIONS.find(r => r.id === value);
+  if (!region) {
+    return { error: `Unknown region "${value}". Expected one of: ${REGIONS.map(r => r.id).join(', ')}.` };
+  }
+  return { region };
+}
 
-// Load businesses from Blob asynchronously after startup
-if (USE_VERCEL_BLOB || !process.env.VERCEL) {
-  businessBlobLoadPromise = loadBusinessesFromBlob()
-    .then(() => {
-      businessBlobLoaded = true;
-      console.log('[BLOB] Businesses loaded and ready');
-    })
-    .catch(err => {
-      console.error('[BLOB] Async business load failed:', err);
-      businessBlobLoaded = true;
-    });
+// ============================================
+// GEO HELPERS (distance search)
+// ============================================
+const MAX_NEAR_RADIUS_MILES = 100;
+
+// Parse a "lat,lon" query value; returns null if missing or out of range
+function parseLatLon(value) {
+  if (typeof value !== 'string') return null;
+  const parts = value.split(',').map(p => Number(p.trim()));
+  if (parts.length !== 2 || parts.some(n => !Number.isFinite(n))) return null;
+  const [lat, lon] = parts;
+  if (lat < -90 || lat > 90 || lon < -180 || lon > 180) return null;
+  return { lat, lon };
 }
 
-// Cumming, Georgia coordinates and search radius
-const CUMMING_GA_LAT = 34.2073;
-const CUMMING_GA_LON = -84.1402;
-const SEARCH_RADIUS_METERS = 24140; // 15 miles in meters
+// ============================================
+// SEARCH INDEX
+// ============================================
+// Built lazily on the first search and kept up to date on later ones: sync()
+// only re-indexes businesses whose fields or review comments changed.
+const searchIndex = createSearchIndex();
+
+// Relevance scores (businessId -> score) for a search, or null when the query
+// has no searchable words
+function searchBusinesses(businesses, query) {
+  const changed = searchIndex.sync(businesses, id => localReviews.get(id));
+  if (changed > 0) {
+    console.log(`[SEARCH] Indexed ${changed} changed businesses (${searchIndex.size} total)`);
+  }
+  return searchIndex.search(query);
+}
 
 // API Configuration
 const YELP_API_BASE_URL = "https://api.yelp.com/v3";
+const YELP_MAX_RADIUS_METERS = 40000; // Yelp rejects larger search radii
 const YELP_API_KEY = process.env.YELP_API_KEY;
 const GOOGLE_SEARCH_API_KEY = process.env.GOOGLE_SEARCH_API_KEY;
 const GOOGLE_SEARCH_ENGINE_ID = process.env.GOOGLE_SEARCH_ENGINE_ID;
@@ -1006,7 +1293,13 @@ async function verifyRecaptcha(token) {
 }
 
 const app = express();
-app.use(cors());
+// Behind a proxy (Vercel, nginx) the client IP comes from X-Forwarded-For.
+// TRUST_PROXY takes Express's "trust proxy" values: a hop count, "true" or addresses.
+const TRUST_PROXY = process.env.TRUST_PROXY ?? (process.env.VERCEL ? '1' : '');
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
+app.use(cors({ exposedHeaders: ['Retry-After'] })); // Let the browser read Retry-After on 429s
 app.use(express.json());
 
 // Request logging middleware
@@ -1024,8 +1317,11 @@ app.use((req, res, next) => {
 app.use('/api/businesses', ensureReviewsLoaded);
 app.use('/api/reviews', ensureReviewsLoaded);
 app.use('/api/recommendations', ensureReviewsLoaded);
+app.use('/api/recommendations', ensureUsersLoaded);
 app.use('/api/analytics', ensureReviewsLoaded);
+app.use('/api/moderation', ensureReviewsLoaded);
 app.use('/api/auth', ensureUsersLoaded);
+app.use('/api/me', ensureUsersLoaded);
 
 // Apply authentication middleware globally (but don't require it)
 app.use(authenticateToken);
@@ -1104,9 +1400,28 @@ function isExcludedYelpBusiness(categories = []) {
   return aliases.some(alias => EXCLUDED_YELP_CATEGORIES.includes(alias));
 }
 
-// Generate mock deals for demo (~25% of businesses get a deal)
-function getMockDeal(category, name) {
-  const dealsByCategory = {
+// Mock deals fill in for real ones in demo mode only (OFFLINE_MODE, or
+// DEMO_DEALS=true). Set DEMO_DEALS=false to hide them in demos as well.
+const DEMO_DEALS = process.env.DEMO_DEALS ? process.env.DEMO_DEALS === 'true' : OFFLINE_MODE;
+
+// Attach owner-managed deals to a business. `deal` stays a short headline
+// (or null) for cards, filters and recommendations; `deals` has the details.
+function applyDeals(business) {
+  const deals = getActiveDeals(business.id).map(toPublicDeal);
+  if (deals.length > 0) {
+    return { ...business, deal: deals[0].title, deals, dealSource: 'owner' };
+  }
+
+  // Offline data ships with pre-generated demo deals
+  const demoDeal = DEMO_DEALS
+    ? (business.deal !== undefined ? business.deal : getMockDeal(business.category, business.name))
+    : null;
+  return { ...business, deal: demoDeal || null, deals: [], dealSource: demoDeal ? 'demo' : null };
+}
+
+// Generate mock deals for demo (~25% of businesses get a deal)
+function getMockDeal(category, name) {
+  const dealsByCategory = {
     Food: [
       "10% off lunch orders before 2 PM",
       "Buy 1 entrée, get a dessert free",
@@ -1203,7 +1518,9 @@ function calculateRelevancyScore(name, yelpReviewCount) {
   return score;
 }
 
-function getLocalReviewSummary(id) {
+// Rating and visible reviews of a business. Pass viewerId to include that
+// user's helpful votes (myVote) on the reviews.
+function getLocalReviewSummary(id, { viewerId = null } = {}) {
   const localReviewsList = localReviews.get(id) || [];
   const visibleReviews = localReviewsList.filter(r => !r.hidden);
   const reviewCount = visibleReviews.length;
@@ -1242,7 +1559,46 @@ function getLocalReviewSummary(id) {
     }
   }
 
-  return { reviewCount, rating, reviews: [...visibleReviews], categoryRatings };
+  return { reviewCount, rating, reviews: visibleReviews.map(r => toPublicReview(r, viewerId)), categoryRatings };
+}
+
+// ============================================
+// WEIGHTED RATINGS (Bayesian average, see ratings.js)
+// ============================================
+const RATING_CONFIG = loadRatingConfig();
+
+/**
+ * Weighted ratings for a set of businesses. `businesses` sets the category
+ * priors, so pass the whole list rather than a filtered page. Returns
+ * weightedRatingOf(business), rounded to two decimals.
+ */
+function createRatingContext(businesses) {
+  const now = Date.now();
+  const visibleReviews = (id) => (localReviews.get(id) || []).filter(r => !r.hidden);
+  const { priors, globalPrior } = computeCategoryPriors(
+    businesses.map(b => ({ category: b.category, reviews: visibleReviews(b.id) })),
+    RATING_CONFIG
+  );
+
+  const history = RATING_CONFIG.trust ? buildReviewerHistory(localReviews.values()) : null;
+  const usersById = new Map(usersData.map(u => [u.id, u]));
+  const trustByUser = new Map();
+  const trustOf = (userId) => {
+    if (!trustByUser.has(userId)) {
+      trustByUser.set(userId, reviewerTrust(usersById.get(userId), history.get(userId), now));
+    }
+    return trustByUser.get(userId);
+  };
+  const weightOf = (review) => recencyWeight(review, RATING_CONFIG.halfLifeDays, now) *
+    (history && review.userId ? trustOf(review.userId) : 1);
+
+  return {
+    weightedRatingOf(business) {
+      const prior = priors.get(business.category) ?? globalPrior;
+      const rating = weightedRating(visibleReviews(business.id), prior, { priorWeight: RATING_CONFIG.priorWeight, weightOf });
+      return Math.round(rating * 100) / 100;
+    }
+  };
 }
 
 // Get fallback image by category
@@ -1285,7 +1641,7 @@ async function fetchGoogleImage(query) {
 }
 
 // Build a meaningful, natural-sounding description from available Yelp data
-function buildBusinessDescription(yelpBusiness, category) {
+function buildBusinessDescription(yelpBusiness, category, region = DEFAULT_REGION) {
   const categoryLabels = (yelpBusiness.categories || [])
     .map(c => c.title)
     .filter(Boolean)
@@ -1296,7 +1652,7 @@ function buildBusinessDescription(yelpBusiness, category) {
   }
 
   const name = yelpBusiness.name || "This business";
-  const locationText = yelpBusiness.location?.city || "Cumming";
+  const locationText = yelpBusiness.location?.city || region.city;
   const transactions = yelpBusiness.transactions || [];
   const rating = yelpBusiness.rating;
   const price = yelpBusiness.price;
@@ -1386,29 +1742,33 @@ function buildBusinessDescription(yelpBusiness, category) {
   return description;
 }
 
-// Transform Yelp business to our format
-function transformYelpToBusiness(yelpBusiness) {
+// Transform Yelp business to our format.
+// `region` is the region that was searched; without it the region is
+// worked out from the coordinates.
+function transformYelpToBusiness(yelpBusiness, region = null) {
   if (isExcludedYelpBusiness(yelpBusiness.categories)) return null;
 
   const category = mapYelpCategoriesToCategory(yelpBusiness.categories);
   if (category === "Excluded") return null;
 
+  const lat = yelpBusiness.coordinates?.latitude;
+  const lon = yelpBusiness.coordinates?.longitude;
+  const businessRegion = region || findRegionForPoint(REGIONS, lat, lon) || DEFAULT_REGION;
+
   const id = `yelp-${yelpBusiness.id}`;
   const name = yelpBusiness.name;
-  const address = yelpBusiness.location?.display_address?.join(", ") || "Cumming, GA";
+  const address = yelpBusiness.location?.display_address?.join(", ") || businessRegion.shortName;
   const tags = (yelpBusiness.categories || []).map(cat => cat.title).filter(Boolean).slice(0, 5);
 
   const localReviewSummary = getLocalReviewSummary(id);
   const relevancyScore = calculateRelevancyScore(name, yelpBusiness.review_count || 0);
 
-  const lat = yelpBusiness.coordinates?.latitude;
-  const lon = yelpBusiness.coordinates?.longitude;
   const googleMapsUrl = lat && lon
     ? `https://www.google.com/maps/search/?api=1&query=${lat},${lon}`
     : `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(name + ' ' + address)}`;
 
   // Build a more informative description
-  const description = buildBusinessDescription(yelpBusiness, category);
+  const description = buildBusinessDescription(yelpBusiness, category, businessRegion);
 
   return {
     id,
@@ -1424,14 +1784,13 @@ function transformYelpToBusiness(yelpBusiness) {
     phone: yelpBusiness.display_phone || "Phone not available",
     hours: null, // Populated on detail page from Yelp API or generated fallback
     image: yelpBusiness.image_url || null, // Will be filled with Google Image if null
-    deal: getMockDeal(category, name),
     tags,
     priceRange: yelpBusiness.price || "$$",
     website: yelpBusiness.url,
-    isOpenNow: yelpBusiness.is_closed === false ? true : undefined,
     googleMapsUrl,
     lat,
     lon,
+    region: businessRegion.id,
     reviews: localReviewSummary.reviews,
     relevancyScore,
     isChain: isChainBusiness(name)
@@ -1441,9 +1800,9 @@ function transformYelpToBusiness(yelpBusiness) {
 // Fetch businesses from Yelp with persistent storage (ensures favorites never disappear)
 async function fetchYelpBusinesses() {
   // Wait for persistent businesses to load first
-  if (businessBlobLoadPromise && !businessBlobLoaded) {
+  if (businessesLoadPromise && !businessesLoaded) {
     console.log('[YELP] Waiting for persistent businesses to load...');
-    await businessBlobLoadPromise;
+    await businessesLoadPromise;
   }
 
   if (!YELP_API_KEY) {
@@ -1456,7 +1815,7 @@ async function fetchYelpBusinesses() {
     return [];
   }
 
-  const cacheKey = `yelp:${CUMMING_GA_LAT}:${CUMMING_GA_LON}`;
+  const cacheKey = `yelp:${REGIONS.map(r => r.id).join(',')}`;
   const cached = cache.get(cacheKey);
   if (cached) {
     console.log('[YELP] Returning cached results');
@@ -1464,39 +1823,43 @@ async function fetchYelpBusinesses() {
   }
 
   console.log("[YELP] Fetching businesses from Yelp API...");
-  const results = [];
+  const transformed = [];
   const limit = 50;
   const maxOffset = 200; // Stay well under Yelp's 240 limit
 
   try {
-    for (let offset = 0; offset < maxOffset; offset += limit) {
-      console.log(`[YELP] Fetching offset ${offset}...`);
-      const response = await axios.get(`${YELP_API_BASE_URL}/businesses/search`, {
-        headers: { Authorization: `Bearer ${YELP_API_KEY}` },
-        params: {
-          latitude: CUMMING_GA_LAT,
-          longitude: CUMMING_GA_LON,
-          radius: SEARCH_RADIUS_METERS,
-          limit,
-          offset,
-          sort_by: "best_match"
-        },
-        timeout: 15000
-      });
+    for (const region of REGIONS) {
+      let regionCount = 0;
+      for (let offset = 0; offset < maxOffset; offset += limit) {
+        console.log(`[YELP] Fetching ${region.id} offset ${offset}...`);
+        const response = await axios.get(`${YELP_API_BASE_URL}/businesses/search`, {
+          headers: { Authorization: `Bearer ${YELP_API_KEY}` },
+          params: {
+            latitude: region.center.lat,
+            longitude: region.center.lon,
+            radius: Math.min(radiusMeters(region), YELP_MAX_RADIUS_METERS),
+            limit,
+            offset,
+            sort_by: "best_match"
+          },
+          timeout: 15000
+        });
 
-      const businesses = response.data.businesses || [];
-      results.push(...businesses);
-      console.log(`[YELP] Got ${businesses.length} businesses at offset ${offset}`);
+        const businesses = response.data.businesses || [];
+        regionCount += businesses.length;
+        console.log(`[YELP] Got ${businesses.length} businesses at offset ${offset}`);
 
-      if (businesses.length < limit) break;
-    }
+        // Transform and filter new results, tagged with the region searched
+        transformed.push(...businesses
+          .map(biz => transformYelpToBusiness(biz, region))
+          .filter(biz => biz !== null));
 
-    console.log(`[YELP] Successfully fetched ${results.length} total businesses from API`);
+        if (businesses.length < limit) break;
+      }
+      console.log(`[YELP] Fetched ${regionCount} businesses for ${region.name}`);
+    }
 
-    // Transform and filter new results
-    const transformed = results
-      .map(transformYelpToBusiness)
-      .filter(biz => biz !== null);
+    console.log(`[YELP] Successfully fetched ${transformed.length} total businesses from API`);
 
     // Merge with persistent storage - add new businesses, update existing, NEVER remove
     const previousSize = persistentBusinesses.size;
@@ -1517,7 +1880,7 @@ async function fetchYelpBusinesses() {
 
     // Save new businesses to blob storage
     if (newCount > 0 || previousSize === 0) {
-      saveBusinessesToBlob().catch(err => {
+      saveBusinessesAsync().catch(err => {
         console.error('[YELP] Failed to save businesses:', err.message);
       });
     }
@@ -1589,13 +1952,10 @@ const IMPORT_CATEGORIES = [
   'homeandgarden', 'furniture', 'appliances', 'electronicsrepair'
 ];
 
-// Multiple search locations to cast a wider net
-const SEARCH_LOCATIONS = [
-  { name: "Cumming, GA", latitude: 34.2073, longitude: -84.1402 },
-  { name: "Alpharetta, GA", latitude: 34.0754, longitude: -84.2941 },
-  { name: "Johns Creek, GA", latitude: 34.0289, longitude: -84.1986 },
-  { name: "Forsyth County, GA", latitude: 34.2290, longitude: -84.1158 }
-];
+// Multiple search locations per region to cast a wider net
+const SEARCH_LOCATIONS = REGIONS.flatMap(region =>
+  region.importLocations.map(location => ({ ...location, region }))
+);
 
 // Import businesses from specific Yelp categories with pagination and multi-location
 async function importBusinessesByCategory(categories = IMPORT_CATEGORIES) {
@@ -1605,8 +1965,8 @@ async function importBusinessesByCategory(categories = IMPORT_CATEGORIES) {
   }
 
   // Wait for persistent businesses to load first
-  if (businessBlobLoadPromise && !businessBlobLoaded) {
-    await businessBlobLoadPromise;
+  if (businessesLoadPromise && !businessesLoaded) {
+    await businessesLoadPromise;
   }
 
   // Track existing Yelp IDs for dedup
@@ -1638,9 +1998,9 @@ async function importBusinessesByCategory(categories = IMPORT_CATEGORIES) {
           const response = await axios.get(`${YELP_API_BASE_URL}/businesses/search`, {
             headers: { Authorization: `Bearer ${YELP_API_KEY}` },
             params: {
-              latitude: location.latitude,
-              longitude: location.longitude,
-              radius: SEARCH_RADIUS_METERS,
+              latitude: location.lat,
+              longitude: location.lon,
+              radius: Math.min(radiusMeters(location.region), YELP_MAX_RADIUS_METERS),
               categories: category,
               limit,
               offset,
@@ -1661,7 +2021,7 @@ async function importBusinessesByCategory(categories = IMPORT_CATEGORIES) {
               continue;
             }
 
-            const transformed = transformYelpToBusiness(biz);
+            const transformed = transformYelpToBusiness(biz, location.region);
             if (transformed && !persistentBusinesses.has(transformed.id)) {
               persistentBusinesses.set(transformed.id, transformed);
               existingYelpIds.add(biz.id);
@@ -1705,7 +2065,7 @@ async function importBusinessesByCategory(categories = IMPORT_CATEGORIES) {
 
   // Save to persistent storage
   if (newCount > 0) {
-    await saveBusinessesToBlob();
+    await saveBusinessesAsync();
     console.log(`[IMPORT] Saved ${persistentBusinesses.size} businesses to storage`);
   }
 
@@ -1750,7 +2110,7 @@ async function seedReviewsForNewBusinesses(businessIds = []) {
 
   // Save reviews to blob
   if (seededCount > 0) {
-    await saveReviewsToBlob();
+    await saveReviewsAsync();
     console.log(`[SEED] Saved reviews to storage`);
   }
 
@@ -1857,8 +2217,32 @@ function generateFakeHours(businessId, category) {
   return parts.join(", ");
 }
 
+// Weekly schedule for a business. Listings often have no hours yet (Yelp only
+// returns them on the detail call), so fall back to the same generated hours
+// the detail page shows.
+function getBusinessSchedule(business) {
+  return parseHours(business.hours) ||
+    parseHours(generateFakeHours(business.id, business.category));
+}
+
+// Structured hours for the detail page: { schedule, openNow }
+function hoursSummary(business) {
+  return { schedule: getBusinessSchedule(business), openNow: isBusinessOpenAt(business, new Date()) };
+}
+
+// Whether a business is open at `when` (a Date or parseOpenAt result) in its
+// region's time zone; null if its hours can't be read
+function isBusinessOpenAt(business, when) {
+  return isOpenAt(getBusinessSchedule(business), when, getBusinessRegion(business).timezone);
+}
+
 // Main function to fetch businesses (Yelp API first, offline as fallback only)
 async function fetchBusinesses() {
+  const businesses = await fetchBusinessListings();
+  return businesses.map(biz => applyDeals(withRegion(biz)));
+}
+
+async function fetchBusinessListings() {
   // ONLY use offline data if explicitly in OFFLINE_MODE
   // In production, always use Yelp API
   if (OFFLINE_MODE) {
@@ -1914,7 +2298,8 @@ function getOfflineBusinessById(id) {
     photos: business.photos || (business.image ? [business.image] : []),
     rating: localReviewSummary.rating,
     reviewCount: localReviewSummary.reviewCount,
-    reviews: localReviewSummary.reviews
+    reviews: localReviewSummary.reviews,
+    reviewPhotos: collectReviewPhotos(localReviewSummary.reviews)
   };
 }
 
@@ -1928,7 +2313,7 @@ async function enrichBusinessImages(businesses) {
     }
 
     // Try Google Images as fallback
-    const imageQuery = `${business.name} ${business.address || "Cumming GA"}`;
+    const imageQuery = `${business.name} ${business.address || getBusinessRegion(business).shortName}`;
     const image = await fetchGoogleImage(imageQuery);
     enriched.push({
       ...business,
@@ -1972,8 +2357,17 @@ app.get("/api/health", (req, res) => {
     dataSource: OFFLINE_MODE ? "Local (Offline)" : "Yelp API",
     offlineMode: OFFLINE_MODE,
     offlineDataAvailable: offlineBusinesses.length > 0,
-    location: "Cumming, Georgia",
-    radius: "10 miles"
+    location: DEFAULT_REGION.name,
+    radius: `${DEFAULT_REGION.radiusMiles} miles`,
+    regions: REGIONS.map(toPublicRegion)
+  });
+});
+
+// Regions the app serves (for the region picker)
+app.get("/api/regions", (req, res) => {
+  res.json({
+    defaultRegion: DEFAULT_REGION.id,
+    regions: REGIONS.map(toPublicRegion)
   });
 });
 
@@ -2078,7 +2472,7 @@ app.post("/api/auth/signup", async (req, res) => {
 
     // Refresh users from blob to get latest data
     try {
-      await refreshUsersFromBlob();
+      await refreshUsers();
       console.log('[AUTH] Users refreshed, current count:', usersData.length);
     } catch (refreshError) {
       console.error('[AUTH] Error refreshing users from blob:', refreshError.message);
@@ -2112,46 +2506,45 @@ app.post("/api/auth/signup", async (req, res) => {
       id: crypto.randomUUID(),
       username: trimmedUsername,
       passwordHash,
-      createdAt: new Date().toISOString()
+      role: 'user',
+      createdAt: new Date().toISOString(),
+      tokenVersion: 0
     };
     console.log('[AUTH] Created new user object with id:', newUser.id);
 
-    usersData.push(newUser);
-    console.log('[AUTH] User added to memory, total users:', usersData.length);
-
-    // Save to storage
-    console.log('[AUTH] Saving users to storage...');
-    let saved;
-    try {
-      saved = await saveUsersAsync();
-      console.log('[AUTH] Save result:', saved);
-    } catch (saveError) {
-      console.error('[AUTH] Save threw an exception:', saveError.message, saveError.stack);
-      // Remove user from memory if save failed
-      usersData = usersData.filter(u => u.id !== newUser.id);
-      return res.status(500).json({ error: 'Unable to create account. Storage error: ' + saveError.message });
-    }
-
-    if (!saved) {
-      console.log('[AUTH] Save returned false, removing user from memory');
-      // Remove user from memory if save failed
-      usersData = usersData.filter(u => u.id !== newUser.id);
-      return res.status(500).json({ error: 'Unable to create account. Please try again.' });
+    // Add the account to the latest stored users (see updateUsers), so a
+    // concurrent role change, reset or logout elsewhere isn't rolled back.
+    // The username is checked again there in case it was taken meanwhile.
+    console.log('[AUTH] Saving new user to storage...');
+    const created = await updateUsers((users) => {
+      if (users.some(u => u.username.toLowerCase() === trimmedUsername.toLowerCase())) {
+        return { status: 409, error: 'Username already exists. Please choose a different username.' };
+      }
+      users.push(newUser);
+      return {};
+    });
+    if (created.error) {
+      console.log('[AUTH] Could not save new user:', created.error);
+      return res.status(created.status).json({ error: created.error });
     }
 
-    // Generate token
-    console.log('[AUTH] Generating JWT token...');
-    const token = generateToken(newUser);
-
     console.log(`[AUTH] New user registered successfully: ${trimmedUsername}`);
 
+    // First session for the new account
+    const session = await updateSessions((sessions) => createSession(sessions, newUser, req));
+    if (session.error) {
+      return res.status(session.status).json({ error: 'Account created, but signing in failed. Please log in.' });
+    }
+
     res.status(201).json({
       message: 'Account created successfully',
       user: {
         id: newUser.id,
-        username: newUser.username
+        username: newUser.username,
+        role: newUser.role
       },
-      token
+      token: session.token,
+      refreshToken: session.refreshToken
     });
   } catch (error) {
     console.error('[AUTH] Signup error (unexpected):', error.message);
@@ -2160,6 +2553,22 @@ app.post("/api/auth/signup", async (req, res) => {
   }
 });
 
+// 401 (or `status`) for a failed login. Once throttling has started, also
+// say how long the client must wait before the next attempt.
+function sendLoginFailure(res, error, failure, status = 401) {
+  if (failure.retryAfterMs <= 0) {
+    return res.status(status).json({ error });
+  }
+  const retryAfter = Math.ceil(failure.retryAfterMs / 1000);
+  res.set('Retry-After', String(retryAfter));
+  return res.status(status).json({
+    error: failure.locked
+      ? `${error} Too many failed attempts - this account is temporarily locked.`
+      : error,
+    retryAfter
+  });
+}
+
 // User login
 app.post("/api/auth/login", async (req, res) => {
   console.log('[AUTH] Login request received');
@@ -2180,9 +2589,23 @@ app.post("/api/auth/login", async (req, res) => {
     const trimmedUsername = username.trim();
     console.log('[AUTH] Login attempt for username:', `"${trimmedUsername}"`);
 
+    // Throttle repeated failures before doing any password work
+    const limit = await loginLimiter.check(req.ip, trimmedUsername);
+    if (!limit.allowed) {
+      const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+      console.log(`[AUTH] Login throttled for "${trimmedUsername}" from ${req.ip} (${limit.reason}, ${retryAfter}s)`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: limit.reason === 'locked'
+          ? 'Too many failed login attempts. This account is temporarily locked.'
+          : 'Too many failed login attempts. Please wait before trying again.',
+        retryAfter
+      });
+    }
+
     // Refresh users from blob to get latest data
     try {
-      await refreshUsersFromBlob();
+      await refreshUsers();
       console.log('[AUTH] Users refreshed for login, current count:', usersData.length);
     } catch (refreshError) {
       console.error('[AUTH] Error refreshing users during login:', refreshError.message);
@@ -2196,7 +2619,8 @@ app.post("/api/auth/login", async (req, res) => {
 
     if (!user) {
       console.log('[AUTH] Login failed: Username not found:', trimmedUsername);
-      return res.status(401).json({ error: 'Username does not exist.' });
+      const failure = await loginLimiter.recordFailure(req.ip, trimmedUsername);
+      return sendLoginFailure(res, 'Username does not exist.', failure);
     }
 
     console.log('[AUTH] User found, verifying password...');
@@ -2212,22 +2636,29 @@ app.post("/api/auth/login", async (req, res) => {
 
     if (!passwordValid) {
       console.log('[AUTH] Login failed: Incorrect password for user:', user.username);
-      return res.status(401).json({ error: 'Password does not match username.' });
+      const failure = await loginLimiter.recordFailure(req.ip, trimmedUsername);
+      return sendLoginFailure(res, 'Password does not match username.', failure);
     }
 
-    // Generate token
-    console.log('[AUTH] Password verified, generating token...');
-    const token = generateToken(user);
+    // Start a new session
+    console.log('[AUTH] Password verified, creating session...');
+    const session = await updateSessions((sessions) => createSession(sessions, user, req));
+    if (session.error) {
+      return res.status(session.status).json({ error: session.error });
+    }
 
+    await loginLimiter.recordSuccess(req.ip, trimmedUsername);
     console.log(`[AUTH] User logged in successfully: ${user.username}`);
 
     res.json({
       message: 'Login successful',
       user: {
         id: user.id,
-        username: user.username
+        username: user.username,
+        role: getUserRole(user.id)
       },
-      token
+      token: session.token,
+      refreshToken: session.refreshToken
     });
   } catch (error) {
     console.error('[AUTH] Login error (unexpected):', error.message);
@@ -2242,24 +2673,436 @@ app.get("/api/auth/me", (req, res) => {
     return res.status(401).json({ error: 'Not authenticated.' });
   }
 
+  const stored = usersData.find(u => u.id === req.user.id);
   res.json({
     user: {
       id: req.user.id,
-      username: req.user.username
+      username: req.user.username,
+      role: getUserRole(req.user.id),
+      createdAt: stored?.createdAt || null
     }
   });
 });
 
-// Debug endpoint - View auth system status (developer use only)
-app.get("/api/auth/debug", async (req, res) => {
+// Exchange a refresh token for a new access token. The refresh token is
+// rotated on every use; presenting an old one again revokes the session.
+app.post("/api/auth/refresh", async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body?.refreshToken);
+    if (!parsed) {
+      return res.status(400).json({ error: 'Refresh token is required.' });
+    }
+
+    const secretHash = hashRefreshSecret(parsed.secret);
+    const newSecret = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    // Only the sessions document is written; the users are read for the
+    // current tokenVersion and role
+    if (!usersLoaded) await usersLoadPromise;
+    await refreshUsers();
+
+    const result = await updateSessions((sessions) => {
+      const session = sessions.find(s => s.id === parsed.sessionId);
+      const user = session && usersData.find(u => u.id === session.userId);
+      if (!session || !isSessionActive(session, user, now)) {
+        return { status: 401, error: 'Session expired. Please log in again.' };
+      }
+
+      if (!secretsMatch(secretHash, session.tokenHash)) {
+        const isPrevious = session.previousTokenHash && secretsMatch(secretHash, session.previousTokenHash);
+        if (isPrevious && now - new Date(session.rotatedAt).getTime() < REFRESH_REUSE_GRACE_MS) {
+          return { status: 401, error: 'Refresh token already used.' };
+        }
+        if (!isPrevious) {
+          return { status: 401, error: 'Session expired. Please log in again.' };
+        }
+        // An old token came back: someone else may hold this session
+        sessions.splice(sessions.indexOf(session), 1);
+        return { reused: true, username: user.username };
+      }
+
+      session.previousTokenHash = session.tokenHash;
+      session.tokenHash = hashRefreshSecret(newSecret);
+      session.rotatedAt = new Date(now).toISOString();
+      session.lastUsedAt = session.rotatedAt;
+      session.expiresAt = new Date(now + REFRESH_TOKEN_TTL_MS).toISOString();
+      return {
+        user: { id: user.id, username: user.username, role: ROLES.includes(user.role) ? user.role : 'user' },
+        token: generateToken(user, session.id)
+      };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    if (result.reused) {
+      console.log(`[AUTH] Refresh token reuse detected for ${result.username}, session revoked`);
+      return res.status(401).json({ error: 'Session expired. Please log in again.' });
+    }
+
+    res.json({
+      user: result.user,
+      token: result.token,
+      refreshToken: `${parsed.sessionId}.${newSecret}`
+    });
+  } catch (error) {
+    console.error('[AUTH] Refresh error:', error);
+    res.status(500).json({ error: 'Failed to refresh session.' });
+  }
+});
+
+// Log out this device: end the session of the given refresh token (or of
+// the access token). Always succeeds so clients can clear local state.
+app.post("/api/auth/logout", async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body?.refreshToken);
+    const sessionId = parsed?.sessionId || req.user?.sid;
+    if (sessionId) {
+      await updateSessions((sessions) => {
+        const session = sessions.find(s => s.id === sessionId);
+        if (!session) return { status: 404, error: 'Session not found.' };
+        // A refresh token must be the current one for its session
+        if (parsed && !secretsMatch(hashRefreshSecret(parsed.secret), session.tokenHash)) {
+          return { status: 401, error: 'Invalid refresh token.' };
+        }
+        sessions.splice(sessions.indexOf(session), 1);
+        return {};
+      });
+    }
+    res.json({ message: 'Logged out.' });
+  } catch (error) {
+    console.error('[AUTH] Logout error:', error);
+    res.status(500).json({ error: 'Failed to log out.' });
+  }
+});
+
+// Log out everywhere: revoke every session and outstanding access token
+app.post("/api/auth/logout-all", requireAuth, async (req, res) => {
+  try {
+    const result = await updateUsers((users) => {
+      const user = users.find(u => u.id === req.user.id);
+      if (!user) return { status: 404, error: 'User not found.' };
+      revokeAllSessions(user);
+      return {};
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    // Already ended by the tokenVersion bump; this only tidies the document
+    await updateSessions((sessions) => dropUserSessions(sessions, req.user.id));
+
+    console.log(`[AUTH] ${req.user.username} logged out of all sessions`);
+    res.json({ message: 'Logged out of all devices.' });
+  } catch (error) {
+    console.error('[AUTH] Logout-all error:', error);
+    res.status(500).json({ error: 'Failed to log out of all devices.' });
+  }
+});
+
+// ============================================
+// PASSWORD MANAGEMENT (change password, admin-issued reset tokens)
+// ============================================
+// There is no email on file, so an admin issues a one-time reset token and
+// hands it to the user (in person, by message, ...). Only a hash of the
+// token is stored with the user record, and it is cleared once used.
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000; // 1 hour
+
+// Same rules as signup. Returns an error message, or null if valid.
+function validateNewPassword(password, confirmPassword) {
+  if (!password || typeof password !== 'string') return 'New password is required.';
+  if (password.length < 8) return 'Password must be at least 8 characters long.';
+  if (password.length > 100) return 'Password must be 100 characters or less.';
+  if (password !== confirmPassword) return 'Passwords do not match.';
+  return null;
+}
+
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Change password - REQUIRES AUTHENTICATION and the current password
+app.post("/api/auth/change-password", requireAuth, async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body || {};
+
+    if (!currentPassword || typeof currentPassword !== 'string') {
+      return res.status(400).json({ error: 'Current password is required.' });
+    }
+    const validationError = validateNewPassword(newPassword, confirmPassword);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    if (newPassword === currentPassword) {
+      return res.status(400).json({ error: 'New password must be different from the current password.' });
+    }
+
+    await refreshUsers();
+    const user = usersData.find(u => u.id === req.user.id);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found.' });
+    }
+    if (!(await bcrypt.compare(currentPassword, user.passwordHash))) {
+      return res.status(401).json({ error: 'Current password is incorrect.' });
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    const result = await updateUsers((users) => {
+      const stored = users.find(u => u.id === req.user.id);
+      if (!stored) return { status: 404, error: 'User not found.' };
+
+      stored.passwordHash = passwordHash;
+      stored.passwordChangedAt = new Date().toISOString();
+      delete stored.passwordReset; // A pending reset token is no longer needed
+      // Sign out every other device; this one gets a fresh session below
+      revokeAllSessions(stored);
+      return { user: stored };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const session = await updateSessions((sessions) => {
+      dropUserSessions(sessions, req.user.id);
+      return createSession(sessions, result.user, req);
+    });
+    if (session.error) {
+      return res.status(session.status).json({ error: 'Password changed, but signing in again failed. Please log in.' });
+    }
+
+    console.log(`[AUTH] Password changed for ${req.user.username}`);
+    res.json({
+      message: 'Password changed successfully. Other devices have been logged out.',
+      token: session.token,
+      refreshToken: session.refreshToken
+    });
+  } catch (error) {
+    console.error('[AUTH] Change password error:', error);
+    res.status(500).json({ error: 'Failed to change password.' });
+  }
+});
+
+// Reset a forgotten password with a token issued by an admin
+app.post("/api/auth/reset-password", async (req, res) => {
+  try {
+    const { username, token, newPassword, confirmPassword } = req.body || {};
+
+    if (!username || typeof username !== 'string' || !username.trim()) {
+      return res.status(400).json({ error: 'Username is required.' });
+    }
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ error: 'Reset code is required.' });
+    }
+    const validationError = validateNewPassword(newPassword, confirmPassword);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const tokenHash = hashResetToken(token.trim());
+    const trimmedUsername = username.trim().toLowerCase();
+    // Same answer for unknown users and wrong codes
+    const findResetUser = (users) => {
+      const user = users.find(u => u.username.toLowerCase() === trimmedUsername);
+      const reset = user?.passwordReset;
+      if (!reset || !secretsMatch(tokenHash, reset.tokenHash) || new Date(reset.expiresAt).getTime() <= Date.now()) {
+        return null;
+      }
+      return user;
+    };
+
+    // Wrong codes count as failed logins, so guessing is throttled too
+    const limit = await loginLimiter.check(req.ip, trimmedUsername);
+    if (!limit.allowed) {
+      const retryAfter = Math.ceil(limit.retryAfterMs / 1000);
+      console.log(`[AUTH] Password reset throttled for "${trimmedUsername}" from ${req.ip} (${limit.reason}, ${retryAfter}s)`);
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Too many failed attempts. Please wait before trying again.', retryAfter });
+    }
+
+    // Check the code before hashing the new password, so wrong guesses
+    // don't cost a bcrypt hash each
+    if (!usersLoaded) await usersLoadPromise;
+    await refreshUsers();
+    if (!findResetUser(usersData)) {
+      const failure = await loginLimiter.recordFailure(req.ip, trimmedUsername);
+      return sendLoginFailure(res, 'Invalid or expired reset code.', failure, 400);
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    const result = await updateUsers((users) => {
+      const user = findResetUser(users);
+      if (!user) return { status: 400, error: 'Invalid or expired reset code.' };
+
+      user.passwordHash = passwordHash;
+      user.passwordChangedAt = new Date().toISOString();
+      delete user.passwordReset; // Single use
+      revokeAllSessions(user);
+      return { username: user.username };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    // A fresh password lifts any login lockout on the account
+    await loginLimiter.recordSuccess(req.ip, result.username);
+    console.log(`[AUTH] Password reset completed for ${result.username}`);
+    res.json({ message: 'Password reset. You can now log in with your new password.' });
+  } catch (error) {
+    console.error('[AUTH] Reset password error:', error);
+    res.status(500).json({ error: 'Failed to reset password.' });
+  }
+});
+
+// Issue a one-time password reset code for a user (admin only).
+// Issuing a new code replaces any earlier one.
+app.post("/api/admin/password-resets", requireRole('admin'), async (req, res) => {
+  try {
+    const { username } = req.body || {};
+    if (!username || typeof username !== 'string' || !username.trim()) {
+      return res.status(400).json({ error: 'Username is required.' });
+    }
+
+    const token = crypto.randomBytes(18).toString('base64url');
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString();
+    const trimmedUsername = username.trim().toLowerCase();
+
+    const result = await updateUsers((users) => {
+      const user = users.find(u => u.username.toLowerCase() === trimmedUsername);
+      if (!user) return { status: 404, error: 'User not found.' };
+
+      user.passwordReset = {
+        tokenHash: hashResetToken(token),
+        expiresAt,
+        issuedBy: req.user.username,
+        createdAt: new Date().toISOString()
+      };
+      return { username: user.username };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`[AUTH] ${req.user.username} issued a password reset code for ${result.username}`);
+    res.status(201).json({
+      message: `Reset code created for ${result.username}. It can be used once and expires in 1 hour.`,
+      username: result.username,
+      token,
+      expiresAt
+    });
+  } catch (error) {
+    console.error('[AUTH] Issue reset code error:', error);
+    res.status(500).json({ error: 'Failed to create reset code.' });
+  }
+});
+
+// ============================================
+// FAVORITES ENDPOINTS (authenticated user's saved businesses)
+// ============================================
+
+// Normalize a client-supplied list of business ids (strings, no duplicates)
+function parseFavoriteIds(value) {
+  if (!Array.isArray(value)) return null;
+  const ids = value
+    .filter(id => (typeof id === "string" || typeof id === "number") && String(id).trim())
+    .map(id => String(id).trim());
+  return [...new Set(ids)];
+}
+
+// Send the outcome of updateFavorites() as a response
+function sendFavoritesOutcome(res, outcome) {
+  if (outcome.conflict) {
+    return res.status(409).json({ error: 'Favorites were being updated from another device. Please try again.' });
+  }
+  if (!outcome.ok) {
+    return res.status(500).json({ error: 'Failed to save favorites.' });
+  }
+  res.json({ favorites: outcome.result });
+}
+
+// Get the current user's favorites
+app.get("/api/me/favorites", requireAuth, async (req, res) => {
+  try {
+    await refreshFavorites();
+    res.json({ favorites: getUserFavorites(req.user.id) });
+  } catch (error) {
+    console.error('[FAVORITES] Error loading favorites:', error);
+    res.status(500).json({ error: 'Failed to load favorites.' });
+  }
+});
+
+// Replace the current user's favorites. With merge=true the given ids are
+// added to the stored list instead (used to migrate browser-only favorites).
+app.put("/api/me/favorites", requireAuth, async (req, res) => {
+  try {
+    const favoriteIds = parseFavoriteIds(req.body?.favoriteIds);
+    if (!favoriteIds) {
+      return res.status(400).json({ error: 'favoriteIds must be an array of business IDs.' });
+    }
+    if (favoriteIds.length > MAX_FAVORITES) {
+      return res.status(400).json({ error: `You can save up to ${MAX_FAVORITES} favorites.` });
+    }
+
+    const merge = req.body.merge === true || req.query.merge === 'true';
+    const outcome = await updateFavorites(req.user.id, (current) =>
+      merge ? [...new Set([...current, ...favoriteIds])] : favoriteIds
+    );
+    console.log(`[FAVORITES] ${merge ? 'Merged' : 'Replaced'} favorites for ${req.user.username} (${favoriteIds.length} ids)`);
+    sendFavoritesOutcome(res, outcome);
+  } catch (error) {
+    console.error('[FAVORITES] Error saving favorites:', error);
+    res.status(500).json({ error: 'Failed to save favorites.' });
+  }
+});
+
+// Add one business to the current user's favorites
+app.put("/api/me/favorites/:businessId", requireAuth, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const outcome = await updateFavorites(req.user.id, (current) =>
+      current.includes(businessId) ? current : [...current, businessId]
+    );
+    sendFavoritesOutcome(res, outcome);
+  } catch (error) {
+    console.error('[FAVORITES] Error adding favorite:', error);
+    res.status(500).json({ error: 'Failed to save favorites.' });
+  }
+});
+
+// Remove one business from the current user's favorites
+app.delete("/api/me/favorites/:businessId", requireAuth, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const outcome = await updateFavorites(req.user.id, (current) =>
+      current.filter(id => id !== businessId)
+    );
+    sendFavoritesOutcome(res, outcome);
+  } catch (error) {
+    console.error('[FAVORITES] Error removing favorite:', error);
+    res.status(500).json({ error: 'Failed to save favorites.' });
+  }
+});
+
+// Clear all of the current user's favorites
+app.delete("/api/me/favorites", requireAuth, async (req, res) => {
+  try {
+    const outcome = await updateFavorites(req.user.id, () => []);
+    sendFavoritesOutcome(res, outcome);
+  } catch (error) {
+    console.error('[FAVORITES] Error clearing favorites:', error);
+    res.status(500).json({ error: 'Failed to save favorites.' });
+  }
+});
+
+// Debug endpoint - View auth system status (admin only)
+app.get("/api/auth/debug", requireRole('admin'), async (req, res) => {
   try {
     // Refresh to get latest data
-    await refreshUsersFromBlob();
+    await refreshUsers();
 
     res.json({
-      storageType: USE_VERCEL_BLOB ? 'Vercel Blob' : 'File System',
+      storageType: storage.label,
       blobTokenSet: !!process.env.BLOB_READ_WRITE_TOKEN,
-      usersBlobUrl: usersBlobUrl,
+      usersBlobUrl: storage.location(USERS_DOC),
       usersLoaded: usersLoaded,
       totalUsersInMemory: usersData.length,
       usernames: usersData.map(u => u.username),
@@ -2304,55 +3147,220 @@ app.get("/api/verification/challenge", (req, res) => {
   }
 });
 
-// Get diagnostic info about current business distribution
-// GET /api/admin/business-stats - shows category breakdown
-app.get("/api/admin/business-stats", async (req, res) => {
+// ====================
+// ADMIN: USER ROLES
+// ====================
+
+// Compare secrets without leaking their length/content through timing
+function secretsMatch(provided, expected) {
+  const a = crypto.createHash('sha256').update(String(provided)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Promote the signed-in user to the first admin.
+// Requires ADMIN_BOOTSTRAP_TOKEN to be configured and only works while no
+// admin exists; after that, admins manage roles via /api/admin/users.
+app.post("/api/admin/bootstrap", requireAuth, ensureUsersLoaded, async (req, res) => {
   try {
-    // Wait for businesses to load
-    if (businessBlobLoadPromise && !businessBlobLoaded) {
-      await businessBlobLoadPromise;
+    const bootstrapToken = process.env.ADMIN_BOOTSTRAP_TOKEN;
+    if (!bootstrapToken) {
+      return res.status(403).json({ error: 'Admin bootstrap is disabled. Set ADMIN_BOOTSTRAP_TOKEN on the server to enable it.' });
     }
 
-    const businesses = Array.from(persistentBusinesses.values());
-    const categoryCount = { Food: 0, Retail: 0, Services: 0, Other: 0 };
-    const tagCount = {};
+    const { token } = req.body || {};
+    if (!token || !secretsMatch(token, bootstrapToken)) {
+      console.log(`[AUTH] Admin bootstrap rejected for ${req.user.username}: invalid token`);
+      return res.status(403).json({ error: 'Invalid bootstrap token.' });
+    }
 
-    for (const biz of businesses) {
-      categoryCount[biz.category] = (categoryCount[biz.category] || 0) + 1;
-      for (const tag of (biz.tags || [])) {
-        tagCount[tag] = (tagCount[tag] || 0) + 1;
+    const result = await updateUsers((users) => {
+      if (users.some(u => u.role === 'admin')) {
+        return { status: 409, error: 'An admin already exists. Ask an admin to grant you a role.' };
       }
+      const user = users.find(u => u.id === req.user.id);
+      if (!user) {
+        return { status: 404, error: 'User not found.' };
+      }
+      user.role = 'admin';
+      return { user: { id: user.id, username: user.username, role: user.role } };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
-    // Sort tags by count
-    const topTags = Object.entries(tagCount)
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 30)
-      .map(([tag, count]) => ({ tag, count }));
-
-    res.json({
-      total: businesses.length,
-      categories: categoryCount,
-      percentages: {
-        Food: ((categoryCount.Food / businesses.length) * 100).toFixed(1) + '%',
-        Retail: ((categoryCount.Retail / businesses.length) * 100).toFixed(1) + '%',
-        Services: ((categoryCount.Services / businesses.length) * 100).toFixed(1) + '%'
-      },
-      topTags,
-      note: "Business storage is additive-only. Businesses are NEVER deleted, only added or updated."
-    });
+    console.log(`[AUTH] ${req.user.username} bootstrapped as the first admin`);
+    res.json({ message: 'You are now an admin.', user: result.user });
   } catch (error) {
-    console.error('[ADMIN] Error getting business stats:', error);
-    res.status(500).json({ error: error.message });
+    console.error('[AUTH] Admin bootstrap error:', error);
+    res.status(500).json({ error: 'Failed to bootstrap admin.' });
   }
 });
 
-// Import additional businesses by category (for diversifying the database)
-// POST /api/import-businesses - imports service and retail businesses with pagination
-app.post("/api/import-businesses", async (req, res) => {
-  try {
-    console.log('[IMPORT] Import endpoint called');
-    const categories = req.body?.categories || IMPORT_CATEGORIES;
+// List users and their roles
+app.get("/api/admin/users", requireRole('admin'), (req, res) => {
+  res.json({
+    roles: ROLES,
+    users: usersData.map(u => ({
+      id: u.id,
+      username: u.username,
+      role: ROLES.includes(u.role) ? u.role : 'user',
+      createdAt: u.createdAt
+    }))
+  });
+});
+
+// Change a user's role
+app.put("/api/admin/users/:userId/role", requireRole('admin'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body || {};
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}.` });
+    }
+
+    const result = await updateUsers((users) => {
+      const user = users.find(u => u.id === userId);
+      if (!user) {
+        return { status: 404, error: 'User not found.' };
+      }
+      // Never leave the site without an admin
+      const admins = users.filter(u => u.role === 'admin');
+      if (user.role === 'admin' && role !== 'admin' && admins.length === 1) {
+        return { status: 400, error: 'Cannot remove the last admin.' };
+      }
+      user.role = role;
+      return { user: { id: user.id, username: user.username, role: user.role } };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`[AUTH] ${req.user.username} set role of ${result.user.username} to ${role}`);
+    res.json({ message: 'Role updated.', user: result.user });
+  } catch (error) {
+    console.error('[AUTH] Role update error:', error);
+    res.status(500).json({ error: 'Failed to update role.' });
+  }
+});
+
+// List business claims
+// GET /api/admin/claims?status=pending|approved|rejected|all (default: pending)
+app.get("/api/admin/claims", requireRole('admin'), async (req, res) => {
+  const status = req.query.status || 'pending';
+  if (!['all', ...CLAIM_STATUSES].includes(status)) {
+    return res.status(400).json({ error: `Status must be one of: all, ${CLAIM_STATUSES.join(', ')}.` });
+  }
+
+  await refreshClaims();
+  const claims = status === 'all' ? claimsData : claimsData.filter(c => c.status === status);
+  res.json({ status, count: claims.length, claims: [...claims].reverse() });
+});
+
+// Approve or reject a business claim
+// POST /api/admin/claims/:claimId { action: 'approve' | 'reject', note }
+app.post("/api/admin/claims/:claimId", requireRole('admin'), async (req, res) => {
+  try {
+    const { claimId } = req.params;
+    const { action, note } = req.body || {};
+
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ error: 'Action must be one of: approve, reject.' });
+    }
+    const trimmedNote = (typeof note === "string") ? note.trim().slice(0, MAX_CLAIM_MESSAGE_LENGTH) : "";
+
+    const result = await updateClaims((claims) => {
+      const claim = claims.find(c => c.id === claimId);
+      if (!claim) {
+        return { status: 404, error: 'Claim not found.' };
+      }
+      if (claim.status !== 'pending') {
+        return { status: 400, error: `This claim was already ${claim.status}.` };
+      }
+
+      const reviewedAt = new Date().toISOString();
+      if (action === 'approve') {
+        if (claims.some(c => c.businessId === claim.businessId && c.status === 'approved')) {
+          return { status: 409, error: 'This business already has a verified owner.' };
+        }
+        // Only one owner per business - close competing claims
+        claims
+          .filter(c => c.businessId === claim.businessId && c.status === 'pending' && c.id !== claim.id)
+          .forEach(c => Object.assign(c, { status: 'rejected', reviewedAt, reviewedBy: req.user.username, note: 'Another claim for this business was approved.' }));
+      }
+
+      Object.assign(claim, {
+        status: action === 'approve' ? 'approved' : 'rejected',
+        reviewedAt,
+        reviewedBy: req.user.username,
+        note: trimmedNote
+      });
+      return { claim };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    cache.flushAll();
+
+    console.log(`[CLAIMS] ${req.user.username} ${result.claim.status} claim ${claimId} (${result.claim.username} -> ${result.claim.businessId})`);
+    res.json({ message: `Claim ${result.claim.status}.`, claim: result.claim });
+  } catch (error) {
+    console.error('[CLAIMS] Error reviewing claim:', error);
+    res.status(500).json({ error: 'Failed to review claim.' });
+  }
+});
+
+// Get diagnostic info about current business distribution
+// GET /api/admin/business-stats - shows category breakdown
+app.get("/api/admin/business-stats", requireRole('admin'), async (req, res) => {
+  try {
+    // Wait for businesses to load
+    if (businessesLoadPromise && !businessesLoaded) {
+      await businessesLoadPromise;
+    }
+
+    const businesses = Array.from(persistentBusinesses.values());
+    const categoryCount = { Food: 0, Retail: 0, Services: 0, Other: 0 };
+    const tagCount = {};
+
+    for (const biz of businesses) {
+      categoryCount[biz.category] = (categoryCount[biz.category] || 0) + 1;
+      for (const tag of (biz.tags || [])) {
+        tagCount[tag] = (tagCount[tag] || 0) + 1;
+      }
+    }
+
+    // Sort tags by count
+    const topTags = Object.entries(tagCount)
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, 30)
+      .map(([tag, count]) => ({ tag, count }));
+
+    res.json({
+      total: businesses.length,
+      categories: categoryCount,
+      percentages: {
+        Food: ((categoryCount.Food / businesses.length) * 100).toFixed(1) + '%',
+        Retail: ((categoryCount.Retail / businesses.length) * 100).toFixed(1) + '%',
+        Services: ((categoryCount.Services / businesses.length) * 100).toFixed(1) + '%'
+      },
+      topTags,
+      note: "Business storage is additive-only. Businesses are NEVER deleted, only added or updated."
+    });
+  } catch (error) {
+    console.error('[ADMIN] Error getting business stats:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Import additional businesses by category (for diversifying the database)
+// POST /api/import-businesses - imports service and retail businesses with pagination
+app.post("/api/import-businesses", requireRole('admin'), async (req, res) => {
+  try {
+    console.log('[IMPORT] Import endpoint called');
+    const categories = req.body?.categories || IMPORT_CATEGORIES;
     const importResult = await importBusinessesByCategory(categories);
 
     // Seed reviews for newly imported businesses
@@ -2389,11 +3397,11 @@ app.post("/api/import-businesses", async (req, res) => {
 });
 
 // Seed reviews for all businesses that currently have zero reviews
-app.post("/api/seed-missing-reviews", async (req, res) => {
+app.post("/api/seed-missing-reviews", requireRole('admin'), async (req, res) => {
   try {
     // Ensure reviews and businesses are loaded
-    if (businessBlobLoadPromise && !businessBlobLoaded) await businessBlobLoadPromise;
-    if (USE_VERCEL_BLOB && !blobLoaded && blobLoadPromise) await blobLoadPromise;
+    if (businessesLoadPromise && !businessesLoaded) await businessesLoadPromise;
+    if (!reviewsLoaded) await reviewsLoadPromise;
 
     const businessIds = Array.from(persistentBusinesses.keys());
     const needReviews = businessIds.filter(id => {
@@ -2426,13 +3434,13 @@ app.post("/api/seed-missing-reviews", async (req, res) => {
 });
 
 // Enrich businesses with real data from Yelp Business Details API
-app.post("/api/enrich-businesses", async (req, res) => {
+app.post("/api/enrich-businesses", requireRole('admin'), async (req, res) => {
   if (!YELP_API_KEY) {
     return res.status(400).json({ error: "YELP_API_KEY not set" });
   }
 
   try {
-    if (businessBlobLoadPromise && !businessBlobLoaded) await businessBlobLoadPromise;
+    if (businessesLoadPromise && !businessesLoaded) await businessesLoadPromise;
 
     const allBiz = Array.from(persistentBusinesses.values());
     const toEnrich = allBiz.filter(b => b.yelpId && b.hours === "Hours available on business page");
@@ -2491,7 +3499,7 @@ app.post("/api/enrich-businesses", async (req, res) => {
 
     // Save updated businesses
     if (enriched > 0) {
-      await saveBusinessesToBlob();
+      await saveBusinessesAsync();
     }
 
     cache.flushAll();
@@ -2510,85 +3518,391 @@ app.post("/api/enrich-businesses", async (req, res) => {
   }
 });
 
+// ============================================
+// LISTING HELPERS (sorting, cursors, facets)
+// ============================================
+const MAX_PAGE_SIZE = 100;
+
+// Sort orders for /api/businesses. Ties are broken by id, so every order is
+// total and a page can be resumed from the last business it showed.
+const BUSINESS_SORTS = {
+  // Weighted, so a single 5-star review doesn't outrank many good ones
+  rating: { value: b => b.weightedRating, descending: true },
+  reviews: { value: b => b.reviewCount, descending: true },
+  name: { value: b => b.name, descending: false },
+  local: { value: b => b.relevancyScore ?? 0, descending: true },
+  // Without coordinates (or without an origin) a business sorts last. A finite
+  // stand-in keeps the comparison numeric and the key valid JSON in cursors.
+  distance: { value: b => b.distanceMiles ?? Number.MAX_VALUE, descending: false },
+  relevance: { value: b => b.relevance ?? 0, descending: true }
+};
+// Paged listings without a sort are ordered by id
+const SORT_BY_ID = { value: () => 0, descending: false };
+
+// An order may name a second order (`then`) that breaks its ties before the
+// id does. The sort key is [value, (then value,) id].
+const sortLevels = (order) => (order.then ? [order, order.then] : [order]);
+
+const sortKeyOf = (order, item) => [...sortLevels(order).map(level => level.value(item)), item.id];
+
+function compareSortKeys(order, keyA, keyB) {
+  const levels = sortLevels(order);
+  for (let i = 0; i < levels.length; i++) {
+    const diff = typeof keyA[i] === 'string' ? keyA[i].localeCompare(keyB[i]) : keyA[i] - keyB[i];
+    if (diff !== 0) return levels[i].descending ? -diff : diff;
+  }
+  return keyA[levels.length].localeCompare(keyB[levels.length]);
+}
+
+// Cursors are opaque to clients: the sort key of the last business on the
+// page plus a fingerprint of the query, so a cursor can't be replayed against
+// different filters or another sort order.
+function listingFingerprint(query) {
+  const params = Object.entries(query)
+    .filter(([key]) => key !== 'cursor' && key !== 'pageSize')
+    .sort(([a], [b]) => a.localeCompare(b));
+  return crypto.createHash('sha256').update(JSON.stringify(params)).digest('hex').slice(0, 16);
+}
+
+function encodeCursor(key, fingerprint) {
+  return Buffer.from(JSON.stringify({ k: key, f: fingerprint })).toString('base64url');
+}
+
+// Returns the sort key the cursor points after, or null if it is invalid
+function decodeCursor(cursor, fingerprint) {
+  try {
+    const { k: key, f } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (f !== fingerprint || !Array.isArray(key) || key.length < 2 || typeof key[key.length - 1] !== 'string') return null;
+    return key;
+  } catch {
+    return null;
+  }
+}
+
+// Keep the first business of each chain (in the current order)
+function collapseChains(businesses) {
+  const seen = new Set();
+  return businesses.filter(b => {
+    if (!b.isChain) return true;
+    // Base name, e.g. "Publix" for "Publix Super Market #123"
+    const baseName = b.name.split(/[#\d]/)[0].trim().toLowerCase();
+    if (seen.has(baseName)) return false;
+    seen.add(baseName);
+    return true;
+  });
+}
+
+// Facets: how many listed businesses have each value of a field.
+// values(b) lists the values a business counts toward; order sorts the result.
+const RATING_BUCKETS = [4.5, 4, 3, 2, 1]; // "4+ stars" etc., so a business counts in every bucket it clears
+const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+const FACETS = {
+  category: {
+    values: b => (b.category ? [b.category] : []),
+    order: byCount
+  },
+  // Counted case-insensitively and shown capitalized
+  tag: {
+    values: b => Array.from(new Set((b.tags || []).map(t => t.trim().toLowerCase()).filter(Boolean)))
+      .map(t => t.charAt(0).toUpperCase() + t.slice(1)),
+    order: byCount
+  },
+  priceRange: {
+    values: b => (b.priceRange ? [b.priceRange] : []),
+    order: (a, b) => a.value.length - b.value.length || a.value.localeCompare(b.value)
+  },
+  rating: {
+    values: b => RATING_BUCKETS.filter(min => b.rating >= min),
+    order: (a, b) => b.value - a.value
+  },
+  hasDeal: {
+    values: b => [b.deal !== null],
+    order: (a, b) => Number(b.value) - Number(a.value)
+  },
+  isChain: {
+    values: b => [!!b.isChain],
+    order: (a, b) => Number(b.value) - Number(a.value)
+  }
+};
+
+// Facet counts for a listing. `filters` are the active filters as
+// { facet, test }; each facet is counted with every filter except the ones
+// on its own field, so a count says how many results picking that value
+// would give. Filters without a facet (search, region, tags...) always apply.
+function computeFacets(candidates, filters, { collapse = false } = {}) {
+  const facets = {};
+  for (const [name, facet] of Object.entries(FACETS)) {
+    let pool = candidates.filter(b => filters.every(f => f.facet === name || f.test(b)));
+    if (collapse) pool = collapseChains(pool);
+
+    const counts = new Map();
+    pool.forEach(b => facet.values(b).forEach(value => counts.set(value, (counts.get(value) || 0) + 1)));
+    facets[name] = Array.from(counts, ([value, count]) => ({ value, count })).sort(facet.order);
+  }
+  return facets;
+}
+
+// List responses leave out review bodies; the detail endpoint has them
+function toListBusiness(business) {
+  const { reviews, ...rest } = business;
+  return rest;
+}
+
+// ============================================
+// REVIEW LISTING HELPERS
+// ============================================
+const DEFAULT_REVIEW_PAGE_SIZE = 10;
+const MAX_REVIEW_PAGE_SIZE = 50;
+
+const reviewTime = (review) => Date.parse(review.date) || 0;
+
+// Lower bound of the 95% confidence interval for the share of `positive`
+// votes out of `total`: 0 without votes, and closer to the plain share the
+// more votes there are, so one vote counts for less than many.
+function wilsonLowerBound(positive, total) {
+  if (total === 0) return 0;
+  const z = 1.96;
+  const share = positive / total;
+  return (share + z * z / (2 * total) - z * Math.sqrt((share * (1 - share) + z * z / (4 * total)) / total)) /
+    (1 + z * z / total);
+}
+
+// How far helpful votes can move a review in "most relevant", as much as a
+// long comment does
+const HELPFUL_WEIGHT = 10;
+
+// "Most relevant": longer reviews first (capped so an essay doesn't beat
+// everything else), moved up by helpful votes and down by not-helpful ones
+function reviewRelevance(review) {
+  const length = Math.min((review.comment || '').length / 20, 10);
+  const helpful = review.helpfulCount || 0;
+  const notHelpful = review.notHelpfulCount || 0;
+  const votes = helpful + notHelpful;
+  return length + HELPFUL_WEIGHT * (wilsonLowerBound(helpful, votes) - wilsonLowerBound(notHelpful, votes));
+}
+
+// Sort orders for GET /api/businesses/:id/reviews, applied to public reviews
+// (see toPublicReview). Ties go to the newest review.
+const NEWEST_FIRST = { value: reviewTime, descending: true };
+const REVIEW_SORTS = {
+  relevant: { value: reviewRelevance, descending: true, then: NEWEST_FIRST },
+  newest: NEWEST_FIRST,
+  oldest: { value: reviewTime, descending: false },
+  highest: { value: r => r.rating, descending: true, then: NEWEST_FIRST },
+  lowest: { value: r => r.rating, descending: false, then: NEWEST_FIRST },
+  helpful: { value: r => r.helpfulCount, descending: true, then: NEWEST_FIRST }
+};
+
+// Star bucket of a review (ratings are whole stars, but older data may not be)
+const starsOf = (review) => Math.min(5, Math.max(1, Math.round(review.rating)));
+
+// Number of reviews with each star value: { 1: n, ..., 5: n }
+function reviewHistogram(reviews) {
+  const histogram = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  reviews.forEach(review => { histogram[starsOf(review)]++; });
+  return histogram;
+}
+
 // Get all businesses
+// Without pageSize/cursor this returns a plain array (optionally cut with
+// `limit`). With them it returns one page:
+//   { businesses, total, pageSize, nextCursor, facets }
 app.get("/api/businesses", async (req, res) => {
   try {
     // Trigger review seeding on first request if needed (for Vercel)
     await ensureSeeded();
 
-    const { category, tag, search, minRating, hasDeals, sort, limit } = req.query;
+    const { category, tag, tags, price, search, minRating, hasDeals, isChain, sort, limit, near, radius, openNow, openAt, cursor } = req.query;
+
+    const { region, error: regionError } = parseRegionQuery(req.query.region);
+    if (regionError) {
+      return res.status(400).json({ error: regionError });
+    }
+
+    // Distance search: near=lat,lon with optional radius (miles)
+    const origin = near !== undefined ? parseLatLon(near) : null;
+    if (near !== undefined && !origin) {
+      return res.status(400).json({ error: 'near must be "lat,lon" with valid coordinates.' });
+    }
+    let radiusMiles = null;
+    if (radius !== undefined && radius !== '') {
+      radiusMiles = Number(radius);
+      if (!origin || !Number.isFinite(radiusMiles) || radiusMiles <= 0 || radiusMiles > MAX_NEAR_RADIUS_MILES) {
+        return res.status(400).json({ error: `radius must be between 0 and ${MAX_NEAR_RADIUS_MILES} miles and needs near=lat,lon.` });
+      }
+    }
+    if (sort === 'distance' && !origin) {
+      return res.status(400).json({ error: 'sort=distance needs near=lat,lon.' });
+    }
+
+    // Hours filters: openAt is an ISO date-time, openNow=true means "right now"
+    let openMoment = null;
+    if (openAt !== undefined && openAt !== '') {
+      openMoment = parseOpenAt(openAt);
+      if (!openMoment) {
+        return res.status(400).json({ error: 'openAt must be an ISO date and time, e.g. 2026-05-01T18:00 or 2026-05-01T22:00:00Z.' });
+      }
+    } else if (openNow === 'true') {
+      openMoment = { date: new Date() };
+    }
+
+    // Paging
+    const paged = req.query.pageSize !== undefined || cursor !== undefined;
+    const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : 24;
+    if (paged && (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE)) {
+      return res.status(400).json({ error: `pageSize must be a whole number from 1 to ${MAX_PAGE_SIZE}.` });
+    }
+    const fingerprint = listingFingerprint(req.query);
+    const after = cursor ? decodeCursor(cursor, fingerprint) : null;
+    if (cursor && !after) {
+      return res.status(400).json({ error: 'Invalid cursor for this query. Request the first page again without a cursor.' });
+    }
 
     let businesses = await fetchBusinesses();
 
     // Apply current review data before filtering/sorting so ratings are up-to-date
+    // (reviewer trust needs the users)
+    if (!usersLoaded) await usersLoadPromise;
+    const ratings = createRatingContext(businesses);
     businesses = businesses.map(biz => {
       const summary = getLocalReviewSummary(biz.id);
       return {
         ...biz,
         rating: summary.rating,
-        reviewCount: summary.reviewCount,
-        reviews: summary.reviews
+        weightedRating: ratings.weightedRatingOf(biz),
+        reviewCount: summary.reviewCount
       };
     });
 
+    // Score the search against every business before filtering, so the
+    // index always covers the full list
+    const searchScores = search && search.trim() ? searchBusinesses(businesses, search) : null;
+
+    // Fields the filters and sorts below need
+    const now = new Date();
+    businesses = businesses.map(b => ({
+      ...b,
+      // Open/closed in each business's local time zone
+      openNow: isBusinessOpenAt(b, now),
+      ...(origin && Number.isFinite(b.lat) && Number.isFinite(b.lon) && {
+        distanceMiles: Math.round(haversineMiles(origin.lat, origin.lon, b.lat, b.lon) * 10) / 10
+      }),
+      ...(searchScores?.has(b.id) && {
+        relevance: Math.round(searchScores.get(b.id) * 1000) / 1000
+      })
+    }));
+
+    // Active filters. `facet` names the facet a filter narrows (see FACETS),
+    // so that facet can be counted without it.
+    const filters = [];
+
+    if (region) {
+      filters.push({ facet: null, test: b => b.region === region.id });
+    }
+
+    if (openMoment) {
+      filters.push({ facet: null, test: b => isBusinessOpenAt(b, openMoment) === true });
+    }
+
+    // Businesses without coordinates are left out of distance searches
+    if (origin) {
+      filters.push({
+        facet: null,
+        test: b => b.distanceMiles !== undefined && (radiusMiles === null || b.distanceMiles <= radiusMiles)
+      });
+    }
+
     // Filter by category
     if (category && category !== "All") {
-      businesses = businesses.filter(b => b.category === category);
+      filters.push({ facet: 'category', test: b => b.category === category });
     }
 
-    // Filter by tag
+    // Filter by tag (one choice, like category, so its facet lists the others)
     if (tag && tag !== "All") {
       const tagLower = tag.toLowerCase();
-      businesses = businesses.filter(b =>
-        b.tags.some(t => t.toLowerCase() === tagLower)
-      );
+      filters.push({ facet: 'tag', test: b => b.tags.some(t => t.toLowerCase() === tagLower) });
+    }
+
+    // Filter by several labels at once: each must match a tag or the category.
+    // Labels narrow each other, so tag counts include them.
+    if (tags) {
+      const wanted = String(tags).split(',').map(t => t.trim().toLowerCase()).filter(Boolean);
+      filters.push({
+        facet: null,
+        test: b => wanted.every(t =>
+          (b.category || '').toLowerCase() === t || (b.tags || []).some(bt => bt.toLowerCase() === t)
+        )
+      });
+    }
+
+    // Filter by price: any of the listed ranges
+    if (price) {
+      const ranges = String(price).split(',').map(p => p.trim()).filter(Boolean);
+      if (ranges.length > 0) {
+        filters.push({ facet: 'priceRange', test: b => ranges.includes(b.priceRange) });
+      }
     }
 
     // Filter by minimum rating
     if (minRating) {
       const min = parseFloat(minRating);
       if (!isNaN(min)) {
-        businesses = businesses.filter(b => b.rating >= min);
+        filters.push({ facet: 'rating', test: b => b.rating >= min });
       }
     }
 
     // Filter by deals
     if (hasDeals === "true") {
-      businesses = businesses.filter(b => b.deal !== null);
+      filters.push({ facet: 'hasDeal', test: b => b.deal !== null });
     }
 
-    // Search
-    if (search && search.trim()) {
-      const searchLower = search.toLowerCase().trim();
-      businesses = businesses.filter(b =>
-        b.name.toLowerCase().includes(searchLower) ||
-        b.description.toLowerCase().includes(searchLower) ||
-        b.tags.some(tag => tag.toLowerCase().includes(searchLower)) ||
-        b.category.toLowerCase().includes(searchLower)
-      );
+    // Chains or independents only
+    if (isChain === "true" || isChain === "false") {
+      const wantChain = isChain === "true";
+      filters.push({ facet: 'isChain', test: b => !!b.isChain === wantChain });
+    }
+
+    // Search (ranked, typo-tolerant; see search-index.js)
+    if (searchScores) {
+      filters.push({ facet: null, test: b => searchScores.has(b.id) });
     }
 
     // Sorting - use stable secondary sort by ID to prevent random reordering
     // This ensures businesses don't jump around between page loads
-    if (sort === "rating") {
-      businesses.sort((a, b) => {
-        const diff = b.rating - a.rating;
-        return diff !== 0 ? diff : a.id.localeCompare(b.id);
-      });
-    } else if (sort === "reviews") {
-      businesses.sort((a, b) => {
-        const diff = b.reviewCount - a.reviewCount;
-        return diff !== 0 ? diff : a.id.localeCompare(b.id);
-      });
-    } else if (sort === "name") {
-      businesses.sort((a, b) => {
-        const diff = a.name.localeCompare(b.name);
-        return diff !== 0 ? diff : a.id.localeCompare(b.id);
-      });
-    } else if (sort === "local") {
-      businesses.sort((a, b) => {
-        const diff = b.relevancyScore - a.relevancyScore;
-        return diff !== 0 ? diff : a.id.localeCompare(b.id);
+    const sortName = sort || (searchScores ? 'relevance' : null);
+    const order = BUSINESS_SORTS[sortName] || (paged ? SORT_BY_ID : null);
+    if (order) {
+      businesses.sort((a, b) => compareSortKeys(order, sortKeyOf(order, a), sortKeyOf(order, b)));
+    }
+
+    // Sorted candidates, kept for the facet counts
+    const candidates = businesses;
+    businesses = candidates.filter(b => filters.every(f => f.test(b)));
+
+    // One business per chain (the app's front page does this unless searching)
+    const collapse = req.query.collapseChains === 'true';
+    if (collapse) {
+      businesses = collapseChains(businesses);
+    }
+
+    if (paged) {
+      const total = businesses.length;
+      const start = after
+        ? businesses.findIndex(b => compareSortKeys(order, sortKeyOf(order, b), after) > 0)
+        : 0;
+      let page = start === -1 ? [] : businesses.slice(start, start + pageSize);
+      const hasMore = start !== -1 && start + pageSize < total;
+
+      if (GOOGLE_SEARCH_API_KEY && GOOGLE_SEARCH_ENGINE_ID) {
+        page = await enrichBusinessImages(page);
+      }
+
+      return res.json({
+        businesses: page.map(toListBusiness),
+        total,
+        pageSize,
+        nextCursor: hasMore ? encodeCursor(sortKeyOf(order, page[page.length - 1]), fingerprint) : null,
+        facets: computeFacets(candidates, filters, { collapse })
       });
     }
 
@@ -2603,7 +3917,7 @@ app.get("/api/businesses", async (req, res) => {
       businesses = await enrichBusinessImages(businesses);
     }
 
-    res.json(businesses);
+    res.json(businesses.map(toListBusiness));
   } catch (error) {
     console.error('Error in /api/businesses:', error);
     res.status(500).json({ error: error.message || "Failed to fetch businesses" });
@@ -2645,7 +3959,7 @@ app.post("/api/businesses/recover-favorites", async (req, res) => {
           const business = transformYelpToBusiness(yelpData);
           if (business) {
             persistentBusinesses.set(business.id, business);
-            recovered.push(business);
+            recovered.push(applyDeals(business));
             console.log(`[RECOVER] Recovered: ${business.name}`);
           } else {
             stillMissing.push(businessId);
@@ -2661,7 +3975,7 @@ app.post("/api/businesses/recover-favorites", async (req, res) => {
 
     // BLOB WRITES DISABLED - Business saves disabled to conserve Vercel Blob usage limits
     // if (recovered.length > 0) {
-    //   await saveBusinessesToBlob();
+    //   await saveBusinessesAsync();
     //   console.log(`[RECOVER] Saved ${recovered.length} recovered businesses`);
     // }
 
@@ -2680,12 +3994,18 @@ app.get("/api/businesses/:id", async (req, res) => {
   try {
     const businessId = req.params.id;
 
+    // Whether a verified owner manages this business (for the claim button)
+    if (!usersLoaded) await usersLoadPromise;
+    await Promise.all([refreshClaims(), refreshDeals()]);
+    const claimed = !!getApprovedClaim(businessId);
+
     // In offline mode, use local data directly
     if (OFFLINE_MODE) {
       const business = getOfflineBusinessById(businessId);
       if (!business) {
         return res.status(404).json({ error: "Business not found" });
       }
+      business.weightedRating = createRatingContext(offlineBusinesses).weightedRatingOf(business);
 
       // Use local image if available
       if (business.localImage) {
@@ -2702,7 +4022,8 @@ app.get("/api/businesses/:id", async (req, res) => {
         business.hours = generateFakeHours(business.id, business.category);
       }
 
-      return res.json(business);
+      const myReview = getMyReview(businessId, req.user?.id);
+      return res.json({ ...applyDeals(withRegion(business)), ...hoursSummary(business), claimed, myReview });
     }
 
     // Online mode - fetch from Yelp
@@ -2722,7 +4043,7 @@ app.get("/api/businesses/:id", async (req, res) => {
           // Add to in-memory storage for this request (blob writes disabled)
           persistentBusinesses.set(business.id, business);
           // BLOB WRITES DISABLED - Business saves disabled to conserve Vercel Blob usage limits
-          // saveBusinessesToBlob().catch(err => {
+          // saveBusinessesAsync().catch(err => {
           //   console.error('[YELP] Failed to save recovered business:', err.message);
           // });
           console.log(`[YELP] Recovered business (in memory only): ${business.name}`);
@@ -2755,7 +4076,7 @@ app.get("/api/businesses/:id", async (req, res) => {
 
     // If still no image, try Google Images
     if (!business.image) {
-      const imageQuery = `${business.name} ${business.address || "Cumming GA"}`;
+      const imageQuery = `${business.name} ${business.address || getBusinessRegion(business).shortName}`;
       business.image = await fetchGoogleImage(imageQuery);
     }
 
@@ -2766,26 +4087,101 @@ app.get("/api/businesses/:id", async (req, res) => {
 
     // Always load fresh reviews from Blob for single business requests
     // This ensures users always see the latest reviews
-    await refreshReviewsFromBlob();
+    await refreshReviews();
 
     // Get reviews
-    const localReviewSummary = getLocalReviewSummary(businessId);
+    const localReviewSummary = getLocalReviewSummary(businessId, { viewerId: req.user?.id });
     business.reviews = localReviewSummary.reviews;
     business.rating = localReviewSummary.rating;
+    business.weightedRating = createRatingContext(businesses).weightedRatingOf(business);
     business.reviewCount = localReviewSummary.reviewCount;
     business.categoryRatings = localReviewSummary.categoryRatings;
+    business.reviewPhotos = collectReviewPhotos(localReviewSummary.reviews);
 
-    res.json(business);
+    const myReview = getMyReview(businessId, req.user?.id);
+    res.json({ ...applyDeals(withRegion(business)), ...hoursSummary(business), claimed, myReview });
   } catch (error) {
     console.error('Error in /api/businesses/:id:', error);
     res.status(500).json({ error: error.message || "Failed to fetch business" });
   }
 });
 
+// One page of a business's visible reviews.
+//   sort:       relevant (default), newest, oldest, highest, lowest, helpful
+//   stars:      only these star values, e.g. "5" or "1,2"
+//   hasComment: "true" for reviews with text, "false" for rating-only ones
+//   pageSize, cursor: as in GET /api/businesses
+// Returns { reviews, total, pageSize, nextCursor, histogram, reviewCount, rating }.
+// `total` counts the reviews matching the filters; the histogram, reviewCount
+// and rating describe all visible reviews, so they don't change with filters.
+app.get("/api/businesses/:id/reviews", async (req, res) => {
+  try {
+    const businessId = req.params.id;
+    const { sort = 'relevant', stars, hasComment, cursor } = req.query;
+
+    const order = REVIEW_SORTS[sort];
+    if (!order) {
+      return res.status(400).json({ error: `sort must be one of: ${Object.keys(REVIEW_SORTS).join(', ')}.` });
+    }
+
+    let starFilter = null;
+    if (stars !== undefined && stars !== '') {
+      starFilter = new Set(String(stars).split(',').map(s => Number(s.trim())));
+      if (Array.from(starFilter).some(n => !Number.isInteger(n) || n < 1 || n > 5)) {
+        return res.status(400).json({ error: 'stars must be whole numbers from 1 to 5, separated by commas.' });
+      }
+    }
+
+    if (hasComment !== undefined && hasComment !== 'true' && hasComment !== 'false') {
+      return res.status(400).json({ error: 'hasComment must be true or false.' });
+    }
+
+    const pageSize = req.query.pageSize !== undefined ? Number(req.query.pageSize) : DEFAULT_REVIEW_PAGE_SIZE;
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_REVIEW_PAGE_SIZE) {
+      return res.status(400).json({ error: `pageSize must be a whole number from 1 to ${MAX_REVIEW_PAGE_SIZE}.` });
+    }
+    const fingerprint = listingFingerprint({ ...req.query, businessId });
+    const after = cursor ? decodeCursor(cursor, fingerprint) : null;
+    if (cursor && !after) {
+      return res.status(400).json({ error: 'Invalid cursor for this query. Request the first page again without a cursor.' });
+    }
+
+    // Always read the latest reviews, as the detail endpoint does
+    await refreshReviews();
+    const { reviews: visibleReviews, reviewCount, rating } = getLocalReviewSummary(businessId, { viewerId: req.user?.id });
+
+    const matching = visibleReviews
+      .filter(r => !starFilter || starFilter.has(starsOf(r)))
+      .filter(r => hasComment === undefined || (hasComment === 'true') === !!r.comment?.trim())
+      .sort((a, b) => compareSortKeys(order, sortKeyOf(order, a), sortKeyOf(order, b)));
+
+    const start = after
+      ? matching.findIndex(r => compareSortKeys(order, sortKeyOf(order, r), after) > 0)
+      : 0;
+    const page = start === -1 ? [] : matching.slice(start, start + pageSize);
+    const hasMore = start !== -1 && start + pageSize < matching.length;
+
+    res.json({
+      reviews: page,
+      total: matching.length,
+      pageSize,
+      nextCursor: hasMore ? encodeCursor(sortKeyOf(order, page[page.length - 1]), fingerprint) : null,
+      histogram: reviewHistogram(visibleReviews),
+      reviewCount,
+      rating
+    });
+  } catch (error) {
+    console.error('Error in /api/businesses/:id/reviews:', error);
+    res.status(500).json({ error: "Failed to fetch reviews" });
+  }
+});
+
 // Submit review - REQUIRES AUTHENTICATION (no CAPTCHA - users verified at signup)
 app.post("/api/businesses/:id/reviews", requireAuth, async (req, res) => {
   try {
     const businessId = req.params.id;
+    // ?upsert=true replaces the user's existing review instead of failing
+    const upsert = req.query.upsert === 'true';
     const {
       rating,
       comment,
@@ -2840,9 +4236,6 @@ app.post("/api/businesses/:id/reviews", requireAuth, async (req, res) => {
     // No CAPTCHA needed - users are verified at signup
     console.log(`[REVIEW] Submitting review for business ${businessId} by user ${req.user.username}`);
 
-    // Refresh reviews from blob before adding new review
-    await refreshReviewsFromBlob();
-
     // Create review with user association
     const review = {
       id: crypto.randomUUID(),
@@ -2853,6 +4246,7 @@ app.post("/api/businesses/:id/reviews", requireAuth, async (req, res) => {
       comment: reviewComment,
       date: new Date().toISOString(),
       source: 'local',
+      revision: 1,
       // Category ratings (use 'quality' as standard field name)
       quality: qualityRating,
       service,
@@ -2860,19 +4254,67 @@ app.post("/api/businesses/:id/reviews", requireAuth, async (req, res) => {
       atmosphere
     };
 
-    const reviews = localReviews.get(businessId) || [];
-    reviews.push(review);
-    localReviews.set(businessId, reviews);
+    // Append to the latest stored reviews (merges with concurrent writers).
+    // Each user gets one review per business: a second one is refused, or
+    // replaces the first with ?upsert=true. Reviews that fail screening are
+    // saved hidden, waiting for a moderator.
+    const result = await updateReviews((allReviews) => {
+      const reviews = allReviews.get(businessId) || [];
+      const existing = findUserReview(reviews, userId);
+      if (existing && !upsert) {
+        return { status: 409, error: "You have already reviewed this business. Edit your review instead.", reviewId: existing.id };
+      }
+
+      const reasons = screenReview(review, collectAuthorReviews(allReviews, userId, existing), { blockedTerms: BLOCKED_TERMS });
 
-    // Save and wait for completion
-    const saved = await saveReviewsAsync();
-    if (!saved) {
-      console.error('[REVIEW] Warning: Review may not have persisted to storage');
+      let saved;
+      if (existing) {
+        recordRevision(existing);
+        for (const field of REVISION_FIELDS) existing[field] = review[field];
+        existing.editedAt = review.date;
+        existing.revision = (existing.revision || 1) + 1;
+        saved = existing;
+      } else {
+        saved = { ...review };
+        reviews.push(saved);
+        allReviews.set(businessId, reviews);
+      }
+
+      // A replaced review's earlier screening result no longer applies
+      if (reasons.length > 0) {
+        holdForScreening(saved, reasons, review.date);
+      } else {
+        releaseScreeningHold(saved);
+      }
+      return { review: saved, updated: !!existing, held: reasons.length > 0 };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, ...(result.reviewId && { reviewId: result.reviewId }) });
     }
 
     cache.flushAll();
 
-    res.status(201).json({ message: "Review submitted successfully", review });
+    const status = result.updated ? 200 : 201;
+    const publicReview = toPublicReview(result.review, userId);
+    if (result.updated) {
+      console.log(`[REVIEW] User ${req.user.username} replaced review ${result.review.id}`);
+    }
+    if (result.held) {
+      console.log(`[MODERATION] Held review ${result.review.id} on business ${businessId}: ${result.review.screening.reasons.map(r => r.check).join(', ')}`);
+      return res.status(status).json({
+        message: "Thanks! Your review will appear once a moderator has looked at it.",
+        pending: true,
+        updated: result.updated,
+        review: publicReview
+      });
+    }
+
+    res.status(status).json({
+      message: result.updated ? "Review updated successfully" : "Review submitted successfully",
+      pending: !!result.review.hidden,
+      updated: result.updated,
+      review: publicReview
+    });
   } catch (error) {
     console.error('Error submitting review:', error);
     res.status(500).json({ error: "Failed to submit review" });
@@ -2881,78 +4323,798 @@ app.post("/api/businesses/:id/reviews", requireAuth, async (req, res) => {
 
 
 
-// Report review
-app.post("/api/businesses/:businessId/reviews/:reviewId/report", async (req, res) => {
-  try {
-    const { businessId, reviewId } = req.params;
-    const { reason } = req.body;
-
-    // Refresh reviews from blob to get latest data
-    await refreshReviewsFromBlob();
+// Helpful votes - REQUIRES AUTHENTICATION, one vote per user and review.
+// PUT { helpful: true | false } casts or changes the vote, DELETE takes it back.
+// Both return the review's new counts and the caller's vote.
+async function setReviewVote(req, res, helpful) {
+  const { businessId, reviewId } = req.params;
 
-    const reviews = localReviews.get(businessId);
+  const result = await updateReviews((allReviews) => {
+    const review = (allReviews.get(businessId) || []).find(r => r.id === reviewId);
+    if (!review || review.hidden) return { status: 404, error: "Review not found" };
 
-    if (!reviews) return res.status(404).json({ error: "Business not found" });
-
-    const review = reviews.find(r => r.id === reviewId);
-    if (!review) return res.status(404).json({ error: "Review not found" });
+    if (review.userId && review.userId === req.user.id) {
+      return { status: 400, error: "You cannot vote on your own review." };
+    }
 
-    if (!review.reports) review.reports = [];
-    review.reports.push({ reason: reason || "Inappropriate content", date: new Date().toISOString() });
+    const votes = (review.votes || []).filter(v => v.userId !== req.user.id);
+    if (helpful !== null) {
+      votes.push({ userId: req.user.id, helpful, date: new Date().toISOString() });
+    }
+    review.votes = votes;
+    const counts = countVotes(review);
+    return { helpfulCount: counts.helpful, notHelpfulCount: counts.notHelpful, myVote: helpful };
+  });
+  if (result.error) {
+    return res.status(result.status).json({ error: result.error });
+  }
 
-    if (review.reports.length >= 3) review.hidden = true;
+  cache.flushAll();
+  res.json(result);
+}
 
-    await saveReviewsAsync();
-    res.json({ message: "Report submitted. Thank you for helping keep our community safe.", reportCount: review.reports.length });
+app.put("/api/businesses/:businessId/reviews/:reviewId/vote", requireAuth, async (req, res) => {
+  try {
+    const { helpful } = req.body || {};
+    if (typeof helpful !== "boolean") {
+      return res.status(400).json({ error: "helpful must be true or false." });
+    }
+    await setReviewVote(req, res, helpful);
   } catch (error) {
-    console.error('Error reporting review:', error);
-    res.status(500).json({ error: "Failed to report review" });
+    console.error('Error voting on review:', error);
+    res.status(500).json({ error: "Failed to save vote" });
   }
 });
 
-// Edit review - REQUIRES AUTHENTICATION and OWNERSHIP
-app.put("/api/businesses/:businessId/reviews/:reviewId", requireAuth, async (req, res) => {
+app.delete("/api/businesses/:businessId/reviews/:reviewId/vote", requireAuth, async (req, res) => {
   try {
-    const { businessId, reviewId } = req.params;
-    const userId = req.user.id;
-    const {
-      rating,
-      comment,
-      quality,
-      foodQuality, // Legacy support
-      service,
-      cleanliness,
-      atmosphere,
-      isAnonymous
-    } = req.body;
+    await setReviewVote(req, res, null);
+  } catch (error) {
+    console.error('Error removing review vote:', error);
+    res.status(500).json({ error: "Failed to remove vote" });
+  }
+});
 
-    // Refresh reviews from blob to get latest data
-    await refreshReviewsFromBlob();
+// ====================
+// REVIEW PHOTOS
+// ====================
 
-    const reviews = localReviews.get(businessId);
+const photoStore = createPhotoStore({
+  localDir: path.join(OFFLINE_IMAGES_DIR, 'reviews'),
+  localUrl: '/api/images/reviews'
+});
 
-    if (!reviews) {
-      return res.status(404).json({ error: "Business not found" });
-    }
+// Photos kept in memory (memory storage driver) aren't on disk for the
+// static /api/images route, so serve them here
+if (photoStore.read) {
+  app.get('/api/images/reviews/:name', (req, res) => {
+    const photo = photoStore.read(req.params.name);
+    if (!photo) return res.status(404).json({ error: 'Photo not found' });
+    res.type('image/webp').send(photo);
+  });
+}
 
-    const reviewIndex = reviews.findIndex(r => r.id === reviewId);
-    if (reviewIndex === -1) {
-      return res.status(404).json({ error: "Review not found" });
+// The photo is the raw request body, sent with its image Content-Type
+const readPhotoBody = express.raw({ type: () => true, limit: MAX_PHOTO_BYTES });
+
+function parsePhotoUpload(req, res, next) {
+  readPhotoBody(req, res, (error) => {
+    if (!error) return next();
+    if (error.type === 'entity.too.large') {
+      return res.status(413).json({ error: `Photos must be ${MAX_PHOTO_BYTES / (1024 * 1024)} MB or smaller.` });
     }
+    res.status(400).json({ error: 'Could not read the uploaded photo.' });
+  });
+}
 
-    const review = reviews[reviewIndex];
+// Delete the stored files of photos (best effort; failures are logged)
+function removePhotoFiles(photos) {
+  return Promise.all(photos.flatMap(p => [p.url, p.thumbnailUrl]).map(url => photoStore.remove(url)));
+}
 
-    // Check ownership - user must be the author of the review
-    if (review.userId !== userId) {
-      return res.status(403).json({ error: "You can only edit your own reviews" });
-    }
+// Photos of the given (public) reviews for the detail view's gallery
+function collectReviewPhotos(reviews) {
+  return reviews.flatMap(review => (review.photos || []).map(photo => ({
+    ...photo,
+    reviewId: review.id,
+    author: review.author
+  })));
+}
+
+// Attach a photo to your own review - REQUIRES AUTHENTICATION and OWNERSHIP
+app.post("/api/businesses/:businessId/reviews/:reviewId/photos", requireAuth, parsePhotoUpload, async (req, res) => {
+  try {
+    const { businessId, reviewId } = req.params;
+
+    const problem = validatePhoto(req.body, req.headers['content-type']);
+    if (problem) {
+      return res.status(400).json({ error: problem });
+    }
+
+    // Cheap checks against the cached reviews before the image work;
+    // updateReviews below checks again against the latest data
+    const cached = (localReviews.get(businessId) || []).find(r => r.id === reviewId);
+    if (cached && cached.userId !== req.user.id) {
+      return res.status(403).json({ error: "You can only add photos to your own reviews." });
+    }
+    if (cached && (cached.photos || []).length >= MAX_PHOTOS_PER_REVIEW) {
+      return res.status(400).json({ error: `A review can have at most ${MAX_PHOTOS_PER_REVIEW} photos.` });
+    }
+
+    const processed = await processPhoto(req.body);
+    if (!processed) {
+      return res.status(400).json({ error: "The image could not be read. Please try another file." });
+    }
+
+    const photoId = crypto.randomUUID();
+    let photo;
+    try {
+      const [url, thumbnailUrl] = await Promise.all([
+        photoStore.save(`${photoId}.webp`, processed.image),
+        photoStore.save(`${photoId}-thumb.webp`, processed.thumbnail)
+      ]);
+      photo = { id: photoId, url, thumbnailUrl, width: processed.width, height: processed.height, date: new Date().toISOString() };
+    } catch (error) {
+      console.error(`[PHOTOS] Failed to store photo in ${photoStore.label}:`, error.message);
+      return res.status(500).json({ error: "Failed to save photo" });
+    }
+
+    const result = await updateReviews((allReviews) => {
+      const review = (allReviews.get(businessId) || []).find(r => r.id === reviewId);
+      if (!review) return { status: 404, error: "Review not found" };
+      if (review.userId !== req.user.id) {
+        return { status: 403, error: "You can only add photos to your own reviews." };
+      }
+      if ((review.photos || []).length >= MAX_PHOTOS_PER_REVIEW) {
+        return { status: 400, error: `A review can have at most ${MAX_PHOTOS_PER_REVIEW} photos.` };
+      }
+
+      review.photos = [...(review.photos || []), photo];
+      return { photos: review.photos };
+    });
+    if (result.error) {
+      await removePhotoFiles([photo]);
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    cache.flushAll();
+    console.log(`[PHOTOS] ${req.user.username} added photo ${photoId} to review ${reviewId}`);
+
+    res.status(201).json({ photo, photos: result.photos });
+  } catch (error) {
+    console.error('Error uploading review photo:', error);
+    res.status(500).json({ error: "Failed to upload photo" });
+  }
+});
+
+// Remove a photo (review author, or moderators cleaning up)
+app.delete("/api/businesses/:businessId/reviews/:reviewId/photos/:photoId", requireAuth, ensureUsersLoaded, async (req, res) => {
+  try {
+    const { businessId, reviewId, photoId } = req.params;
+
+    await refreshUsers();
+    const isModerator = ROLES.indexOf(getUserRole(req.user.id)) >= ROLES.indexOf('moderator');
+
+    const result = await updateReviews((allReviews) => {
+      const review = (allReviews.get(businessId) || []).find(r => r.id === reviewId);
+      if (!review) return { status: 404, error: "Review not found" };
+      if (review.userId !== req.user.id && !isModerator) {
+        return { status: 403, error: "You can only remove photos from your own reviews." };
+      }
+
+      const photo = (review.photos || []).find(p => p.id === photoId);
+      if (!photo) return { status: 404, error: "Photo not found" };
+
+      review.photos = review.photos.filter(p => p.id !== photoId);
+      return { removed: photo, photos: review.photos };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    await removePhotoFiles([result.removed]);
+    cache.flushAll();
+    console.log(`[PHOTOS] ${req.user.username} removed photo ${photoId} from review ${reviewId}`);
+
+    res.json({ photos: result.photos });
+  } catch (error) {
+    console.error('Error removing review photo:', error);
+    res.status(500).json({ error: "Failed to remove photo" });
+  }
+});
+
+// Report review - REQUIRES AUTHENTICATION so each user can only report once
+app.post("/api/businesses/:businessId/reviews/:reviewId/report", requireAuth, async (req, res) => {
+  try {
+    const { businessId, reviewId } = req.params;
+    const { reason } = req.body || {};
+
+    const trimmedReason = (typeof reason === "string") ? reason.trim() : "";
+    if (trimmedReason.length > MAX_REPORT_REASON_LENGTH) {
+      return res.status(400).json({ error: `Report reason must be ${MAX_REPORT_REASON_LENGTH} characters or less.` });
+    }
+
+    const report = {
+      id: crypto.randomUUID(),
+      userId: req.user.id,
+      username: req.user.username,
+      reason: trimmedReason || "Inappropriate content",
+      date: new Date().toISOString()
+    };
+
+    const result = await updateReviews((allReviews) => {
+      const reviews = allReviews.get(businessId);
+      if (!reviews) return { status: 404, error: "Business not found" };
+
+      const review = reviews.find(r => r.id === reviewId);
+      if (!review) return { status: 404, error: "Review not found" };
+
+      if (review.userId && review.userId === req.user.id) {
+        return { status: 400, error: "You cannot report your own review." };
+      }
+      if ((review.reports || []).some(r => r.userId === req.user.id)) {
+        return { status: 409, error: "You have already reported this review." };
+      }
+
+      if (!review.reports) review.reports = [];
+      review.reports.push(report);
+
+      // Unreviewed reports put the review back in the moderation queue,
+      // unless a moderator already hid it
+      if (getModerationStatus(review) !== 'hidden') {
+        review.moderation = { ...review.moderation, status: 'pending' };
+      }
+
+      const pendingReports = getPendingReports(review);
+      if (!review.hidden && pendingReports.length >= REPORT_HIDE_THRESHOLD) {
+        review.hidden = true;
+        logModerationAction(review, { action: 'auto-hide', note: `Hidden after ${pendingReports.length} reports` });
+        console.log(`[MODERATION] Auto-hid review ${reviewId} on business ${businessId}`);
+      }
+      return { reportCount: review.reports.length };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    cache.flushAll();
+
+    res.json({ message: "Report submitted. Thank you for helping keep our community safe.", reportCount: result.reportCount });
+  } catch (error) {
+    console.error('Error reporting review:', error);
+    res.status(500).json({ error: "Failed to report review" });
+  }
+});
+
+// ====================
+// MODERATION QUEUE (moderators and admins)
+// ====================
+
+const MODERATION_FILTERS = ['pending', 'hidden', 'all'];
+const MODERATION_ACTIONS = ['approve', 'hide', 'restore'];
+
+// Queue entry for a review, including everything moderators need to decide
+function toModerationItem(businessId, review) {
+  // Offline businesses are never cached in persistentBusinesses
+  const business = persistentBusinesses.get(businessId) || offlineBusinesses.find(b => b.id === businessId);
+  return {
+    businessId,
+    businessName: business?.name || businessId,
+    status: getModerationStatus(review),
+    hidden: !!review.hidden,
+    pendingReportCount: getPendingReports(review).length,
+    screening: review.screening || null,
+    review: toPublicReview(review),
+    reports: review.reports || [],
+    moderationLog: review.moderationLog || []
+  };
+}
+
+// List reported or moderated reviews
+// GET /api/moderation/reviews?status=pending|hidden|all (default: pending)
+app.get("/api/moderation/reviews", requireRole('moderator'), async (req, res) => {
+  try {
+    const filter = req.query.status || 'pending';
+    if (!MODERATION_FILTERS.includes(filter)) {
+      return res.status(400).json({ error: `Status must be one of: ${MODERATION_FILTERS.join(', ')}.` });
+    }
+
+    if (!businessesLoaded) await businessesLoadPromise;
+    await refreshReviews();
+
+    const items = [];
+    for (const [businessId, reviews] of localReviews.entries()) {
+      for (const review of reviews) {
+        const status = getModerationStatus(review);
+        if (!status && !review.hidden) continue;
+        if (filter === 'pending' && status !== 'pending') continue;
+        if (filter === 'hidden' && !review.hidden) continue;
+        items.push(toModerationItem(businessId, review));
+      }
+    }
+
+    // Most-reported first, then the most recently reported (or held)
+    const lastReportDate = (item) => item.reports.length
+      ? item.reports[item.reports.length - 1].date || ''
+      : item.screening?.at || '';
+    items.sort((a, b) =>
+      b.pendingReportCount - a.pendingReportCount || lastReportDate(b).localeCompare(lastReportDate(a))
+    );
+
+    res.json({ status: filter, count: items.length, items });
+  } catch (error) {
+    console.error('[MODERATION] Error listing reviews:', error);
+    res.status(500).json({ error: "Failed to load moderation queue" });
+  }
+});
+
+// Approve, hide or restore a review
+// POST /api/moderation/reviews/:businessId/:reviewId { action, note }
+// - approve: dismiss the pending reports (or screening hold) and keep (or make) the review visible
+// - hide:    hide the review from the public
+// - restore: show a hidden review again
+app.post("/api/moderation/reviews/:businessId/:reviewId", requireRole('moderator'), async (req, res) => {
+  try {
+    const { businessId, reviewId } = req.params;
+    const { action, note } = req.body || {};
+
+    if (!MODERATION_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Action must be one of: ${MODERATION_ACTIONS.join(', ')}.` });
+    }
+    const trimmedNote = (typeof note === "string") ? note.trim() : "";
+    if (trimmedNote.length > MAX_MODERATION_NOTE_LENGTH) {
+      return res.status(400).json({ error: `Note must be ${MAX_MODERATION_NOTE_LENGTH} characters or less.` });
+    }
+
+    const moderator = { id: req.user.id, username: req.user.username };
+
+    const result = await updateReviews((allReviews) => {
+      const reviews = allReviews.get(businessId);
+      if (!reviews) return { status: 404, error: "Business not found" };
+
+      const review = reviews.find(r => r.id === reviewId);
+      if (!review) return { status: 404, error: "Review not found" };
+
+      const status = getModerationStatus(review);
+      if (action === 'approve' && status !== 'pending') {
+        return { status: 400, error: "This review has no pending reports or screening hold." };
+      }
+      if (action === 'hide' && status === 'hidden') {
+        return { status: 400, error: "This review is already hidden." };
+      }
+      if (action === 'restore' && !review.hidden) {
+        return { status: 400, error: "This review is not hidden." };
+      }
+
+      review.hidden = action === 'hide';
+      review.moderation = {
+        status: action === 'hide' ? 'hidden' : 'approved',
+        reviewedAt: new Date().toISOString(),
+        reviewedBy: moderator.username
+      };
+      logModerationAction(review, { action, moderator, note: trimmedNote });
+      return { item: toModerationItem(businessId, review) };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    cache.flushAll();
+
+    console.log(`[MODERATION] ${moderator.username} ${action === 'hide' ? 'hid' : action + 'd'} review ${reviewId} on business ${businessId}`);
+    res.json({ message: "Moderation action saved.", item: result.item });
+  } catch (error) {
+    console.error('[MODERATION] Error moderating review:', error);
+    res.status(500).json({ error: "Failed to moderate review" });
+  }
+});
+
+// ====================
+// BUSINESS CLAIMS & OWNER RESPONSES
+// ====================
+
+const MAX_OWNER_RESPONSE_LENGTH = 1000;
+
+// Look up a business in the current listings (or the persisted cache)
+async function findBusinessById(businessId) {
+  const businesses = await fetchBusinesses();
+  return businesses.find(b => b.id === businessId) || persistentBusinesses.get(businessId) || null;
+}
+
+// Claim a business - an admin has to approve the claim before the user
+// becomes its verified owner
+app.post("/api/businesses/:id/claim", requireAuth, ensureUsersLoaded, async (req, res) => {
+  try {
+    const businessId = req.params.id;
+    const { message } = req.body || {};
+
+    const trimmedMessage = (typeof message === "string") ? message.trim() : "";
+    if (!trimmedMessage) {
+      return res.status(400).json({ error: 'Please describe how you are connected to this business.' });
+    }
+    if (trimmedMessage.length > MAX_CLAIM_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: `Message must be ${MAX_CLAIM_MESSAGE_LENGTH} characters or less.` });
+    }
+
+    const business = await findBusinessById(businessId);
+    if (!business) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    const claim = {
+      id: crypto.randomUUID(),
+      businessId,
+      businessName: business.name,
+      userId: req.user.id,
+      username: req.user.username,
+      message: trimmedMessage,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+
+    const result = await updateClaims((claims) => {
+      if (claims.some(c => c.businessId === businessId && c.status === 'approved')) {
+        return { status: 409, error: 'This business has already been claimed.' };
+      }
+      if (claims.some(c => c.businessId === businessId && c.userId === req.user.id && c.status === 'pending')) {
+        return { status: 409, error: 'You already have a pending claim for this business.' };
+      }
+      claims.push(claim);
+      return { claim };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`[CLAIMS] ${req.user.username} claimed business ${businessId}`);
+    res.status(201).json({ message: 'Claim submitted. An admin will review it shortly.', claim: result.claim });
+  } catch (error) {
+    console.error('[CLAIMS] Error claiming business:', error);
+    res.status(500).json({ error: 'Failed to submit claim.' });
+  }
+});
+
+// The current user's business claims (approved claims = businesses they own)
+app.get("/api/me/claims", requireAuth, async (req, res) => {
+  await refreshClaims();
+  res.json({ claims: claimsData.filter(c => c.userId === req.user.id) });
+});
+
+// Post or update the owner's public response to a review (one per review)
+// PUT /api/businesses/:businessId/reviews/:reviewId/response { text }
+app.put("/api/businesses/:businessId/reviews/:reviewId/response", requireAuth, ensureUsersLoaded, async (req, res) => {
+  try {
+    const { businessId, reviewId } = req.params;
+    const { text } = req.body || {};
+
+    const trimmedText = (typeof text === "string") ? text.trim() : "";
+    if (!trimmedText) {
+      return res.status(400).json({ error: 'Response text is required.' });
+    }
+    if (trimmedText.length > MAX_OWNER_RESPONSE_LENGTH) {
+      return res.status(400).json({ error: `Response must be ${MAX_OWNER_RESPONSE_LENGTH.toLocaleString()} characters or less.` });
+    }
+
+    await refreshClaims();
+    if (!isBusinessOwner(req.user.id, businessId)) {
+      return res.status(403).json({ error: 'Only the verified owner of this business can respond to reviews.' });
+    }
+
+    const result = await updateReviews((allReviews) => {
+      const reviews = allReviews.get(businessId);
+      if (!reviews) return { status: 404, error: "Business not found" };
+
+      const review = reviews.find(r => r.id === reviewId);
+      if (!review) return { status: 404, error: "Review not found" };
+
+      const now = new Date().toISOString();
+      review.ownerResponse = review.ownerResponse
+        ? { ...review.ownerResponse, text: trimmedText, editedAt: now }
+        : { text: trimmedText, userId: req.user.id, username: req.user.username, date: now };
+      return { ownerResponse: review.ownerResponse };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    cache.flushAll();
+
+    console.log(`[CLAIMS] Owner ${req.user.username} responded to review ${reviewId} on business ${businessId}`);
+    res.json({ message: "Response saved.", ownerResponse: result.ownerResponse });
+  } catch (error) {
+    console.error('[CLAIMS] Error saving owner response:', error);
+    res.status(500).json({ error: "Failed to save response" });
+  }
+});
+
+// Remove the owner's response (owner, or moderators cleaning up)
+app.delete("/api/businesses/:businessId/reviews/:reviewId/response", requireAuth, ensureUsersLoaded, async (req, res) => {
+  try {
+    const { businessId, reviewId } = req.params;
+
+    await Promise.all([refreshClaims(), refreshUsers()]);
+    const isModerator = ROLES.indexOf(getUserRole(req.user.id)) >= ROLES.indexOf('moderator');
+    if (!isBusinessOwner(req.user.id, businessId) && !isModerator) {
+      return res.status(403).json({ error: 'Only the verified owner of this business can remove responses.' });
+    }
+
+    const result = await updateReviews((allReviews) => {
+      const review = (allReviews.get(businessId) || []).find(r => r.id === reviewId);
+      if (!review) return { status: 404, error: "Review not found" };
+      if (!review.ownerResponse) return { status: 404, error: "This review has no owner response." };
+
+      delete review.ownerResponse;
+      return {};
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    cache.flushAll();
+
+    res.json({ message: "Response removed." });
+  } catch (error) {
+    console.error('[CLAIMS] Error removing owner response:', error);
+    res.status(500).json({ error: "Failed to remove response" });
+  }
+});
+
+// ====================
+// DEALS (managed by verified owners and admins)
+// ====================
+
+const MAX_DEAL_TITLE_LENGTH = 100;
+const MAX_DEAL_TERMS_LENGTH = 500;
+const MAX_DEALS_PER_BUSINESS = 20;
+
+// Require the verified owner of :businessId (or an admin)
+async function requireBusinessManager(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required. Please log in.' });
+  }
+  if (!usersLoaded) await usersLoadPromise;
+  await Promise.all([refreshClaims(), refreshUsers()]);
+
+  const businessId = req.params.businessId;
+  if (!isBusinessOwner(req.user.id, businessId) && getUserRole(req.user.id) !== 'admin') {
+    return res.status(403).json({ error: 'Only the verified owner of this business can manage its deals.' });
+  }
+  next();
+}
+
+// Validate deal fields from a request body. With `partial`, missing fields
+// are left out (for updates). Returns { error } or { fields }.
+function parseDealFields(body, { partial = false } = {}) {
+  const fields = {};
+  const { title, terms, startsAt, endsAt, maxRedemptions } = body || {};
+
+  if (title !== undefined || !partial) {
+    const trimmedTitle = (typeof title === "string") ? title.trim() : "";
+    if (!trimmedTitle) return { error: 'Deal title is required.' };
+    if (trimmedTitle.length > MAX_DEAL_TITLE_LENGTH) return { error: `Deal title must be ${MAX_DEAL_TITLE_LENGTH} characters or less.` };
+    fields.title = trimmedTitle;
+  }
+
+  if (terms !== undefined) {
+    const trimmedTerms = (typeof terms === "string") ? terms.trim() : "";
+    if (trimmedTerms.length > MAX_DEAL_TERMS_LENGTH) return { error: `Deal terms must be ${MAX_DEAL_TERMS_LENGTH} characters or less.` };
+    fields.terms = trimmedTerms;
+  } else if (!partial) {
+    fields.terms = "";
+  }
+
+  const parseDate = (value, name) => {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? { error: `${name} must be a valid date.` } : { value: date.toISOString() };
+  };
+
+  if (startsAt !== undefined && startsAt !== null) {
+    const parsed = parseDate(startsAt, 'Start date');
+    if (parsed.error) return parsed;
+    fields.startsAt = parsed.value;
+  } else if (!partial) {
+    fields.startsAt = new Date().toISOString();
+  }
+
+  if (endsAt !== undefined && endsAt !== null && endsAt !== "") {
+    const parsed = parseDate(endsAt, 'End date');
+    if (parsed.error) return parsed;
+    fields.endsAt = parsed.value;
+  } else if (endsAt !== undefined || !partial) {
+    fields.endsAt = null; // Runs until removed
+  }
+
+  if (maxRedemptions !== undefined && maxRedemptions !== null && maxRedemptions !== "") {
+    if (!Number.isInteger(maxRedemptions) || maxRedemptions < 1) {
+      return { error: 'Redemption limit must be a whole number of at least 1.' };
+    }
+    fields.maxRedemptions = maxRedemptions;
+  } else if (maxRedemptions !== undefined || !partial) {
+    fields.maxRedemptions = null; // Unlimited
+  }
+
+  return { fields };
+}
+
+// Deals for a business. Customers get running deals; the owner and admins
+// can pass ?status=all to include scheduled, sold-out and expired deals.
+app.get("/api/businesses/:businessId/deals", async (req, res, next) => {
+  if (req.query.status !== 'all') return next();
+  return requireBusinessManager(req, res, next);
+}, async (req, res) => {
+  const { businessId } = req.params;
+  await refreshDeals();
+
+  const deals = req.query.status === 'all'
+    ? dealsData.filter(d => d.businessId === businessId)
+    : getActiveDeals(businessId);
+  res.json({ deals: deals.map(toPublicDeal) });
+});
+
+// Create a deal
+app.post("/api/businesses/:businessId/deals", requireBusinessManager, async (req, res) => {
+  try {
+    const { businessId } = req.params;
+    const { error, fields } = parseDealFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (fields.endsAt && fields.endsAt <= fields.startsAt) {
+      return res.status(400).json({ error: 'End date must be after the start date.' });
+    }
+
+    const now = new Date().toISOString();
+    const deal = {
+      id: crypto.randomUUID(),
+      businessId,
+      ...fields,
+      redemptions: [],
+      createdBy: req.user.id,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    const result = await updateDeals((deals) => {
+      const current = deals.filter(d => d.businessId === businessId && getDealStatus(d) !== 'expired');
+      if (current.length >= MAX_DEALS_PER_BUSINESS) {
+        return { status: 400, error: `A business can have up to ${MAX_DEALS_PER_BUSINESS} current deals.` };
+      }
+      deals.push(deal);
+      return { deal: toPublicDeal(deal) };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    cache.flushAll();
+
+    console.log(`[DEALS] ${req.user.username} created deal "${deal.title}" for business ${businessId}`);
+    res.status(201).json({ message: 'Deal created.', deal: result.deal });
+  } catch (error) {
+    console.error('[DEALS] Error creating deal:', error);
+    res.status(500).json({ error: 'Failed to create deal.' });
+  }
+});
+
+// Update a deal (send only the fields to change; endsAt/maxRedemptions: null clears them)
+app.put("/api/businesses/:businessId/deals/:dealId", requireBusinessManager, async (req, res) => {
+  try {
+    const { businessId, dealId } = req.params;
+    const { error, fields } = parseDealFields(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await updateDeals((deals) => {
+      const deal = deals.find(d => d.id === dealId && d.businessId === businessId);
+      if (!deal) return { status: 404, error: 'Deal not found.' };
+
+      const next = { ...deal, ...fields };
+      if (next.endsAt && next.endsAt <= next.startsAt) {
+        return { status: 400, error: 'End date must be after the start date.' };
+      }
+      Object.assign(deal, fields, { updatedAt: new Date().toISOString() });
+      return { deal: toPublicDeal(deal) };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    cache.flushAll();
+
+    res.json({ message: 'Deal updated.', deal: result.deal });
+  } catch (error) {
+    console.error('[DEALS] Error updating deal:', error);
+    res.status(500).json({ error: 'Failed to update deal.' });
+  }
+});
+
+// Delete a deal
+app.delete("/api/businesses/:businessId/deals/:dealId", requireBusinessManager, async (req, res) => {
+  try {
+    const { businessId, dealId } = req.params;
+
+    const result = await updateDeals((deals) => {
+      const index = deals.findIndex(d => d.id === dealId && d.businessId === businessId);
+      if (index === -1) return { status: 404, error: 'Deal not found.' };
+      deals.splice(index, 1);
+      return {};
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    cache.flushAll();
+
+    console.log(`[DEALS] ${req.user.username} deleted deal ${dealId} from business ${businessId}`);
+    res.json({ message: 'Deal deleted.' });
+  } catch (error) {
+    console.error('[DEALS] Error deleting deal:', error);
+    res.status(500).json({ error: 'Failed to delete deal.' });
+  }
+});
+
+// Redeem a deal - once per user, while it is running and not sold out
+app.post("/api/businesses/:businessId/deals/:dealId/redeem", requireAuth, async (req, res) => {
+  try {
+    const { businessId, dealId } = req.params;
+
+    const result = await updateDeals((deals) => {
+      const deal = deals.find(d => d.id === dealId && d.businessId === businessId);
+      if (!deal) return { status: 404, error: 'Deal not found.' };
+
+      const status = getDealStatus(deal);
+      if (status === 'expired') return { status: 410, error: 'This deal has expired.' };
+      if (status === 'scheduled') return { status: 400, error: 'This deal has not started yet.' };
+      if ((deal.redemptions || []).some(r => r.userId === req.user.id)) {
+        return { status: 409, error: 'You have already redeemed this deal.' };
+      }
+      if (status === 'sold-out') return { status: 410, error: 'This deal has reached its redemption limit.' };
+
+      if (!deal.redemptions) deal.redemptions = [];
+      deal.redemptions.push({ userId: req.user.id, date: new Date().toISOString() });
+      return { deal: toPublicDeal(deal) };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    cache.flushAll();
+
+    console.log(`[DEALS] ${req.user.username} redeemed deal ${dealId}`);
+    res.json({ message: 'Deal redeemed! Show this screen at the business to claim your offer.', deal: result.deal });
+  } catch (error) {
+    console.error('[DEALS] Error redeeming deal:', error);
+    res.status(500).json({ error: 'Failed to redeem deal.' });
+  }
+});
+
+// Edit review - REQUIRES AUTHENTICATION and OWNERSHIP
+app.put("/api/businesses/:businessId/reviews/:reviewId", requireAuth, async (req, res) => {
+  try {
+    const { businessId, reviewId } = req.params;
+    const userId = req.user.id;
+    const {
+      rating,
+      comment,
+      quality,
+      foodQuality, // Legacy support
+      service,
+      cleanliness,
+      atmosphere,
+      isAnonymous,
+      revision // Revision of the review the client edited (optional)
+    } = req.body;
+
+    // Validate everything up front and collect the field changes
+    const updates = {};
 
     // Validate rating if provided
     if (rating !== undefined) {
       if (typeof rating !== "number" || rating < 1 || rating > 5) {
         return res.status(400).json({ error: "Rating must be between 1 and 5" });
       }
-      review.rating = rating;
+      updates.rating = rating;
     }
 
     // Update comment if provided, enforce 2000 character limit
@@ -2961,7 +5123,7 @@ app.put("/api/businesses/:businessId/reviews/:reviewId", requireAuth, async (req
       if (trimmedComment.length > 2000) {
         return res.status(400).json({ error: "Review comment must be 2,000 characters or less." });
       }
-      review.comment = trimmedComment;
+      updates.comment = trimmedComment;
     }
 
     // Validate and update category ratings if provided
@@ -2975,94 +5137,179 @@ app.put("/api/businesses/:businessId/reviews/:reviewId", requireAuth, async (req
       if (validateCategoryRating(qualityRating)) {
         return res.status(400).json({ error: "Quality rating must be between 1 and 5" });
       }
-      review.quality = qualityRating;
+      updates.quality = qualityRating;
     }
 
     if (service !== undefined) {
       if (validateCategoryRating(service)) {
         return res.status(400).json({ error: "Service rating must be between 1 and 5" });
       }
-      review.service = service;
+      updates.service = service;
     }
 
     if (cleanliness !== undefined) {
       if (validateCategoryRating(cleanliness)) {
         return res.status(400).json({ error: "Cleanliness rating must be between 1 and 5" });
       }
-      review.cleanliness = cleanliness;
+      updates.cleanliness = cleanliness;
     }
 
     if (atmosphere !== undefined) {
       if (validateCategoryRating(atmosphere)) {
         return res.status(400).json({ error: "Atmosphere rating must be between 1 and 5" });
       }
-      review.atmosphere = atmosphere;
+      updates.atmosphere = atmosphere;
     }
 
     // Update anonymous status if provided
     if (isAnonymous !== undefined) {
-      review.isAnonymous = !!isAnonymous;
-      review.author = review.isAnonymous ? "Anonymous" : req.user.username;
+      updates.isAnonymous = !!isAnonymous;
+      updates.author = updates.isAnonymous ? "Anonymous" : req.user.username;
     }
 
     // Mark as edited
-    review.editedAt = new Date().toISOString();
+    updates.editedAt = new Date().toISOString();
+
+    const result = await updateReviews((allReviews) => {
+      const reviews = allReviews.get(businessId);
+      if (!reviews) {
+        return { status: 404, error: "Business not found" };
+      }
+
+      const review = reviews.find(r => r.id === reviewId);
+      if (!review) {
+        return { status: 404, error: "Review not found" };
+      }
+
+      // Check ownership - user must be the author of the review
+      if (review.userId !== userId) {
+        return { status: 403, error: "You can only edit your own reviews" };
+      }
+
+      // The review itself changed since the client loaded it (e.g. edited in
+      // another tab) - overwriting would silently discard that edit
+      const currentRevision = review.revision || 1;
+      if (revision !== undefined && revision !== currentRevision) {
+        return { status: 409, error: "This review was changed since you started editing. Please reload and try again.", review: toPublicReview(review) };
+      }
+
+      // An empty edit, or the same values sent again, isn't a new version:
+      // nothing is saved and other tabs' revision stays valid
+      const changed = REVISION_FIELDS.some(field => updates[field] !== undefined && updates[field] !== review[field]);
+      if (!changed) {
+        return { review: toPublicReview(review), unchanged: true, hidden: !!review.hidden };
+      }
 
-    // Save changes
-    const saved = await saveReviewsAsync();
-    if (!saved) {
-      return res.status(500).json({ error: "Failed to save changes" });
+      recordRevision(review);
+      Object.assign(review, updates, { revision: currentRevision + 1 });
+
+      // A new comment is screened like a new review (without the burst
+      // check - editing doesn't post another review)
+      let reasons = [];
+      if (updates.comment !== undefined) {
+        reasons = screenReview(review, collectAuthorReviews(allReviews, userId, review), { blockedTerms: BLOCKED_TERMS, burst: false });
+        if (reasons.length > 0) holdForScreening(review, reasons, updates.editedAt);
+        else releaseScreeningHold(review);
+      }
+      return { review: toPublicReview(review), held: reasons.length > 0, hidden: !!review.hidden };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, ...(result.review && { review: result.review }) });
     }
 
+    if (result.unchanged) {
+      return res.json({ message: "Nothing to update", pending: result.hidden, review: result.review });
+    }
+
+    cache.flushAll();
+
     console.log(`[REVIEW] User ${req.user.username} edited review ${reviewId}`);
+    if (result.held) {
+      console.log(`[MODERATION] Held edited review ${reviewId} on business ${businessId}`);
+      return res.json({
+        message: "Thanks! Your changes will appear once a moderator has looked at them.",
+        pending: true,
+        review: result.review
+      });
+    }
 
-    res.json({ message: "Review updated successfully", review });
+    res.json({ message: "Review updated successfully", pending: result.hidden, review: result.review });
   } catch (error) {
     console.error('Error editing review:', error);
     res.status(500).json({ error: "Failed to edit review" });
   }
 });
 
-// Delete review - REQUIRES AUTHENTICATION and OWNERSHIP
-app.delete("/api/businesses/:businessId/reviews/:reviewId", requireAuth, async (req, res) => {
+// Edit history of a review, oldest version first and ending with the current
+// one. Each version is { revision, date, rating, comment, quality, service,
+// cleanliness, atmosphere }; who posted it is left out so an anonymous review
+// doesn't reveal its earlier author name. Reviews edited before history was
+// kept start at a revision above 1. Hidden reviews are only shown to their
+// author and moderators.
+app.get("/api/businesses/:businessId/reviews/:reviewId/history", async (req, res) => {
   try {
     const { businessId, reviewId } = req.params;
-    const userId = req.user.id;
-
-    // Refresh reviews from blob to get latest data
-    await refreshReviewsFromBlob();
 
-    const reviews = localReviews.get(businessId);
+    await refreshReviews();
+    const review = (localReviews.get(businessId) || []).find(r => r.id === reviewId);
 
-    if (!reviews) {
-      return res.status(404).json({ error: "Business not found" });
+    let allowed = review && !review.hidden;
+    if (review && !allowed && req.user) {
+      if (!usersLoaded) await usersLoadPromise;
+      await refreshUsers();
+      allowed = review.userId === req.user.id ||
+        ROLES.indexOf(getUserRole(req.user.id)) >= ROLES.indexOf('moderator');
     }
-
-    const reviewIndex = reviews.findIndex(r => r.id === reviewId);
-    if (reviewIndex === -1) {
+    if (!allowed) {
       return res.status(404).json({ error: "Review not found" });
     }
 
-    const review = reviews[reviewIndex];
-
-    // Check ownership - user must be the author of the review
-    if (review.userId !== userId) {
-      return res.status(403).json({ error: "You can only delete your own reviews" });
+    const current = { revision: review.revision || 1, date: review.editedAt || review.date };
+    for (const field of REVISION_FIELDS) {
+      if (review[field] !== undefined) current[field] = review[field];
     }
+    const versions = [...(review.revisions || []), current]
+      .map(({ author, isAnonymous, ...version }) => version);
 
-    // Remove the review
-    reviews.splice(reviewIndex, 1);
-    localReviews.set(businessId, reviews);
+    res.json({ reviewId, revision: current.revision, versions });
+  } catch (error) {
+    console.error('Error loading review history:', error);
+    res.status(500).json({ error: "Failed to load review history" });
+  }
+});
 
-    // Save changes
-    const saved = await saveReviewsAsync();
-    if (!saved) {
-      // Restore the review if save failed
-      reviews.splice(reviewIndex, 0, review);
-      localReviews.set(businessId, reviews);
-      return res.status(500).json({ error: "Failed to delete review" });
+// Delete review - REQUIRES AUTHENTICATION and OWNERSHIP
+app.delete("/api/businesses/:businessId/reviews/:reviewId", requireAuth, async (req, res) => {
+  try {
+    const { businessId, reviewId } = req.params;
+    const userId = req.user.id;
+
+    const result = await updateReviews((allReviews) => {
+      const reviews = allReviews.get(businessId);
+      if (!reviews) {
+        return { status: 404, error: "Business not found" };
+      }
+
+      const reviewIndex = reviews.findIndex(r => r.id === reviewId);
+      if (reviewIndex === -1) {
+        return { status: 404, error: "Review not found" };
+      }
+
+      // Check ownership - user must be the author of the review
+      if (reviews[reviewIndex].userId !== userId) {
+        return { status: 403, error: "You can only delete your own reviews" };
+      }
+
+      // Remove the review
+      const [deleted] = reviews.splice(reviewIndex, 1);
+      return { photos: deleted.photos || [] };
+    });
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
     }
 
+    await removePhotoFiles(result.photos);
+
     // Clear cache
     cache.flushAll();
 
@@ -3075,16 +5322,16 @@ app.delete("/api/businesses/:businessId/reviews/:reviewId", requireAuth, async (
   }
 });
 
-// Debug endpoint - View reviews storage status (developer use only)
-app.get("/api/reviews/debug", async (req, res) => {
+// Debug endpoint - View reviews storage status (admin only)
+app.get("/api/reviews/debug", requireRole('admin'), async (req, res) => {
   try {
     const reviewData = Array.from(localReviews.entries());
     const totalReviews = reviewData.reduce((sum, [, reviews]) => sum + reviews.length, 0);
 
     res.json({
-      storageType: USE_VERCEL_BLOB ? 'Vercel Blob' : 'File System',
+      storageType: storage.label,
       blobTokenSet: !!process.env.BLOB_READ_WRITE_TOKEN,
-      currentBlobUrl: reviewsBlobUrl,
+      currentBlobUrl: storage.location(REVIEWS_DOC),
       businessesWithReviews: reviewData.length,
       totalReviewsInMemory: totalReviews,
       sampleData: reviewData.slice(0, 3).map(([id, reviews]) => ({
@@ -3108,7 +5355,16 @@ app.get("/api/reviews/debug", async (req, res) => {
 // - Higher review count: +0.01 per review (secondary tiebreaker)
 app.post("/api/recommendations", async (req, res) => {
   try {
-    const { favoriteIds = [], preferredCategories = [], debug = false } = req.body;
+    const { preferredCategories = [], debug = false } = req.body;
+
+    // Signed-in users get recommendations from their stored favorites;
+    // anonymous callers can still pass favoriteIds explicitly
+    let favoriteIds = parseFavoriteIds(req.body.favoriteIds) || [];
+    if (req.user) {
+      await refreshFavorites();
+      favoriteIds = getUserFavorites(req.user.id);
+    }
+
     let businesses = await fetchBusinesses();
 
     // Apply current review data so ratings are up-to-date
@@ -3198,8 +5454,8 @@ app.post("/api/recommendations", async (req, res) => {
   }
 });
 
-// Debug endpoint - View all recommendation scores (developer use only)
-app.get("/api/recommendations/debug", async (req, res) => {
+// Debug endpoint - View all recommendation scores (admin only)
+app.get("/api/recommendations/debug", requireRole('admin'), async (req, res) => {
   try {
     const businesses = await fetchBusinesses();
 
@@ -3279,7 +5535,15 @@ const TRENDING_BUSINESS_NAMES = ["Raising Cane's", "Kung Fu Tea", "Marlow's Tave
 
 app.get("/api/trending", async (req, res) => {
   try {
-    const businesses = await fetchBusinesses();
+    const { region, error: regionError } = parseRegionQuery(req.query.region);
+    if (regionError) {
+      return res.status(400).json({ error: regionError });
+    }
+
+    let businesses = await fetchBusinesses();
+    if (region) {
+      businesses = businesses.filter(b => b.region === region.id);
+    }
     const trending = [];
 
     for (const trendingName of TRENDING_BUSINESS_NAMES) {
@@ -3311,7 +5575,7 @@ app.get("/api/trending", async (req, res) => {
 
 // DISABLED - Admin: Regenerate all reviews with the new algorithm
 // BLOB WRITES DISABLED to conserve Vercel Blob usage limits
-app.post("/api/admin/regenerate-reviews", async (req, res) => {
+app.post("/api/admin/regenerate-reviews", requireRole('admin'), async (req, res) => {
   console.log('[ADMIN] Regenerate reviews endpoint called but BLOB WRITES ARE DISABLED');
   res.status(403).json({
     error: "Review regeneration is currently disabled to conserve Vercel Blob usage limits",
@@ -3320,42 +5584,136 @@ app.post("/api/admin/regenerate-reviews", async (req, res) => {
 });
 
 // Tags
+// Tags used by at least two businesses, most common first: [{ tag, count }]
+function countTags(businesses) {
+  const tagCounts = {};
+
+  businesses.forEach(b => {
+    (b.tags || []).forEach(tag => {
+      const normalizedTag = tag.toLowerCase().trim();
+      if (normalizedTag && normalizedTag.length > 1) {
+        tagCounts[normalizedTag] = (tagCounts[normalizedTag] || 0) + 1;
+      }
+    });
+  });
+
+  return Object.entries(tagCounts)
+    .filter(([, count]) => count >= 2)
+    .sort((a, b) => b[1] - a[1])
+    .map(([tag, count]) => ({
+      tag: tag.charAt(0).toUpperCase() + tag.slice(1),
+      count
+    }));
+}
+
 app.get("/api/tags", async (req, res) => {
   try {
     const businesses = await fetchBusinesses();
-    const tagCounts = {};
+    res.json(countTags(businesses));
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: "Failed to fetch tags" });
+  }
+});
 
+// ============================================
+// SEARCH SUGGESTIONS (autocomplete)
+// ============================================
+const SUGGEST_DEFAULT_LIMIT = 8;
+const SUGGEST_MAX_LIMIT = 20;
+
+// Where `query` appears in `label`: 0 = start of the label, 1 = start of a
+// later word, 2 = inside a word, null = not at all
+function matchPosition(label, query) {
+  const text = label.toLowerCase();
+  let index = text.indexOf(query);
+  if (index === -1) return null;
+  if (index === 0) return 0;
+  // Prefer any word-start occurrence over the first inner one
+  for (; index !== -1; index = text.indexOf(query, index + 1)) {
+    if (!/[a-z0-9]/.test(text[index - 1])) return 1;
+  }
+  return 2;
+}
+
+// Autocomplete for the search bar: business names, tags and categories.
+// Better match positions come first; within a position, more popular
+// suggestions (relative to others of the same type) win.
+app.get("/api/search/suggest", async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim().toLowerCase() : '';
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SUGGEST_DEFAULT_LIMIT, 1), SUGGEST_MAX_LIMIT);
+    if (!query) return res.json([]);
+
+    const { region, error: regionError } = parseRegionQuery(req.query.region);
+    if (regionError) {
+      return res.status(400).json({ error: regionError });
+    }
+
+    let businesses = await fetchBusinesses();
+    if (region) {
+      businesses = businesses.filter(b => b.region === region.id);
+    }
+
+    // Popularity: local review count for businesses, number of businesses
+    // for tags and categories
+    const categoryCounts = {};
     businesses.forEach(b => {
-      (b.tags || []).forEach(tag => {
-        const normalizedTag = tag.toLowerCase().trim();
-        if (normalizedTag && normalizedTag.length > 1) {
-          tagCounts[normalizedTag] = (tagCounts[normalizedTag] || 0) + 1;
-        }
-      });
+      if (b.category) categoryCounts[b.category] = (categoryCounts[b.category] || 0) + 1;
     });
+    const categoryNames = new Set(Object.keys(categoryCounts).map(c => c.toLowerCase()));
 
-    const tags = Object.entries(tagCounts)
-      .filter(([, count]) => count >= 2)
-      .sort((a, b) => b[1] - a[1])
-      .map(([tag, count]) => ({
-        tag: tag.charAt(0).toUpperCase() + tag.slice(1),
-        count
-      }));
+    const candidates = [
+      ...businesses.map(b => ({
+        type: 'business',
+        id: b.id,
+        label: b.name,
+        category: b.category,
+        popularity: getLocalReviewSummary(b.id).reviewCount
+      })),
+      ...countTags(businesses)
+        .filter(({ tag }) => !categoryNames.has(tag.toLowerCase()))
+        .map(({ tag, count }) => ({ type: 'tag', label: tag, popularity: count })),
+      ...Object.entries(categoryCounts).map(([category, count]) => ({ type: 'category', label: category, popularity: count }))
+    ];
+
+    const maxPopularity = {};
+    candidates.forEach(c => {
+      maxPopularity[c.type] = Math.max(maxPopularity[c.type] || 0, c.popularity);
+    });
 
-    res.json(tags);
+    const suggestions = candidates
+      .map(c => ({ ...c, position: matchPosition(c.label, query) }))
+      // A single letter only matches at the start of a word
+      .filter(c => c.position !== null && (c.position < 2 || query.length > 1))
+      .map(({ popularity, position, ...c }) => ({
+        ...c,
+        score: Math.round(((3 - position) + (maxPopularity[c.type] > 0 ? popularity / maxPopularity[c.type] : 0)) * 1000) / 1000
+      }))
+      .sort((a, b) => b.score - a.score || a.label.length - b.label.length || a.label.localeCompare(b.label))
+      .slice(0, limit);
+
+    res.json(suggestions);
   } catch (error) {
-    console.error('Error fetching tags:', error);
-    res.status(500).json({ error: "Failed to fetch tags" });
+    console.error('Error fetching search suggestions:', error);
+    res.status(500).json({ error: "Failed to fetch suggestions" });
   }
 });
 
 // Analytics
 app.get("/api/analytics", async (req, res) => {
   try {
+    const { region, error: regionError } = parseRegionQuery(req.query.region);
+    if (regionError) {
+      return res.status(400).json({ error: regionError });
+    }
+
     // Load fresh reviews from Blob for accurate counts
-    await refreshReviewsFromBlob();
+    await refreshReviews();
 
-    const businesses = await fetchBusinesses();
+    if (!usersLoaded) await usersLoadPromise;
+    const allBusinesses = await fetchBusinesses();
+    const businesses = region ? allBusinesses.filter(b => b.region === region.id) : allBusinesses;
     const totalBusinesses = businesses.length;
     const avgRating = totalBusinesses > 0
       ? businesses.reduce((sum, b) => sum + (b.yelpRating || 0), 0) / totalBusinesses
@@ -3366,16 +5724,34 @@ app.get("/api/analytics", async (req, res) => {
       return acc;
     }, {});
 
-    const topRated = [...businesses]
-      .sort((a, b) => (b.yelpRating || 0) - (a.yelpRating || 0))
-      .slice(0, 3)
-      .map(b => ({ id: b.id, name: b.name, rating: b.yelpRating }));
+    // Ranked by weighted rating; priors come from every region's businesses.
+    // Businesses without local reviews sit at their category prior, and the
+    // Yelp rating breaks ties, so a fresh deployment still has a ranking.
+    const ratings = createRatingContext(allBusinesses);
+    const topRated = businesses
+      .map(b => ({ business: b, summary: getLocalReviewSummary(b.id) }))
+      .map(({ business, summary }) => ({
+        id: business.id,
+        name: business.name,
+        rating: ratings.weightedRatingOf(business),
+        rawRating: summary.reviewCount > 0 ? Math.round(summary.rating * 100) / 100 : null,
+        yelpRating: business.yelpRating ?? null,
+        reviewCount: summary.reviewCount
+      }))
+      .sort((a, b) => b.rating - a.rating || (b.yelpRating || 0) - (a.yelpRating || 0) || a.id.localeCompare(b.id))
+      .slice(0, 3);
 
     const dealsAvailable = businesses.filter(b => b.deal).length;
 
     let totalUserReviews = 0;
-    for (const reviews of localReviews.values()) {
-      totalUserReviews += reviews.length;
+    if (region) {
+      for (const b of businesses) {
+        totalUserReviews += (localReviews.get(b.id) || []).length;
+      }
+    } else {
+      for (const reviews of localReviews.values()) {
+        totalUserReviews += reviews.length;
+      }
     }
 
     res.json({
@@ -3386,7 +5762,8 @@ app.get("/api/analytics", async (req, res) => {
       topRated,
       dealsAvailable,
       totalUserReviews,
-      topRatedCount: businesses.filter(b => (b.yelpRating || 0) >= 4).length
+      topRatedCount: businesses.filter(b => (b.yelpRating || 0) >= 4).length,
+      region: region ? region.id : null
     });
   } catch (error) {
     console.error('Error fetching analytics:', error);
@@ -3395,7 +5772,7 @@ app.get("/api/analytics", async (req, res) => {
 });
 
 // GET /api/export-data - export all businesses and reviews for local development
-app.get("/api/export-data", async (req, res) => {
+app.get("/api/export-data", requireRole('admin'), async (req, res) => {
   try {
     const businesses = await fetchBusinesses();
 
@@ -3447,8 +5824,7 @@ if (isMainModule && !process.env.VERCEL) {
     } else {
       console.log(`Data Source: Yelp API`);
     }
-    console.log(`Location: Cumming, Georgia`);
-    console.log(`Search radius: 10 miles`);
+    console.log(`Regions: ${REGIONS.map(r => `${r.name} (${r.radiusMiles} mi)`).join(', ')}`);
     console.log(`reCAPTCHA: ${RECAPTCHA_ENABLED ? "enabled" : "disabled"}`);
 
     // SEEDING DISABLED - preserving existing blob data to stay within usage limits
@@ -0,0 +1,164 @@
+/**
+ * LocalLink - Review Photos
+ *
+ * Reviewers can attach up to MAX_PHOTOS_PER_REVIEW images to their review.
+ * Each upload is checked (the format is recognized from the file's first
+ * bytes, not just the Content-Type header) and re-encoded as WebP: a copy
+ * capped at MAX_PHOTO_DIMENSION and a small thumbnail. Re-encoding also drops
+ * EXIF data such as the GPS position of the camera.
+ *
+ * Photos are stored in Vercel Blob when the documents are (see
+ * resolveStorageDriver in storage.js), in memory with the memory driver, and
+ * otherwise as files in a local directory that the server serves
+ * (OFFLINE_IMAGES_DIR, under /api/images).
+ *
+ * A review keeps one { id, url, thumbnailUrl, width, height } per photo.
+ */
+
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import { put, del } from "@vercel/blob";
+import { resolveStorageDriver } from "./storage.js";
+
+export const MAX_PHOTOS_PER_REVIEW = 4;
+// Stays under Vercel's 4.5 MB request body limit for serverless functions
+export const MAX_PHOTO_BYTES = 4 * 1024 * 1024;
+const MAX_PHOTO_DIMENSION = 1600;
+const THUMBNAIL_SIZE = 320;
+// Refuse images that would take too much memory to decode (e.g. 20000x20000)
+const MAX_INPUT_PIXELS = 40 * 1000 * 1000;
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Accepted formats and how to recognize them
+const PHOTO_FORMATS = [
+  { type: "image/jpeg", label: "JPEG", matches: (b) => b.length > 3 && b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+  { type: "image/png", label: "PNG", matches: (b) => b.length > 8 && b.subarray(0, 8).equals(PNG_SIGNATURE) },
+  { type: "image/webp", label: "WebP", matches: (b) => b.length > 12 && b.toString("ascii", 0, 4) === "RIFF" && b.toString("ascii", 8, 12) === "WEBP" }
+];
+
+/**
+ * Check an uploaded file. Returns an error message for the uploader, or null
+ * when the file is a JPEG, PNG or WebP image of an acceptable size.
+ */
+export function validatePhoto(buffer, contentType) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return "Send the image file as the request body.";
+  }
+  if (buffer.length > MAX_PHOTO_BYTES) {
+    return `Photos must be ${MAX_PHOTO_BYTES / (1024 * 1024)} MB or smaller.`;
+  }
+  const format = PHOTO_FORMATS.find(f => f.matches(buffer));
+  if (!format) {
+    return "Photos must be JPEG, PNG or WebP images.";
+  }
+  if (contentType && contentType.split(";")[0].trim().toLowerCase() !== format.type) {
+    return `The file is a ${format.label} image but was sent as ${contentType}.`;
+  }
+  return null;
+}
+
+/**
+ * Re-encode a validated upload. Returns { image, thumbnail, width, height }
+ * (WebP buffers and the size of the stored image), or null if the file
+ * cannot be decoded.
+ */
+export async function processPhoto(buffer) {
+  try {
+    // rotate() applies the EXIF orientation before the metadata is dropped
+    const source = () => sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).rotate();
+
+    const { data: image, info } = await source()
+      .resize({ width: MAX_PHOTO_DIMENSION, height: MAX_PHOTO_DIMENSION, fit: "inside", withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+
+    const thumbnail = await source()
+      .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: "cover" })
+      .webp({ quality: 75 })
+      .toBuffer();
+
+    return { image, thumbnail, width: info.width, height: info.height };
+  } catch (error) {
+    console.log("[PHOTOS] Could not decode upload:", error.message);
+    return null;
+  }
+}
+
+// ============================================
+// PHOTO STORAGE
+// ============================================
+
+/**
+ * Where photo files go.
+ *   save(name, buffer) -> public URL of the stored file
+ *   remove(url)        -> deletes a file saved here (errors are logged)
+ *   read(name)         -> the stored file, or null (memory store only; the
+ *                         server serves these itself)
+ */
+export function createPhotoStore({ env = process.env, localDir, localUrl }) {
+  if (resolveStorageDriver(env) === "blob") {
+    return {
+      label: "Vercel Blob",
+
+      async save(name, buffer) {
+        const blob = await put(`review-photos/${name}`, buffer, {
+          access: "public",
+          contentType: "image/webp",
+          addRandomSuffix: false
+        });
+        return blob.url;
+      },
+
+      async remove(url) {
+        try {
+          await del(url);
+        } catch (error) {
+          console.error(`[PHOTOS] Failed to delete ${url}:`, error.message);
+        }
+      }
+    };
+  }
+
+  if (resolveStorageDriver(env) === "memory") {
+    const files = new Map();
+    return {
+      label: "Memory",
+
+      async save(name, buffer) {
+        files.set(name, buffer);
+        return `${localUrl}/${name}`;
+      },
+
+      async remove(url) {
+        if (!url.startsWith(`${localUrl}/`)) return;
+        files.delete(path.basename(url));
+      },
+
+      read(name) {
+        return files.get(name) || null;
+      }
+    };
+  }
+
+  return {
+    label: "File System",
+
+    async save(name, buffer) {
+      fs.mkdirSync(localDir, { recursive: true });
+      fs.writeFileSync(path.join(localDir, name), buffer);
+      return `${localUrl}/${name}`;
+    },
+
+    async remove(url) {
+      if (!url.startsWith(`${localUrl}/`)) return;
+      const file = path.join(localDir, path.basename(url));
+      try {
+        fs.rmSync(file, { force: true });
+      } catch (error) {
+        console.error(`[PHOTOS] Failed to delete ${file}:`, error.message);
+      }
+    }
+  };
+}
@@ -0,0 +1,216 @@
+/**
+ * LocalLink - Login Rate Limiting
+ *
+ * Failed logins are counted per client IP and per username. After a few free
+ * attempts each further failure adds a growing wait before the next attempt
+ * is allowed (progressive delay), and too many failures lock the key out for
+ * a while. Blocked attempts are rejected before the password is checked, so
+ * brute-force guessing never reaches bcrypt.
+ *
+ * Counters live in a store with a small interface:
+ *
+ *   get(key)             -> record, or null if unknown/expired
+ *   update(key, mutate)  -> mutate(record | null) returns the new record,
+ *                           or null to delete it
+ *
+ * Records carry an `expiresAt` timestamp so stores can drop stale entries.
+ *
+ * Stores:
+ * - memory:  per-process Map (default). Fine for a single server; each
+ *            serverless instance keeps its own counters.
+ * - storage: a document in the configured storage driver (see storage.js),
+ *            shared by every instance. Each failed login is a write, so this
+ *            is opt-in (RATE_LIMIT_STORE=storage).
+ */
+
+import { updateDocument, LOGIN_ATTEMPTS_DOC } from "./storage.js";
+
+export const RATE_LIMIT_STORES = ["memory", "storage"];
+
+// Limits per key type. Usernames are guessed against from many IPs, so they
+// lock out sooner; one IP may legitimately serve several users (NAT, campus).
+export const DEFAULT_LOGIN_POLICIES = {
+  username: {
+    freeFailures: 3,        // failures before delays start
+    baseDelayMs: 1000,      // wait after the first delayed failure, doubling each time
+    maxDelayMs: 30 * 1000,
+    lockoutFailures: 10,    // failures that trigger a lockout
+    lockoutMs: 15 * 60 * 1000,
+    windowMs: 15 * 60 * 1000 // failures are forgotten this long after the last one
+  },
+  ip: {
+    freeFailures: 10,
+    baseDelayMs: 1000,
+    maxDelayMs: 30 * 1000,
+    lockoutFailures: 50,
+    lockoutMs: 15 * 60 * 1000,
+    windowMs: 15 * 60 * 1000
+  }
+};
+
+// ============================================
+// STORES
+// ============================================
+
+const isLive = (record, now) => record && record.expiresAt > now;
+
+export function createMemoryRateLimitStore() {
+  const records = new Map();
+
+  // Drop expired entries so unknown usernames can't grow the map forever
+  function prune(now) {
+    for (const [key, record] of records) {
+      if (!isLive(record, now)) records.delete(key);
+    }
+  }
+
+  return {
+    name: "memory",
+
+    async get(key) {
+      const record = records.get(key);
+      return isLive(record, Date.now()) ? { ...record } : null;
+    },
+
+    async update(key, mutate) {
+      const now = Date.now();
+      if (records.size > 1000) prune(now);
+      const current = records.get(key);
+      const next = mutate(isLive(current, now) ? { ...current } : null);
+      if (next) {
+        records.set(key, next);
+      } else {
+        records.delete(key);
+      }
+      return next;
+    }
+  };
+}
+
+// All counters in one document: [[key, record], ...]
+export function createDocumentRateLimitStore(storage, { name = LOGIN_ATTEMPTS_DOC } = {}) {
+  return {
+    name: "storage",
+
+    async get(key) {
+      const data = await storage.read(name);
+      const entry = Array.isArray(data) ? data.find(([k]) => k === key) : null;
+      return entry && isLive(entry[1], Date.now()) ? entry[1] : null;
+    },
+
+    async update(key, mutate) {
+      const outcome = await updateDocument(storage, name, (current) => {
+        const now = Date.now();
+        const entries = new Map((Array.isArray(current) ? current : []).filter(([, r]) => isLive(r, now)));
+        const next = mutate(entries.get(key) || null);
+        if (next) {
+          entries.set(key, next);
+        } else if (!entries.delete(key) && entries.size === (current || []).length) {
+          return { result: null }; // Nothing to delete or prune - skip the write
+        }
+        return { data: Array.from(entries.entries()), result: next };
+      });
+      if (!outcome.ok) {
+        console.error(`[RATE LIMIT] Failed to save ${name}${outcome.conflict ? " (write conflict)" : ""}`);
+      }
+      return outcome.result ?? null;
+    }
+  };
+}
+
+export function resolveRateLimitStore(env = process.env) {
+  const requested = (env.RATE_LIMIT_STORE || "").trim().toLowerCase();
+  if (requested && !RATE_LIMIT_STORES.includes(requested)) {
+    console.warn(`[RATE LIMIT] Unknown RATE_LIMIT_STORE "${requested}", expected one of: ${RATE_LIMIT_STORES.join(", ")}`);
+    return "memory";
+  }
+  return requested || "memory";
+}
+
+// ============================================
+// LOGIN LIMITER
+// ============================================
+
+// Wait required after `failures` failures (0 while still within the free attempts)
+function delayFor(policy, failures) {
+  const delayed = failures - policy.freeFailures;
+  if (delayed <= 0) return 0;
+  return Math.min(policy.baseDelayMs * 2 ** (delayed - 1), policy.maxDelayMs);
+}
+
+// Earliest time the next attempt is allowed for a record (0 if unrestricted)
+function blockedUntil(policy, record) {
+  if (!record) return 0;
+  if (record.lockedUntil) return record.lockedUntil;
+  return record.lastFailureAt + delayFor(policy, record.failures);
+}
+
+/**
+ * Create a login limiter.
+ *
+ * check(ip, username)         -> { allowed, retryAfterMs, reason }
+ * recordFailure(ip, username) -> { retryAfterMs, locked } for the next attempt
+ * recordSuccess(ip, username) -> clears the username's failures
+ *
+ * The IP counter is kept on success, otherwise an attacker who owns one
+ * account could reset it between guesses against others.
+ */
+export function createLoginLimiter({ store = createMemoryRateLimitStore(), policies = DEFAULT_LOGIN_POLICIES } = {}) {
+  const keysFor = (ip, username) => [
+    ["ip", `ip:${ip || "unknown"}`],
+    ["username", `user:${String(username || "").trim().toLowerCase()}`]
+  ];
+
+  return {
+    store,
+
+    async check(ip, username) {
+      const now = Date.now();
+      let result = { allowed: true, retryAfterMs: 0, reason: null };
+
+      for (const [type, key] of keysFor(ip, username)) {
+        const record = await store.get(key);
+        const waitMs = blockedUntil(policies[type], record) - now;
+        if (waitMs > result.retryAfterMs) {
+          result = { allowed: false, retryAfterMs: waitMs, reason: record.lockedUntil ? "locked" : "delayed" };
+        }
+      }
+      return result;
+    },
+
+    async recordFailure(ip, username) {
+      const now = Date.now();
+      let result = { retryAfterMs: 0, locked: false };
+
+      for (const [type, key] of keysFor(ip, username)) {
+        const policy = policies[type];
+        const record = await store.update(key, (current) => {
+          // A finished lockout starts a fresh count
+          const failures = current && !(current.lockedUntil && current.lockedUntil <= now) ? current.failures + 1 : 1;
+          const lockedUntil = failures >= policy.lockoutFailures ? now + policy.lockoutMs : null;
+          return {
+            failures,
+            lastFailureAt: now,
+            lockedUntil,
+            expiresAt: Math.max(lockedUntil || 0, now + policy.windowMs)
+          };
+        });
+        if (!record) continue;
+
+        if (record.lockedUntil && record.failures === policy.lockoutFailures) {
+          console.log(`[RATE LIMIT] Locked ${key} for ${Math.round(policy.lockoutMs / 60000)} minutes after ${record.failures} failed logins`);
+        }
+        const waitMs = blockedUntil(policy, record) - now;
+        if (waitMs > result.retryAfterMs) {
+          result = { retryAfterMs: waitMs, locked: !!record.lockedUntil };
+        }
+      }
+      return result;
+    },
+
+    async recordSuccess(ip, username) {
+      const [, [, userKey]] = keysFor(ip, username);
+      await store.update(userKey, () => null);
+    }
+  };
+}
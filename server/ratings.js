@@ -0,0 +1,153 @@
+/**
+ * LocalLink - Weighted Ratings
+ *
+ * A plain mean lets one 5-star review outrank fifty 4.8s. The weighted rating
+ * is a Bayesian average: every business starts with `priorWeight` imaginary
+ * reviews at its category's typical rating, so it takes a number of real
+ * reviews to move far from it.
+ *
+ *   weighted = (sum of w * rating + priorWeight * prior) / (sum of w + priorWeight)
+ *
+ * Each review's weight w is the product of
+ *   - recency: halves every `halfLifeDays` (off when 0)
+ *   - reviewer trust: lower for new accounts and for reviewers whose reviews
+ *     were reported or hidden by moderators (off when `trust` is false)
+ *
+ * The category prior is itself the category's mean shrunk toward the mean of
+ * all reviews, so a category with a handful of reviews doesn't get an extreme
+ * prior. Both are computed from raw ratings, not weighted ones.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_RATING_CONFIG = {
+  priorWeight: 5,
+  // Prior when there are no reviews anywhere yet
+  defaultPrior: 3.5,
+  halfLifeDays: 0,
+  trust: true
+};
+
+// Accounts reach full trust after this many days
+const TRUST_FULL_AGE_DAYS = 30;
+// Trust of a brand new account
+const NEW_ACCOUNT_TRUST = 0.25;
+const MIN_TRUST = 0.1;
+
+// Non-negative number from an env var, or the default
+function readNumber(value, fallback, name) {
+  if (value === undefined || value === "") return fallback;
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    console.warn(`[RATINGS] Ignoring invalid ${name}="${value}"`);
+    return fallback;
+  }
+  return number;
+}
+
+// Rating settings from RATING_PRIOR_WEIGHT, RATING_DEFAULT_PRIOR,
+// RATING_HALF_LIFE_DAYS and RATING_TRUST_WEIGHTS
+export function loadRatingConfig(env = process.env) {
+  const defaultPrior = readNumber(env.RATING_DEFAULT_PRIOR, DEFAULT_RATING_CONFIG.defaultPrior, "RATING_DEFAULT_PRIOR");
+  return {
+    priorWeight: readNumber(env.RATING_PRIOR_WEIGHT, DEFAULT_RATING_CONFIG.priorWeight, "RATING_PRIOR_WEIGHT"),
+    defaultPrior: Math.min(5, Math.max(1, defaultPrior)),
+    halfLifeDays: readNumber(env.RATING_HALF_LIFE_DAYS, DEFAULT_RATING_CONFIG.halfLifeDays, "RATING_HALF_LIFE_DAYS"),
+    trust: (env.RATING_TRUST_WEIGHTS || "").trim().toLowerCase() !== "false"
+  };
+}
+
+const mean = (sum, count) => (count > 0 ? sum / count : null);
+
+/**
+ * Prior rating per category.
+ *   entries: [{ category, reviews }] with each business's visible reviews
+ * Returns { priors: Map(category -> prior), globalPrior }.
+ */
+export function computeCategoryPriors(entries, config = DEFAULT_RATING_CONFIG) {
+  const totals = new Map();
+  let sum = 0;
+  let count = 0;
+
+  for (const { category, reviews } of entries) {
+    const total = totals.get(category) || { sum: 0, count: 0 };
+    for (const review of reviews) {
+      total.sum += review.rating;
+      total.count++;
+    }
+    totals.set(category, total);
+  }
+  for (const total of totals.values()) {
+    sum += total.sum;
+    count += total.count;
+  }
+
+  const globalPrior = mean(sum, count) ?? config.defaultPrior;
+  const priors = new Map();
+  for (const [category, total] of totals) {
+    priors.set(category, (total.sum + config.priorWeight * globalPrior) / (total.count + config.priorWeight));
+  }
+  return { priors, globalPrior };
+}
+
+/**
+ * Reviewer history from every stored review: userId -> { reported, hidden }.
+ * `hidden` counts reviews moderators (or the report threshold) took down;
+ * `reported` counts other reviews with at least one report.
+ */
+export function buildReviewerHistory(reviewLists) {
+  const history = new Map();
+  for (const reviews of reviewLists) {
+    for (const review of reviews) {
+      if (!review.userId) continue;
+      const entry = history.get(review.userId) || { reported: 0, hidden: 0 };
+      if (review.hidden) entry.hidden++;
+      else if (review.reports?.length) entry.reported++;
+      history.set(review.userId, entry);
+    }
+  }
+  return history;
+}
+
+/**
+ * Trust weight of a reviewer between MIN_TRUST and 1. Reviews without a known
+ * account (seeded or imported ones) count fully.
+ */
+export function reviewerTrust(user, history, now = Date.now()) {
+  if (!user) return 1;
+
+  let trust = 1;
+  const created = Date.parse(user.createdAt);
+  if (Number.isFinite(created)) {
+    const ageDays = Math.max(0, (now - created) / DAY_MS);
+    trust = NEW_ACCOUNT_TRUST + (1 - NEW_ACCOUNT_TRUST) * Math.min(1, ageDays / TRUST_FULL_AGE_DAYS);
+  }
+  if (history) {
+    trust /= 1 + history.hidden + 0.5 * history.reported;
+  }
+  return Math.max(MIN_TRUST, trust);
+}
+
+// Recency weight of a review: 1 when new, halving every halfLifeDays
+export function recencyWeight(review, halfLifeDays, now = Date.now()) {
+  if (!halfLifeDays) return 1;
+  const date = Date.parse(review.editedAt || review.date);
+  if (!Number.isFinite(date)) return 1;
+  const ageDays = Math.max(0, (now - date) / DAY_MS);
+  return 0.5 ** (ageDays / halfLifeDays);
+}
+
+/**
+ * Bayesian average of `reviews` toward `prior`. `weightOf(review)` gives each
+ * review's weight. With no reviews this is the prior itself.
+ */
+export function weightedRating(reviews, prior, { priorWeight, weightOf = () => 1 }) {
+  let sum = priorWeight * prior;
+  let weights = priorWeight;
+  for (const review of reviews) {
+    const weight = weightOf(review);
+    sum += weight * review.rating;
+    weights += weight;
+  }
+  return weights > 0 ? sum / weights : prior;
+}
@@ -0,0 +1,138 @@
+/**
+ * LocalLink - Regions
+ *
+ * A region is a town or metro area the app serves. Every business belongs to
+ * one region, and listings, trending and analytics can be narrowed to it.
+ *
+ *   {
+ *     id:          "cumming-ga"            (stable, used in URLs and stored on businesses)
+ *     name:        "Cumming, Georgia"      (display name)
+ *     shortName:   "Cumming, GA"           (addresses, image searches)
+ *     city:        "Cumming"               (descriptions)
+ *     center:      { lat, lon }
+ *     radiusMiles: 15                      (Yelp search radius, and which businesses belong here)
+ *     timezone:    "America/New_York"      (IANA zone, for "open now")
+ *     importLocations: [{ name, lat, lon }] (extra search points for the bulk import)
+ *   }
+ *
+ * The built-in list only has Cumming, GA. To launch elsewhere, point
+ * REGIONS_FILE at a JSON array of regions; the first one is the default.
+ */
+
+import fs from "fs";
+
+export const DEFAULT_REGIONS = [
+  {
+    id: "cumming-ga",
+    name: "Cumming, Georgia",
+    shortName: "Cumming, GA",
+    city: "Cumming",
+    center: { lat: 34.2073, lon: -84.1402 },
+    radiusMiles: 15,
+    timezone: "America/New_York",
+    importLocations: [
+      { name: "Cumming, GA", lat: 34.2073, lon: -84.1402 },
+      { name: "Alpharetta, GA", lat: 34.0754, lon: -84.2941 },
+      { name: "Johns Creek, GA", lat: 34.0289, lon: -84.1986 },
+      { name: "Forsyth County, GA", lat: 34.2290, lon: -84.1158 }
+    ]
+  }
+];
+
+const METERS_PER_MILE = 1609.344;
+const DEFAULT_TIMEZONE = "America/New_York";
+const EARTH_RADIUS_MILES = 3958.8;
+
+// Great-circle distance between two points in miles (haversine formula)
+export function haversineMiles(lat1, lon1, lat2, lon2) {
+  const toRad = (deg) => deg * Math.PI / 180;
+  const dLat = toRad(lat2 - lat1);
+  const dLon = toRad(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+const isCoordinate = (point) =>
+  point && Number.isFinite(point.lat) && Number.isFinite(point.lon) &&
+  Math.abs(point.lat) <= 90 && Math.abs(point.lon) <= 180;
+
+// Validate one region from config; throws with a readable message
+function normalizeRegion(region, index) {
+  const where = `region #${index + 1}${region?.id ? ` (${region.id})` : ""}`;
+  if (!region || typeof region.id !== "string" || !/^[a-z0-9-]+$/.test(region.id)) {
+    throw new Error(`${where}: id must be lowercase letters, numbers and dashes`);
+  }
+  if (typeof region.name !== "string" || !region.name.trim()) {
+    throw new Error(`${where}: name is required`);
+  }
+  if (!isCoordinate(region.center)) {
+    throw new Error(`${where}: center must be { lat, lon }`);
+  }
+  if (!(region.radiusMiles > 0)) {
+    throw new Error(`${where}: radiusMiles must be a positive number`);
+  }
+  const timezone = region.timezone || DEFAULT_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+  } catch {
+    throw new Error(`${where}: unknown timezone "${timezone}"`);
+  }
+
+  const importLocations = (region.importLocations || []).filter(isCoordinate);
+  return {
+    id: region.id,
+    name: region.name.trim(),
+    shortName: region.shortName || region.name.trim(),
+    city: region.city || region.name.split(",")[0].trim(),
+    center: { lat: region.center.lat, lon: region.center.lon },
+    radiusMiles: region.radiusMiles,
+    timezone,
+    importLocations: importLocations.length > 0
+      ? importLocations
+      : [{ name: region.shortName || region.name, ...region.center }]
+  };
+}
+
+// Regions from REGIONS_FILE, or the built-in list
+export function loadRegions(env = process.env) {
+  if (!env.REGIONS_FILE) return DEFAULT_REGIONS.map(normalizeRegion);
+
+  try {
+    const regions = JSON.parse(fs.readFileSync(env.REGIONS_FILE, "utf8"));
+    if (!Array.isArray(regions) || regions.length === 0) {
+      throw new Error("expected a non-empty array");
+    }
+    const normalized = regions.map(normalizeRegion);
+    if (new Set(normalized.map(r => r.id)).size !== normalized.length) {
+      throw new Error("region ids must be unique");
+    }
+    return normalized;
+  } catch (error) {
+    console.error(`[REGIONS] Invalid REGIONS_FILE ${env.REGIONS_FILE}: ${error.message}. Using built-in regions.`);
+    return DEFAULT_REGIONS.map(normalizeRegion);
+  }
+}
+
+export const radiusMeters = (region) => Math.round(region.radiusMiles * METERS_PER_MILE);
+
+// Closest region whose radius contains the point (null if none does)
+export function findRegionForPoint(regions, lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon)) return null;
+  let best = null;
+  let bestDistance = Infinity;
+  for (const region of regions) {
+    const distance = haversineMiles(lat, lon, region.center.lat, region.center.lon);
+    if (distance <= region.radiusMiles && distance < bestDistance) {
+      best = region;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// Public fields for API responses
+export function toPublicRegion(region) {
+  const { id, name, shortName, city, center, radiusMiles, timezone } = region;
+  return { id, name, shortName, city, center, radiusMiles, timezone };
+}
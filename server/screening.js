@@ -0,0 +1,164 @@
+/**
+ * LocalLink - Review Screening
+ *
+ * Checks a new or edited review before it is saved. Everything runs locally (no
+ * external moderation service), so it works offline too.
+ *
+ *   - language:  profanity and slurs from a wordlist (DEFAULT_BLOCKED_TERMS,
+ *                plus one term per line from SCREENING_WORDLIST_FILE)
+ *   - duplicate: same or nearly the same text as another of the user's reviews
+ *   - burst:     too many reviews from one account in a short time
+ *   - contact:   links, email addresses and phone numbers
+ *
+ * screenReview returns the reasons a review looks suspicious. A review with
+ * any reasons is held for a moderator instead of being published.
+ */
+
+import fs from "fs";
+
+// Matched as whole words, after undoing common character swaps ("sh1t").
+// Inflected forms are listed rather than derived: stripping suffixes turns
+// ordinary words into slurs ("spiced", "spicer").
+export const DEFAULT_BLOCKED_TERMS = [
+  "fuck", "fucks", "fucked", "fucking", "fuckin", "fucker", "fuckers", "motherfucker", "motherfuckers",
+  "shit", "shits", "shitty", "bullshit", "bitch", "bitches", "bitching", "cunt", "cunts",
+  "asshole", "assholes", "dickhead", "dickheads", "bastard", "bastards", "whore", "whores",
+  "slut", "sluts", "twat", "twats", "wanker", "wankers", "prick", "pricks",
+  "nigger", "niggers", "nigga", "niggas", "faggot", "faggots", "fag", "fags",
+  "retard", "retards", "retarded", "spic", "spics", "chink", "chinks",
+  "kike", "kikes", "tranny", "trannies", "wetback", "wetbacks", "gook", "gooks", "raghead", "ragheads"
+];
+
+// Near-duplicates: share this fraction of their three-word sequences
+const DUPLICATE_SIMILARITY = 0.8;
+// Texts shorter than this are too generic to call duplicates ("Great food!")
+const MIN_DUPLICATE_WORDS = 6;
+
+// Burst posting: more than `max` reviews within `windowMs`, counting this one
+const BURST_LIMITS = [
+  { windowMs: 10 * 60 * 1000, max: 3, label: "10 minutes" },
+  { windowMs: 24 * 60 * 60 * 1000, max: 10, label: "24 hours" }
+];
+
+const CHARACTER_SWAPS = { "0": "o", "1": "i", "3": "e", "4": "a", "5": "s", "7": "t", "@": "a", "$": "s", "!": "i" };
+
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|biz|info|io|co|us|ru|xyz|top|site|online|shop)\b(?:\/\S*)?/i;
+const EMAIL_PATTERN = /\b[\w.+-]+@[\w-]+\.[\w.-]+\b/;
+// 10+ digits, optionally grouped with spaces, dots, dashes or parentheses
+const PHONE_PATTERN = /(?:\+?\d[\s.\-()]*){10,}/;
+
+// Terms from SCREENING_WORDLIST_FILE (one per line, # for comments) added to
+// the defaults
+export function loadBlockedTerms(env = process.env) {
+  const terms = [...DEFAULT_BLOCKED_TERMS];
+  if (!env.SCREENING_WORDLIST_FILE) return terms;
+
+  try {
+    const lines = fs.readFileSync(env.SCREENING_WORDLIST_FILE, "utf8").split(/\r?\n/);
+    for (const line of lines) {
+      const term = line.replace(/#.*/, "").trim().toLowerCase();
+      if (term) terms.push(term);
+    }
+  } catch (error) {
+    console.error(`[SCREENING] Could not read SCREENING_WORDLIST_FILE ${env.SCREENING_WORDLIST_FILE}: ${error.message}`);
+  }
+  return terms;
+}
+
+// Lowercase words with character swaps undone inside words and long runs of
+// a letter shortened ("sh1t" and "fuuuck" are caught; "F*U*C*K" is not)
+function normalizeWords(text) {
+  return text
+    .toLowerCase()
+    .split(/\s+/)
+    // Punctuation around a word isn't a swapped letter ("great!")
+    .map(token => token.replace(/^[^a-z0-9@$]+|[^a-z0-9@$]+$/g, "").replace(/[013457@$!]/g, (c) => CHARACTER_SWAPS[c]))
+    .flatMap(token => token.split(/[^a-z']+/))
+    .map(word => word.replace(/'/g, "").replace(/(.)\1{2,}/g, "$1$1"))
+    .filter(Boolean);
+}
+
+function findBlockedTerms(text, blockedTerms) {
+  const blocked = new Set(blockedTerms);
+  const found = new Set();
+  for (const word of normalizeWords(text)) {
+    const squeezed = word.replace(/(.)\1+/g, "$1");
+    const match = [word, squeezed].find(form => blocked.has(form));
+    if (match) found.add(match);
+  }
+  return [...found];
+}
+
+// Three-word sequences of a text, for comparing wording
+function shingles(words) {
+  const result = new Set();
+  for (let i = 0; i + 3 <= words.length; i++) {
+    result.add(words.slice(i, i + 3).join(" "));
+  }
+  return result;
+}
+
+function similarity(a, b) {
+  let shared = 0;
+  for (const shingle of a) {
+    if (b.has(shingle)) shared++;
+  }
+  const union = a.size + b.size - shared;
+  return union > 0 ? shared / union : 0;
+}
+
+/**
+ * Screen a review before it is saved.
+ *   review:        { comment, date } of the new review
+ *   authorReviews: the author's other reviews, on any business
+ *   burst:         false for edits, which don't post a new review
+ * Returns [{ check, detail }], empty when nothing looks wrong.
+ */
+export function screenReview(review, authorReviews, { blockedTerms = DEFAULT_BLOCKED_TERMS, burst = true } = {}) {
+  const reasons = [];
+  const comment = review.comment || "";
+
+  const terms = findBlockedTerms(comment, blockedTerms);
+  if (terms.length > 0) {
+    reasons.push({ check: "language", detail: `Contains blocked language (${terms.length} term${terms.length === 1 ? "" : "s"})` });
+  }
+
+  const words = normalizeWords(comment);
+  if (words.length >= MIN_DUPLICATE_WORDS) {
+    const mine = shingles(words);
+    const text = words.join(" ");
+    const duplicate = authorReviews.find(other => {
+      const otherWords = normalizeWords(other.comment || "");
+      if (otherWords.length < MIN_DUPLICATE_WORDS) return false;
+      return otherWords.join(" ") === text || similarity(mine, shingles(otherWords)) >= DUPLICATE_SIMILARITY;
+    });
+    if (duplicate) {
+      reasons.push({ check: "duplicate", detail: `Same or nearly the same text as review ${duplicate.id}` });
+    }
+  }
+
+  const posted = Date.parse(review.date) || Date.now();
+  for (const { windowMs, max, label } of burst ? BURST_LIMITS : []) {
+    const recent = authorReviews.filter(r => {
+      const date = Date.parse(r.date);
+      return Number.isFinite(date) && posted - date < windowMs;
+    }).length;
+    if (recent + 1 > max) {
+      reasons.push({ check: "burst", detail: `${recent + 1} reviews from this account within ${label}` });
+      break;
+    }
+  }
+
+  // Email domains aren't links
+  const withoutEmails = comment.replace(new RegExp(EMAIL_PATTERN, "g"), " ");
+  const contacts = [
+    URL_PATTERN.test(withoutEmails) && "a link",
+    EMAIL_PATTERN.test(comment) && "an email address",
+    PHONE_PATTERN.test(comment) && "a phone number"
+  ].filter(Boolean);
+  if (contacts.length > 0) {
+    reasons.push({ check: "contact", detail: `Contains ${contacts.join(" and ")}` });
+  }
+
+  return reasons;
+}
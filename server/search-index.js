@@ -0,0 +1,247 @@
+/**
+ * LocalLink - Search Index
+ *
+ * In-process inverted index over business fields and review comments, used by
+ * the `search` parameter of GET /api/businesses.
+ *
+ * - Text is lowercased, stripped of accents and punctuation, stop words are
+ *   dropped and words are reduced to a simple stem ("tacos" -> "taco",
+ *   "baking" -> "bake"), so plurals and verb forms match each other.
+ * - Each field has a weight (a match in the name counts more than one in a
+ *   review), and repeated words add less and less (saturation).
+ * - Every query word must match. A word matches exactly, as a prefix of an
+ *   indexed word ("pizz" -> "pizza") or within a small edit distance
+ *   ("piza" -> "pizza"); looser matches score lower, and rare words score
+ *   higher than common ones.
+ *
+ * The index is kept in sync by sync(), which compares each business's indexed
+ * text with the current data and only re-indexes businesses whose fields or
+ * reviews changed.
+ */
+
+export const FIELD_WEIGHTS = {
+  name: 5,
+  tags: 3,
+  category: 2,
+  description: 1,
+  reviews: 1
+};
+
+// How much a looser match is worth compared to an exact one
+const PREFIX_FACTOR = 0.7;
+const FUZZY_FACTORS = [1, 0.6, 0.4]; // by edit distance
+// Term-frequency saturation: a word's score approaches (1 + K) times its idf
+const SATURATION_K = 1.2;
+
+const STOP_WORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "from", "in",
+  "is", "it", "its", "of", "on", "or", "so", "that", "the", "this", "to",
+  "was", "were", "with"
+]);
+
+// ============================================
+// TEXT PROCESSING
+// ============================================
+
+// Light English suffix stripping. Not a full Porter stemmer, but enough to
+// line up plurals and common verb endings.
+export function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  if (word.endsWith("ies") && word.length > 4) return word.slice(0, -3) + "y";
+  if (word.endsWith("sses")) return word.slice(0, -2);
+  if (/(?:ches|shes|xes|zes)$/.test(word)) return word.slice(0, -2);
+
+  for (const suffix of ["ing", "ed"]) {
+    if (word.endsWith(suffix) && word.length - suffix.length >= 3) {
+      let base = word.slice(0, -suffix.length);
+      if (!/[aeiouy]/.test(base)) return word;
+      // "shopping" -> "shop"
+      if (/([^aeiouslz])\1$/.test(base)) base = base.slice(0, -1);
+      // "baking" -> "bake" (consonant-vowel-consonant ending)
+      else if (/^[^aeiouy]*[aeiouy][^aeiouywx]$/.test(base)) base += "e";
+      return base;
+    }
+  }
+
+  if (word.endsWith("s") && !/(?:ss|us|is)$/.test(word)) return word.slice(0, -1);
+  return word;
+}
+
+// Text -> stemmed tokens (stop words removed)
+export function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word))
+    .map(stem);
+}
+
+// Optimal string alignment distance (edits incl. adjacent swaps), or
+// max + 1 as soon as it is clear the distance exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    prevPrev = prev;
+    prev = row;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed for a query word of this length
+const maxEditsFor = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+// ============================================
+// INDEX
+// ============================================
+
+/**
+ * Create an empty search index.
+ *
+ * sync(businesses, getReviews) -> number of businesses (re)indexed or removed
+ * search(query)                -> Map of businessId -> score, or null when the
+ *                                 query has no searchable words
+ */
+export function createSearchIndex({ fieldWeights = FIELD_WEIGHTS } = {}) {
+  const postings = new Map(); // term -> Map(businessId -> weighted term frequency)
+  const documents = new Map(); // businessId -> { fieldsKey, reviewsKey, terms }
+
+  function removeDocument(id) {
+    const doc = documents.get(id);
+    if (!doc) return;
+    for (const term of doc.terms.keys()) {
+      const docs = postings.get(term);
+      docs.delete(id);
+      if (docs.size === 0) postings.delete(term);
+    }
+    documents.delete(id);
+  }
+
+  function addDocument(id, fields, keys) {
+    const terms = new Map();
+    for (const [field, text] of Object.entries(fields)) {
+      const weight = fieldWeights[field] || 0;
+      if (!weight) continue;
+      for (const term of tokenize(text)) {
+        terms.set(term, (terms.get(term) || 0) + weight);
+      }
+    }
+    for (const [term, frequency] of terms) {
+      if (!postings.has(term)) postings.set(term, new Map());
+      postings.get(term).set(id, frequency);
+    }
+    documents.set(id, { ...keys, terms });
+  }
+
+  // Indexed words that a query word matches, with how good each match is
+  function expandTerm(queryTerm) {
+    const matches = new Map();
+    if (postings.has(queryTerm)) matches.set(queryTerm, 1);
+
+    const maxEdits = maxEditsFor(queryTerm.length);
+    for (const term of postings.keys()) {
+      if (term === queryTerm) continue;
+      let factor = 0;
+      if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+        factor = PREFIX_FACTOR;
+      }
+      if (maxEdits > 0) {
+        const distance = editDistance(queryTerm, term, maxEdits);
+        if (distance <= maxEdits) factor = Math.max(factor, FUZZY_FACTORS[distance]);
+      }
+      if (factor > 0) matches.set(term, factor);
+    }
+    return matches;
+  }
+
+  return {
+    get size() {
+      return documents.size;
+    },
+
+    sync(businesses, getReviews = () => []) {
+      let changed = 0;
+      const seen = new Set();
+
+      for (const business of businesses) {
+        seen.add(business.id);
+        const fields = {
+          name: business.name || "",
+          tags: (business.tags || []).join(" "),
+          category: business.category || "",
+          description: business.description || "",
+          reviews: (getReviews(business.id) || [])
+            .filter(r => !r.hidden && r.comment)
+            .map(r => r.comment)
+            .join("\n")
+        };
+        const fieldsKey = [fields.name, fields.tags, fields.category, fields.description].join("\u0000");
+        const reviewsKey = fields.reviews;
+
+        const existing = documents.get(business.id);
+        if (existing && existing.fieldsKey === fieldsKey && existing.reviewsKey === reviewsKey) continue;
+
+        removeDocument(business.id);
+        addDocument(business.id, fields, { fieldsKey, reviewsKey });
+        changed++;
+      }
+
+      for (const id of Array.from(documents.keys())) {
+        if (!seen.has(id)) {
+          removeDocument(id);
+          changed++;
+        }
+      }
+      return changed;
+    },
+
+    search(query) {
+      const queryTerms = Array.from(new Set(tokenize(query)));
+      if (queryTerms.length === 0) return null;
+
+      const totalDocs = documents.size;
+      let scores = null;
+
+      for (const queryTerm of queryTerms) {
+        // Best score per business for this query word
+        const termScores = new Map();
+        for (const [term, factor] of expandTerm(queryTerm)) {
+          const docs = postings.get(term);
+          const idf = Math.log(1 + (totalDocs - docs.size + 0.5) / (docs.size + 0.5));
+          for (const [id, frequency] of docs) {
+            if (scores && !scores.has(id)) continue;
+            const score = factor * idf * (frequency * (1 + SATURATION_K)) / (frequency + SATURATION_K);
+            if (score > (termScores.get(id) || 0)) termScores.set(id, score);
+          }
+        }
+
+        // Every query word must match
+        if (scores) {
+          for (const [id, score] of termScores) termScores.set(id, score + scores.get(id));
+        }
+        scores = termScores;
+        if (scores.size === 0) break;
+      }
+      return scores;
+    }
+  };
+}
@@ -0,0 +1,384 @@
+/**
+ * LocalLink - SQLite Storage Driver
+ *
+ * Embedded SQLite persistence for self-hosted deployments (no Vercel needed).
+ * It implements the same document interface as the drivers in storage.js, so
+ * the server keeps working with users/reviews/businesses documents. Each
+ * document is stored in normalized tables, though:
+ *
+ *   users          one row per account
+ *   businesses     one row per business (full listing kept as JSON)
+ *   review_businesses one row per business key in the reviews document, so
+ *                  businesses whose reviews were all deleted keep their entry
+ *   reviews        one row per review, indexed by business and user
+ *   review_reports one row per report filed against a review
+ *   favorites      one row per (user, business) pair
+ *   documents      any other document, stored whole
+ *
+ * Writes are diffed against the current rows inside a single transaction, so
+ * editing one review updates one row instead of rewriting every review.
+ * Versioned writes compare a per-document revision counter inside an
+ * IMMEDIATE transaction, so they are safe across processes sharing the file.
+ *
+ * Requires the better-sqlite3 package. It is loaded lazily so deployments that
+ * never select STORAGE_DRIVER=sqlite do not need the native module.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { createRequire } from "module";
+import { USERS_DOC, REVIEWS_DOC, BUSINESSES_DOC, FAVORITES_DOC } from "./storage.js";
+
+const require = createRequire(import.meta.url);
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS users (
+    id TEXT PRIMARY KEY,
+    username TEXT NOT NULL,
+    created_at TEXT,
+    data TEXT NOT NULL
+  );
+  CREATE UNIQUE INDEX IF NOT EXISTS users_username ON users (username COLLATE NOCASE);
+
+  CREATE TABLE IF NOT EXISTS businesses (
+    id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL,
+    name TEXT,
+    category TEXT,
+    data TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS review_businesses (
+    business_id TEXT PRIMARY KEY,
+    position INTEGER NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS reviews (
+    id TEXT PRIMARY KEY,
+    business_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    user_id TEXT,
+    rating INTEGER,
+    date TEXT,
+    hidden INTEGER NOT NULL DEFAULT 0,
+    data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS reviews_business ON reviews (business_id, position);
+  CREATE INDEX IF NOT EXISTS reviews_user ON reviews (user_id);
+
+  CREATE TABLE IF NOT EXISTS review_reports (
+    review_id TEXT NOT NULL REFERENCES reviews (id) ON DELETE CASCADE DEFERRABLE INITIALLY DEFERRED,
+    position INTEGER NOT NULL,
+    reason TEXT,
+    date TEXT,
+    data TEXT NOT NULL,
+    PRIMARY KEY (review_id, position)
+  );
+
+  CREATE TABLE IF NOT EXISTS favorites (
+    user_id TEXT NOT NULL,
+    business_id TEXT NOT NULL,
+    position INTEGER NOT NULL,
+    PRIMARY KEY (user_id, business_id)
+  );
+
+  CREATE TABLE IF NOT EXISTS documents (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL
+  );
+
+  -- Revision counter per document, bumped on every write (optimistic concurrency)
+  CREATE TABLE IF NOT EXISTS document_versions (
+    name TEXT PRIMARY KEY,
+    revision INTEGER NOT NULL
+  );
+`;
+
+// Upsert the given rows and delete rows that are no longer present.
+// Rows whose column values did not change are left untouched.
+function syncTable(db, table, keyColumns, columns, rows) {
+  const keyOf = (row) => JSON.stringify(keyColumns.map(c => row[c]));
+  const valuesOf = (row) => JSON.stringify(columns.map(c => row[c]));
+
+  const existing = new Map();
+  for (const row of db.prepare(`SELECT ${columns.join(", ")} FROM ${table}`).all()) {
+    existing.set(keyOf(row), valuesOf(row));
+  }
+
+  const updates = columns.filter(c => !keyColumns.includes(c));
+  const upsert = db.prepare(
+    `INSERT INTO ${table} (${columns.join(", ")}) VALUES (${columns.map(c => "@" + c).join(", ")}) ` +
+    `ON CONFLICT (${keyColumns.join(", ")}) DO UPDATE SET ${updates.map(c => `${c} = excluded.${c}`).join(", ")}`
+  );
+  const remove = db.prepare(`DELETE FROM ${table} WHERE ${keyColumns.map(c => `${c} = ?`).join(" AND ")}`);
+
+  let changed = 0;
+  const seen = new Set();
+  for (const row of rows) {
+    const key = keyOf(row);
+    seen.add(key);
+    if (existing.get(key) !== valuesOf(row)) {
+      upsert.run(row);
+      changed++;
+    }
+  }
+  for (const key of existing.keys()) {
+    if (!seen.has(key)) {
+      remove.run(...JSON.parse(key));
+      changed++;
+    }
+  }
+  return changed;
+}
+
+// ============================================
+// DOCUMENT <-> ROW MAPPING
+// ============================================
+
+// Built on first use: storage.js imports this module, so the document names
+// are not initialized yet while this module is being evaluated.
+const buildDocumentMappers = () => ({
+  [USERS_DOC]: {
+    read(db) {
+      return db.prepare("SELECT data FROM users ORDER BY created_at, rowid").all()
+        .map(row => JSON.parse(row.data));
+    },
+    write(db, users) {
+      const rows = users.map(user => ({
+        id: user.id,
+        username: user.username,
+        created_at: user.createdAt || null,
+        data: JSON.stringify(user)
+      }));
+      return syncTable(db, "users", ["id"], ["id", "username", "created_at", "data"], rows);
+    }
+  },
+
+  [BUSINESSES_DOC]: {
+    read(db) {
+      return db.prepare("SELECT id, data FROM businesses ORDER BY position").all()
+        .map(row => [row.id, JSON.parse(row.data)]);
+    },
+    write(db, entries) {
+      const rows = entries.map(([id, business], position) => ({
+        id: String(id),
+        position,
+        name: business?.name || null,
+        category: business?.category || null,
+        data: JSON.stringify(business)
+      }));
+      return syncTable(db, "businesses", ["id"], ["id", "position", "name", "category", "data"], rows);
+    }
+  },
+
+  [REVIEWS_DOC]: {
+    read(db) {
+      const reportsByReview = new Map();
+      for (const row of db.prepare("SELECT review_id, data FROM review_reports ORDER BY review_id, position").all()) {
+        if (!reportsByReview.has(row.review_id)) reportsByReview.set(row.review_id, []);
+        reportsByReview.get(row.review_id).push(JSON.parse(row.data));
+      }
+
+      const reviewsByBusiness = new Map();
+      for (const row of db.prepare("SELECT business_id FROM review_businesses ORDER BY position").all()) {
+        reviewsByBusiness.set(row.business_id, []);
+      }
+      // Databases written before review_businesses existed only have review rows
+      for (const row of db.prepare("SELECT id, business_id, data FROM reviews ORDER BY business_id, position").all()) {
+        const review = JSON.parse(row.data);
+        if (reportsByReview.has(row.id)) review.reports = reportsByReview.get(row.id);
+        if (!reviewsByBusiness.has(row.business_id)) reviewsByBusiness.set(row.business_id, []);
+        reviewsByBusiness.get(row.business_id).push(review);
+      }
+      return Array.from(reviewsByBusiness.entries());
+    },
+    write(db, entries) {
+      const businessRows = [];
+      const reviewRows = [];
+      const reportRows = [];
+      entries.forEach(([businessId, reviews], businessPosition) => {
+        businessRows.push({ business_id: String(businessId), position: businessPosition });
+        (reviews || []).forEach((review, position) => {
+          // Seeded data always has ids. Odd imports get one here, stored with
+          // the review (and kept on the caller's copy) so it never changes
+          // when reviews are added or removed around it.
+          if (!review.id) review.id = crypto.randomUUID();
+          const { reports, ...rest } = review;
+          const id = review.id;
+          reviewRows.push({
+            id,
+            business_id: String(businessId),
+            position,
+            user_id: review.userId || null,
+            rating: typeof review.rating === "number" ? review.rating : null,
+            date: review.date || null,
+            hidden: review.hidden ? 1 : 0,
+            data: JSON.stringify(rest)
+          });
+          (reports || []).forEach((report, reportPosition) => {
+            reportRows.push({
+              review_id: id,
+              position: reportPosition,
+              reason: report.reason || null,
+              date: report.date || null,
+              data: JSON.stringify(report)
+            });
+          });
+        });
+      });
+      return syncTable(db, "review_businesses", ["business_id"], ["business_id", "position"], businessRows) +
+        syncTable(db, "review_reports", ["review_id", "position"], ["review_id", "position", "reason", "date", "data"], reportRows) +
+        syncTable(db, "reviews", ["id"], ["id", "business_id", "position", "user_id", "rating", "date", "hidden", "data"], reviewRows);
+    }
+  },
+
+  [FAVORITES_DOC]: {
+    read(db) {
+      const favoritesByUser = new Map();
+      for (const row of db.prepare("SELECT user_id, business_id FROM favorites ORDER BY user_id, position").all()) {
+        if (!favoritesByUser.has(row.user_id)) favoritesByUser.set(row.user_id, []);
+        favoritesByUser.get(row.user_id).push(row.business_id);
+      }
+      return Array.from(favoritesByUser.entries());
+    },
+    write(db, entries) {
+      const rows = [];
+      for (const [userId, businessIds] of entries) {
+        (businessIds || []).forEach((businessId, position) => {
+          rows.push({ user_id: userId, business_id: String(businessId), position });
+        });
+      }
+      return syncTable(db, "favorites", ["user_id", "business_id"], ["user_id", "business_id", "position"], rows);
+    }
+  }
+});
+
+// Documents without a dedicated mapping are stored whole
+const genericMapper = (name) => ({
+  read(db) {
+    const row = db.prepare("SELECT data FROM documents WHERE name = ?").get(name);
+    return row ? JSON.parse(row.data) : null;
+  },
+  write(db, data) {
+    db.prepare("INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET data = excluded.data")
+      .run(name, JSON.stringify(data));
+    return 1;
+  }
+});
+
+// Mapped tables have no "missing" state, so report empty tables as null
+// the same way the other drivers report a document that was never written.
+const buildTablesForDoc = () => ({
+  [USERS_DOC]: ["users"],
+  [BUSINESSES_DOC]: ["businesses"],
+  [REVIEWS_DOC]: ["review_businesses", "reviews"],
+  [FAVORITES_DOC]: ["favorites"]
+});
+
+// ============================================
+// DRIVER
+// ============================================
+
+export function createSqliteStorage({ file }) {
+  const Database = require("better-sqlite3");
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+  db.pragma("foreign_keys = ON");
+  db.exec(SCHEMA);
+
+  const documentMappers = buildDocumentMappers();
+  const TABLES_FOR_DOC = buildTablesForDoc();
+  const mapperFor = (name) => documentMappers[name] || genericMapper(name);
+
+  const readDocument = (name) => {
+    const tables = TABLES_FOR_DOC[name];
+    if (tables && tables.every(table => !db.prepare(`SELECT 1 FROM ${table} LIMIT 1`).get())) {
+      return null;
+    }
+    return mapperFor(name).read(db);
+  };
+
+  const revisionOf = (name) => {
+    const row = db.prepare("SELECT revision FROM document_versions WHERE name = ?").get(name);
+    return row ? row.revision : 0;
+  };
+
+  // Write the rows and bump the revision; must run inside a transaction
+  const writeDocument = (name, data) => {
+    const changed = mapperFor(name).write(db, data);
+    const revision = revisionOf(name) + 1;
+    db.prepare("INSERT INTO document_versions (name, revision) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET revision = excluded.revision")
+      .run(name, revision);
+    return { changed, revision };
+  };
+
+  return {
+    driver: "sqlite",
+    label: "SQLite",
+    shared: false,
+    file,
+    db,
+
+    async read(name) {
+      try {
+        return readDocument(name);
+      } catch (error) {
+        console.error(`[SQLITE] Error reading ${name}:`, error.message);
+        return null;
+      }
+    },
+
+    async write(name, data) {
+      try {
+        const { changed } = db.transaction(() => writeDocument(name, data)).immediate();
+        console.log(`[SQLITE] Saved ${name} (${changed} rows changed)`);
+        return true;
+      } catch (error) {
+        console.error(`[SQLITE] Error saving ${name}:`, error.message);
+        return false;
+      }
+    },
+
+    async readVersioned(name) {
+      try {
+        return db.transaction(() => ({
+          data: readDocument(name),
+          version: String(revisionOf(name))
+        }))();
+      } catch (error) {
+        console.error(`[SQLITE] Error reading ${name}:`, error.message);
+        return { data: null, version: null };
+      }
+    },
+
+    async writeVersioned(name, data, expectedVersion) {
+      try {
+        const outcome = db.transaction(() => {
+          const current = String(revisionOf(name));
+          if (current !== expectedVersion) {
+            return { ok: false, conflict: true, version: current };
+          }
+          const { changed, revision } = writeDocument(name, data);
+          console.log(`[SQLITE] Saved ${name} revision ${revision} (${changed} rows changed)`);
+          return { ok: true, conflict: false, version: String(revision) };
+        }).immediate();
+        return outcome;
+      } catch (error) {
+        console.error(`[SQLITE] Error saving ${name}:`, error.message);
+        return { ok: false, conflict: false, version: null };
+      }
+    },
+
+    location(name) {
+      return `${file}#${(TABLES_FOR_DOC[name] || ["documents"]).join(",")}`;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
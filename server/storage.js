@@ -0,0 +1,400 @@
+/**
+ * LocalLink - Storage Adapters
+ *
+ * Every piece of persisted state (users, reviews, businesses, ...) is a JSON
+ * "document" identified by a name such as "users.json". This module hides
+ * where those documents live behind one small interface so the Express
+ * server, the explicit Vercel functions in api/, tests and offline demos all
+ * run the same code paths:
+ *
+ *   read(name)        -> parsed JSON, or null if the document does not exist
+ *   write(name, data) -> true on success, false on failure
+ *   location(name)    -> URL or file path of the document (for debug output)
+ *
+ *   readVersioned(name)                  -> { data, version }
+ *   writeVersioned(name, data, version)  -> { ok, conflict, version }
+ *
+ * The versioned pair backs optimistic concurrency: a write only lands if the
+ * document still has the version that was read (an ETag-style content hash,
+ * or a revision counter for SQLite). See updateDocument() below.
+ *
+ * Drivers:
+ * - blob:   Vercel Blob (production). Falls back to the file driver on errors;
+ *           a versioned write always goes to the backend its read came from.
+ * - file:   JSON files on disk (local development, self-hosting)
+ * - memory: In-process Map (tests, throwaway demos) - nothing touches disk
+ * - sqlite: Embedded SQLite database (self-hosting, see sqlite-storage.js)
+ *
+ * The driver is chosen with STORAGE_DRIVER. When it is not set, Vercel Blob is
+ * used if BLOB_READ_WRITE_TOKEN is present, otherwise the file driver.
+ * STORAGE_DIR overrides the directory used by the file driver and SQLITE_PATH
+ * the database file used by the sqlite driver.
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import { put, list } from "@vercel/blob";
+import { createSqliteStorage } from "./sqlite-storage.js";
+
+const SERVER_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Document names shared by the server and the api/ functions
+export const USERS_DOC = "users.json";
+export const REVIEWS_DOC = "reviews.json";
+export const BUSINESSES_DOC = "businesses.json";
+export const FAVORITES_DOC = "favorites.json";
+export const CLAIMS_DOC = "claims.json";
+export const DEALS_DOC = "deals.json";
+export const SESSIONS_DOC = "sessions.json";
+// Failed login counters (only with RATE_LIMIT_STORE=storage, see rate-limit.js).
+// Short-lived, so not part of ALL_DOCS.
+export const LOGIN_ATTEMPTS_DOC = "login-attempts.json";
+
+// Every document the server persists (used by the SQLite migration)
+export const ALL_DOCS = [USERS_DOC, REVIEWS_DOC, BUSINESSES_DOC, FAVORITES_DOC, CLAIMS_DOC, DEALS_DOC, SESSIONS_DOC];
+
+export const STORAGE_DRIVERS = ["blob", "file", "memory", "sqlite"];
+
+// ETag-style version for a serialized document (null when it does not exist)
+export function versionOf(text) {
+  if (text === null || text === undefined) return null;
+  return crypto.createHash("sha1").update(text).digest("hex");
+}
+
+const parseDocument = (text) => (text && text.trim() ? JSON.parse(text) : null);
+
+// ============================================
+// VERCEL BLOB DRIVER
+// ============================================
+
+// Find the blob for a document - exact pathname match first, then includes
+async function findBlob(name) {
+  const { blobs } = await list({ prefix: name });
+  return blobs.find(b => b.pathname === name) ||
+         blobs.find(b => b.pathname.includes(name)) ||
+         null;
+}
+
+// Versions read from the fallback driver carry this prefix, so the write that
+// checks them goes to the same driver
+const FALLBACK_VERSION_PREFIX = "fallback:";
+
+export function createBlobStorage({ fallback = null } = {}) {
+  const blobUrls = new Map();
+
+  // Raw document text, or null if the blob does not exist.
+  // Throws on network errors so callers can decide whether to fall back.
+  async function readText(name) {
+    const blob = await findBlob(name);
+    if (!blob) return null;
+
+    blobUrls.set(name, blob.url);
+    // Add cache-busting to avoid stale data
+    const cacheBustUrl = `${blob.url}${blob.url.includes('?') ? '&' : '?'}_t=${Date.now()}`;
+    const response = await fetch(cacheBustUrl, {
+      cache: 'no-store',
+      headers: {
+        'Cache-Control': 'no-cache, no-store, must-revalidate',
+        'Pragma': 'no-cache'
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${name}: ${response.status} ${response.statusText}`);
+    }
+    return response.text();
+  }
+
+  async function putText(name, text) {
+    // addRandomSuffix: false + allowOverwrite: true overwrites the existing blob in place.
+    // DO NOT delete before put - this causes race conditions in serverless environment
+    const blob = await put(name, text, {
+      access: 'public',
+      contentType: 'application/json',
+      addRandomSuffix: false,
+      allowOverwrite: true
+    });
+    blobUrls.set(name, blob.url);
+    console.log(`[BLOB] Saved ${name} (${text.length} chars) to ${blob.url}`);
+  }
+
+  return {
+    driver: "blob",
+    label: "Vercel Blob",
+    shared: true, // Other serverless instances write to the same documents
+
+    async read(name) {
+      try {
+        const data = parseDocument(await readText(name));
+        if (data !== null) return data;
+      } catch (error) {
+        console.error(`[BLOB] Error reading ${name}:`, error.message);
+      }
+
+      return fallback ? fallback.read(name) : null;
+    },
+
+    async write(name, data) {
+      try {
+        await putText(name, JSON.stringify(data));
+        return true;
+      } catch (error) {
+        console.error(`[BLOB] Error saving ${name}:`, error.message);
+        if (fallback) {
+          console.log(`[BLOB] Falling through to ${fallback.label} for ${name}...`);
+          return fallback.write(name, data);
+        }
+        return false;
+      }
+    },
+
+    async readVersioned(name) {
+      try {
+        const text = await readText(name);
+        return { data: parseDocument(text), version: versionOf(text) };
+      } catch (error) {
+        console.error(`[BLOB] Error reading ${name}:`, error.message);
+        if (!fallback) return { data: null, version: null };
+        const { data, version } = await fallback.readVersioned(name);
+        return { data, version: FALLBACK_VERSION_PREFIX + (version ?? "") };
+      }
+    },
+
+    // Vercel Blob has no conditional put, so re-check the current version
+    // right before writing. This narrows the race window to a single request.
+    // The write goes to the backend the version was read from: a version from
+    // one backend says nothing about the other, so there is no fall-through.
+    async writeVersioned(name, data, expectedVersion) {
+      if (fallback && typeof expectedVersion === "string" && expectedVersion.startsWith(FALLBACK_VERSION_PREFIX)) {
+        const outcome = await fallback.writeVersioned(name, data, expectedVersion.slice(FALLBACK_VERSION_PREFIX.length) || null);
+        return { ...outcome, version: outcome.version === null ? null : FALLBACK_VERSION_PREFIX + outcome.version };
+      }
+
+      try {
+        const current = versionOf(await readText(name));
+        if (current !== expectedVersion) {
+          return { ok: false, conflict: true, version: current };
+        }
+        const text = JSON.stringify(data);
+        await putText(name, text);
+        return { ok: true, conflict: false, version: versionOf(text) };
+      } catch (error) {
+        console.error(`[BLOB] Error saving ${name}:`, error.message);
+        return { ok: false, conflict: false, version: null };
+      }
+    },
+
+    location(name) {
+      return blobUrls.get(name) || null;
+    }
+  };
+}
+
+// ============================================
+// FILE SYSTEM DRIVER
+// ============================================
+
+export function createFileStorage({ dir = SERVER_DIR } = {}) {
+  const filePath = (name) => path.join(dir, name);
+
+  const readText = (name) => {
+    const file = filePath(name);
+    return fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+  };
+
+  const writeText = (name, text) => {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(filePath(name), text, "utf8");
+    console.log(`[FILE] Saved ${name} to ${filePath(name)}`);
+  };
+
+  return {
+    driver: "file",
+    label: "File System",
+    shared: false,
+
+    async read(name) {
+      try {
+        return parseDocument(readText(name));
+      } catch (error) {
+        console.error(`[FILE] Error reading ${filePath(name)}:`, error.message);
+        return null;
+      }
+    },
+
+    async write(name, data) {
+      try {
+        writeText(name, JSON.stringify(data));
+        return true;
+      } catch (error) {
+        console.error(`[FILE] Error saving ${filePath(name)}:`, error.message);
+        return false;
+      }
+    },
+
+    async readVersioned(name) {
+      try {
+        const text = readText(name);
+        return { data: parseDocument(text), version: versionOf(text) };
+      } catch (error) {
+        console.error(`[FILE] Error reading ${filePath(name)}:`, error.message);
+        return { data: null, version: null };
+      }
+    },
+
+    // The check and the write are synchronous, so they cannot interleave
+    // with another request in this process.
+    async writeVersioned(name, data, expectedVersion) {
+      try {
+        const current = versionOf(readText(name));
+        if (current !== expectedVersion) {
+          return { ok: false, conflict: true, version: current };
+        }
+        const text = JSON.stringify(data);
+        writeText(name, text);
+        return { ok: true, conflict: false, version: versionOf(text) };
+      } catch (error) {
+        console.error(`[FILE] Error saving ${filePath(name)}:`, error.message);
+        return { ok: false, conflict: false, version: null };
+      }
+    },
+
+    location(name) {
+      return filePath(name);
+    }
+  };
+}
+
+// ============================================
+// IN-MEMORY DRIVER
+// ============================================
+
+// Documents are stored serialized so callers can never mutate stored state
+// by holding on to an object they read or wrote.
+export function createMemoryStorage({ seed = {} } = {}) {
+  const documents = new Map(
+    Object.entries(seed).map(([name, data]) => [name, JSON.stringify(data)])
+  );
+
+  return {
+    driver: "memory",
+    label: "Memory",
+    shared: false,
+
+    async read(name) {
+      const text = documents.get(name);
+      return text === undefined ? null : JSON.parse(text);
+    },
+
+    async write(name, data) {
+      documents.set(name, JSON.stringify(data));
+      return true;
+    },
+
+    async readVersioned(name) {
+      const text = documents.get(name) ?? null;
+      return { data: parseDocument(text), version: versionOf(text) };
+    },
+
+    async writeVersioned(name, data, expectedVersion) {
+      const current = versionOf(documents.get(name) ?? null);
+      if (current !== expectedVersion) {
+        return { ok: false, conflict: true, version: current };
+      }
+      const text = JSON.stringify(data);
+      documents.set(name, text);
+      return { ok: true, conflict: false, version: versionOf(text) };
+    },
+
+    location(name) {
+      return `memory://${name}`;
+    }
+  };
+}
+
+// ============================================
+// DRIVER SELECTION
+// ============================================
+
+export function resolveStorageDriver(env = process.env) {
+  const requested = (env.STORAGE_DRIVER || "").trim().toLowerCase();
+  if (requested) {
+    if (STORAGE_DRIVERS.includes(requested)) return requested;
+    console.warn(`[STORAGE] Unknown STORAGE_DRIVER "${requested}", expected one of: ${STORAGE_DRIVERS.join(", ")}`);
+  }
+  return env.BLOB_READ_WRITE_TOKEN ? "blob" : "file";
+}
+
+export function createStorage(env = process.env) {
+  const driver = resolveStorageDriver(env);
+  if (driver === "memory") {
+    return createMemoryStorage();
+  }
+
+  // Vercel functions can only write to /tmp
+  const dir = env.STORAGE_DIR || (env.VERCEL ? "/tmp" : SERVER_DIR);
+
+  if (driver === "sqlite") {
+    return createSqliteStorage({ file: env.SQLITE_PATH || path.join(dir, "locallink.db") });
+  }
+
+  const fileStorage = createFileStorage({ dir });
+
+  if (driver === "blob") {
+    return createBlobStorage({ fallback: fileStorage });
+  }
+  return fileStorage;
+}
+
+// ============================================
+// OPTIMISTIC CONCURRENCY
+// ============================================
+
+export const MAX_WRITE_ATTEMPTS = 5;
+
+/**
+ * Read-modify-write a document without losing concurrent updates.
+ *
+ * `mutate(current)` receives the latest stored data and returns
+ * `{ data, result }`. Returning no `data` aborts without writing (e.g. a
+ * validation error). When another writer changed the document in between,
+ * the latest version is re-read and `mutate` runs again, so concurrent changes
+ * to different reviews/users merge naturally. `mutate` must therefore only
+ * depend on its argument, not on state from a previous attempt.
+ *
+ * Resolves to { ok, conflict, result, data }:
+ * - ok: true            the write landed (or was aborted by mutate)
+ * - conflict: true      still conflicting after MAX_WRITE_ATTEMPTS
+ * - ok: false, !conflict  the storage driver failed to write
+ * `data` is the newest known document, for refreshing in-memory caches.
+ */
+export async function updateDocument(storage, name, mutate, { attempts = MAX_WRITE_ATTEMPTS } = {}) {
+  let latest = null;
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    const { data: current, version } = await storage.readVersioned(name);
+    latest = current;
+
+    const { data, result } = mutate(current);
+    if (data === undefined) {
+      return { ok: true, conflict: false, result, data: current };
+    }
+
+    const outcome = await storage.writeVersioned(name, data, version);
+    if (outcome.ok || !outcome.conflict) {
+      return { ok: outcome.ok, conflict: false, result, data };
+    }
+    console.log(`[STORAGE] Write conflict on ${name} (attempt ${attempt}/${attempts}), retrying with latest data`);
+  }
+  return { ok: false, conflict: true, result: undefined, data: latest };
+}
+
+// Process-wide storage instance, created on first use
+let sharedStorage = null;
+
+export function getStorage() {
+  if (!sharedStorage) {
+    sharedStorage = createStorage(process.env);
+  }
+  return sharedStorage;
+}